@@ -8,9 +8,6 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
-import fsSync from 'fs';
-import fg from 'fast-glob';
-import pLimit from 'p-limit';
 import cliProgress from 'cli-progress';
 import ora from 'ora';
 import chalk from 'chalk';
@@ -21,6 +18,20 @@ import updateNotifier from 'update-notifier';
 import winston from 'winston';
 import i18n from 'i18n';
 import { input, confirm, select } from '@inquirer/prompts';
+import {
+    runCopy, runJobs, CopyCliError, ConfigError, createHookRegistry, createTransformRegistry, LAYOUTS, COMPARE_MODES, CONFLICT_STRATEGIES,
+    REPORT_FORMATS, buildReport, buildJobsReport, formatReport, writeReport, verifyManifest, listRuns, undoRun,
+    readCheckpoint, listCheckpoints, ARCHIVE_FORMATS, formatBytes, EXIT_CODES, exitCodeOfError, exitCodeOfRun, exitCodeOfJobs,
+    PRESERVE_ATTRIBUTES, SYMLINK_POLICIES, planCopy, writeFileList
+} from './lib/api.js';
+import { reviewPrompt } from './lib/review.js';
+import { parseExtensionMap } from './lib/layout.js';
+import { PROJECT_PLUGINS_DIR, userConfigDir, findPlugins, installPlugins } from './lib/plugins.js';
+import { inferReportFormat } from './lib/report.js';
+import { DEFAULT_HASH_ALGORITHM, isHashAlgorithm } from './lib/checksum.js';
+import { DEFAULT_DEBOUNCE_MS } from './lib/watch.js';
+import { DEFAULT_CONFLICT_TEMPLATE, isConflictTemplate } from './lib/conflict.js';
+import { DEFAULT_CONFIG_FILES, JOB_OPTION_NAMES, readConfigFile, isJobsConfig, resolveJobs, resolvePluginSpecs, selectJobs } from './lib/config.js';
 
 // --- Determine base directory for relative paths ---
 const __filename = fileURLToPath(import.meta.url);
@@ -29,12 +40,11 @@ const __dirname = path.dirname(__filename);
 // 1. Load environment variables
 dotenv.config();
 
-// 2. Check for updates (before heavy logic)
+// 2. Read package info (version, update check)
 let pkg = { version: '0.0.0' }; // Default pkg info
 try {
     const pkgPath = new URL('./package.json', import.meta.url);
     pkg = JSON.parse(await fs.readFile(pkgPath));
-    updateNotifier({ pkg }).notify();
 } catch (e) {
     console.error(chalk.yellow("Warning: Could not read package.json for update check."), e.message);
 }
@@ -47,7 +57,7 @@ i18n.configure({
   locales: supportedLocales,
   defaultLocale: 'en',
   directory: localesDir,
-  objectNotation: true, // Use dot notation in keys if needed, but simple strings are safer here
+  objectNotation: false, // Keys are whole English sentences: dots and colons in them are not separators
   updateFiles: false     // Explicitly disable auto-updating locale files
 });
 
@@ -57,6 +67,9 @@ i18n.setLocale(process.env.LANG?.split(/[._]/)[0] || 'en');
 const preliminaryArgv = yargs(hideBin(process.argv))
     .option('lang', { type: 'string', hidden: true }) // For lang detection
     .option('help', { alias: 'h', type: 'boolean', hidden: true }) // For help detection
+    .option('json', { type: 'boolean', hidden: true }) // --json output never prompts
+    .option('yes', { alias: 'y', type: 'boolean', hidden: true }) // Neither do --yes and --no-interactive
+    .option('interactive', { type: 'boolean', hidden: true })
     .option('detectVersion', { // Use non-reserved key for version flag detection
         alias: 'V',           // Keep the -V alias
         type: 'boolean',
@@ -66,13 +79,30 @@ const preliminaryArgv = yargs(hideBin(process.argv))
     .version(false)           // IMPORTANT: Disable default version handler for pre-parse
     .parseSync();             // Use synchronous parse for this simple check
 
+// --- Prompts ---
+// copy-cli only prompts in a terminal (input and output), and never with --json, --yes or
+// --no-interactive. A CI environment variable turns prompts off too, unless --interactive is given:
+// CI runners often provide a pseudo-terminal where a prompt would wait forever.
+const ciEnvironment = !['', '0', 'false'].includes((process.env.CI ?? '').trim().toLowerCase());
+const terminal = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+const promptsOffReason = !terminal ? 'no terminal'
+    : preliminaryArgv.json ? '--json'
+    : preliminaryArgv.yes ? '--yes'
+    : preliminaryArgv.interactive === false ? '--no-interactive'
+    : preliminaryArgv.interactive == null && ciEnvironment ? 'CI'
+    : null;
+const promptsEnabled = promptsOffReason === null;
+
+// Check for updates only when someone is there to read the notice (it queries the npm registry)
+if (promptsEnabled && !ciEnvironment) updateNotifier({ pkg }).notify();
+
 // --- Language Selection ---
 let chosenLang = preliminaryArgv.lang; // Get lang from pre-parsed args if provided
 
 // Function to prompt for language if needed
 async function promptForLanguage() {
-    if (!process.stdout.isTTY) {
-        // If not in an interactive terminal, just use the default
+    if (!promptsEnabled) {
+        // Without prompts (no terminal, piped input, --yes...), just use the default
         return i18n.getLocale();
     }
      try {
@@ -90,7 +120,7 @@ async function promptForLanguage() {
     } catch (promptError) {
         // Handle cancellation (e.g., Ctrl+C) gracefully
         console.error(chalk.red("\nLanguage selection cancelled or failed."), promptError.message);
-        process.exit(1); // Exit if language selection is aborted
+        process.exit(EXIT_CODES.CANCELLED); // Exit if language selection is aborted
     }
 }
 
@@ -149,11 +179,72 @@ const logger = winston.createLogger({
          new winston.transports.File({ filename: path.join(logsDir, 'rejections.log') })
     ]
 });
+// Undo journals of past runs (see lib/journal.js)
+const journalDir = path.join(logsDir, 'journal');
+// Checkpoints of interrupted runs, for --resume (see lib/checkpoint.js)
+const checkpointDir = path.join(logsDir, 'checkpoints');
 // Helper function to easily find a transport instance later
 const findTransport = (transportType) => logger.transports.find(t => t instanceof transportType);
 
 
 // --- FINAL YARGS CONFIGURATION (using the chosen language) ---
+// Options of the copy command, also used to tell which ones were typed on the command line (copy-cli run)
+const cliOptions = {
+    // Define all operational options (NO 'version' or 'help' keys here)
+    src:        { alias: 's', type: 'string', describe: i18n.__('Source folders (comma-separated)'), demandOption: false /* Required logic handled by promptIfMissing */ },
+    ext:        { alias: 'e', type: 'string', describe: i18n.__('Extensions to copy (comma-separated, e.g. js,txt)'), demandOption: false },
+    targetExt:  { alias: 't', type: 'string', describe: i18n.__('Output extension (e.g. txt)'), demandOption: false },
+    map:        { alias: 'm', describe: i18n.__('Per-extension output mapping as source and target pairs (keep preserves the extension)') },
+    dest:       { alias: 'd', type: 'string', describe: i18n.__('Destination folder, or an archive to copy into (.zip, .tar, .tar.gz)'), demandOption: false },
+    archive:    { type: 'string', choices: ARCHIVE_FORMATS, describe: i18n.__('Copy into an archive of this format (the extension is added to --dest when missing)') },
+    overwrite:  { alias: 'o', type: 'boolean', default: false, describe: i18n.__('Overwrite existing files') },
+    'on-conflict': { type: 'string', choices: CONFLICT_STRATEGIES, defaultDescription: 'rename', describe: i18n.__('What to do when a target already exists (newer and larger overwrite only with a newer or larger source, ask prompts for each file)') },
+    'conflict-template': { type: 'string', defaultDescription: DEFAULT_CONFLICT_TEMPLATE, describe: i18n.__('Name of renamed copies ({name}, {ext}, {n}, {hash8})') },
+    rename:     { type: 'string', describe: i18n.__('Template of target names ({name}, {ext}, {dir}, {parent}, {index}, {date:YYYYMMDD}, {hash:8}, filters like {name|kebab})') },
+    'rename-search': { type: 'string', describe: i18n.__('Regular expression replaced in every {name}') },
+    'rename-replace': { type: 'string', describe: i18n.__('Replacement for --rename-search ($1 for groups, empty by default)') },
+    layout:     { alias: 'l', type: 'string', choices: LAYOUTS, default: 'flat', describe: i18n.__('Destination layout (flat, mirror or prefixed with the source folder name)') },
+    'log-level':{ type: 'string', choices: ['error', 'warn', 'info', 'verbose', 'debug', 'silly'], describe: i18n.__('Enable console logging at specified level') },
+    'dry-run':  { alias: 'D', type: 'boolean', default: false, describe: i18n.__('Simulate operations without copying files') },
+    sync:       { type: 'boolean', default: false, describe: i18n.__('Only copy files that are new or changed since the last copy') },
+    compare:    { type: 'string', choices: COMPARE_MODES, default: 'mtime', describe: i18n.__('How --sync detects changes (mtime compares size and modification time, hash compares content)') },
+    delete:     { type: 'boolean', default: false, describe: i18n.__('With --sync or --watch, remove destination files whose source is gone') },
+    include:    { type: 'array', string: true, describe: i18n.__('Only copy files matching these globs (repeatable)') },
+    exclude:    { type: 'array', string: true, describe: i18n.__('Leave out files matching these globs (repeatable)') },
+    dot:        { type: 'boolean', default: false, describe: i18n.__('Include dotfiles and files inside dot-folders') },
+    'ignore-file': { type: 'array', string: true, describe: i18n.__('Read exclusion rules from gitignore-style files (repeatable)') },
+    gitignore:  { type: 'boolean', default: false, describe: i18n.__('Honor gitignore files found inside each source folder') },
+    'min-size': { type: 'string', describe: i18n.__('Leave out files smaller than this size, like 1KB') },
+    'max-size': { type: 'string', describe: i18n.__('Leave out files larger than this size, like 50MB') },
+    'newer-than': { type: 'string', describe: i18n.__('Only copy files modified after a date (2025-01-31), a duration ago (7d, 12h) or a reference file') },
+    'older-than': { type: 'string', describe: i18n.__('Only copy files modified before a date, a duration ago or a reference file') },
+    contains:   { type: 'string', describe: i18n.__('Only copy files with a line matching this regular expression') },
+    'files-from': { type: 'string', describe: i18n.__('Only copy the files named in this list file (one path per line, as saved by --review)') },
+    review:     { type: 'boolean', default: false, describe: i18n.__('After the search, check the files to copy in a list grouped by folder (interactive only)') },
+    preserve:   { type: 'array', string: true, describe: i18n.__('Source attributes the targets keep (%s, comma-separated)', PRESERVE_ATTRIBUTES.join(', ')) },
+    symlinks:   { type: 'string', choices: SYMLINK_POLICIES, default: 'follow', describe: i18n.__('What to do with symbolic links (follow copies what they point to, copy-link recreates the link, skip leaves them out)') },
+    report:     { type: 'string', describe: i18n.__('Write a machine-readable run report to this file') },
+    'report-format': { type: 'string', choices: REPORT_FORMATS, describe: i18n.__('Report format (default from the report file extension, else json)') },
+    json:       { type: 'boolean', default: false, describe: i18n.__('Print the run report as JSON on stdout (no spinner, progress bar or prompts)') },
+    yes:        { alias: 'y', type: 'boolean', default: false, describe: i18n.__('Start without asking for confirmation, and never prompt') },
+    interactive:{ type: 'boolean', defaultDescription: i18n.__('true in a terminal, unless CI is set'), describe: i18n.__('Prompt for missing options and confirmation (disable with --no-interactive)') },
+    concurrency:{ alias: 'c', default: 5, describe: i18n.__('Number of parallel copy operations, or auto to adjust it to the measured throughput') },
+    'max-rate': { type: 'string', describe: i18n.__('Limit the bytes written per second by all copies together, like 20MB/s') },
+    'stream-threshold': { type: 'string', defaultDescription: '64MB', describe: i18n.__('Stream files larger than this into a partial file that replaces the target once complete') },
+    transform:  { type: 'array', string: true, describe: i18n.__('Content transforms to apply, in order (strip-bom, eol=lf|crlf, banner, encoding)') },
+    banner:     { type: 'string', describe: i18n.__('Banner template prepended to each file ({source}, {name}, {target}, {date}, {datetime})') },
+    verify:     { type: 'boolean', default: false, describe: i18n.__('Hash source and target after each copy and report mismatches as errors') },
+    'hash-algorithm': { type: 'string', defaultDescription: DEFAULT_HASH_ALGORITHM, describe: i18n.__('Hash algorithm for --verify, --checksums and the verify command') },
+    checksums:  { type: 'string', describe: i18n.__('Write a sha256sum-compatible checksum manifest of the copied files') },
+    watch:      { alias: 'w', type: 'boolean', default: false, describe: i18n.__('After the copy, keep watching the source folders and copy files as they are added or changed') },
+    debounce:   { type: 'number', default: DEFAULT_DEBOUNCE_MS, describe: i18n.__('With --watch, milliseconds to wait for a burst of changes to settle') },
+    resume:     { type: 'string', describe: i18n.__('Continue an interrupted run, or retry the failed files of a run, with its options (the latest one in this folder, or the given run id)') },
+    journal:    { type: 'boolean', default: true, describe: i18n.__('Record created and overwritten files so the run can be undone (disable with --no-journal)') },
+    plugins:    { type: 'boolean', default: true, describe: i18n.__('Load plugins from the plugins folders and the config file (disable with --no-plugins)') },
+    'project-plugins': { type: 'boolean', default: false, describe: i18n.__('Also load every plugin of the .copy-cli/plugins folder of the working directory') },
+    lang:       { type: 'string', choices: supportedLocales, describe: i18n.__('Interface language'), default: chosenLang, defaultDescription: i18n.getLocale() }
+};
+
 const yargsInstance = yargs(hideBin(process.argv)); // Get a fresh yargs instance
 
 // Configure and parse arguments finally
@@ -161,19 +252,32 @@ const argv = await yargsInstance
     .detectLocale(false) // Disable yargs's own locale detection, we handle it
     .locale(chosenLang)  // Inform yargs about the active locale (may help internal messages)
     .usage(i18n.__('Usage: $0 [options]')) // Set usage string in the chosen language
-    .config('config') // Enable reading options from a JSON config file via --config
-    .options({
-        // Define all operational options (NO 'version' or 'help' keys here)
-        src:        { alias: 's', type: 'string', describe: i18n.__('Source folders (comma-separated)'), demandOption: false /* Required logic handled by promptIfMissing */ },
-        ext:        { alias: 'e', type: 'string', describe: i18n.__('Extensions to copy (comma-separated, e.g. js,txt)'), demandOption: false },
-        targetExt:  { alias: 't', type: 'string', describe: i18n.__('Output extension (e.g. txt)'), demandOption: false },
-        dest:       { alias: 'd', type: 'string', describe: i18n.__('Destination folder'), demandOption: false },
-        overwrite:  { alias: 'o', type: 'boolean', default: false, describe: i18n.__('Overwrite existing files') },
-        'log-level':{ type: 'string', choices: ['error', 'warn', 'info', 'verbose', 'debug', 'silly'], describe: i18n.__('Enable console logging at specified level') },
-        'dry-run':  { alias: 'D', type: 'boolean', default: false, describe: i18n.__('Simulate operations without copying files') },
-        concurrency:{ alias: 'c', type: 'number', default: 5, describe: i18n.__('Number of parallel copy operations') },
-        lang:       { type: 'string', choices: supportedLocales, describe: i18n.__('Interface language'), default: chosenLang, defaultDescription: i18n.getLocale() }
+    // Options from a JSON config file via --config (comments and trailing commas allowed)
+    .config('config', (configPath) => {
+        const configFile = path.relative(process.cwd(), configPath);
+        const config = readConfigFile(configFile, { i18n });
+        // A jobs file is read by the run command itself: its jobs are not command line options
+        if (preliminaryArgv._[0] === 'run') {
+            if (!isJobsConfig(config)) throw new ConfigError(i18n.__('%s does not define any jobs', configFile), { file: configFile });
+            return {};
+        }
+        if (isJobsConfig(config)) throw new ConfigError(i18n.__('%s defines jobs, run them with copy-cli run <job...>', configFile), { file: configFile });
+        const { plugins, ...options } = config; // Read when the plugins are loaded, --plugins is only the switch
+        return options;
     })
+    .options(cliOptions)
+    .command('$0', i18n.__('Copy matching files (default command)'))
+    .command('verify <manifest>', i18n.__('Check a destination against a saved checksum manifest'), (y) => y
+        .positional('manifest', { type: 'string', describe: i18n.__('Checksum manifest written by --checksums') }))
+    .command('undo [runId]', i18n.__('Undo a run, removing the files it created and restoring the ones it overwrote'), (y) => y
+        .positional('runId', { type: 'string', describe: i18n.__('Run to undo (default is the latest complete run)') }))
+    .command('history', i18n.__('List past runs with their options and counts'))
+    .command('plugins <action>', i18n.__('List the plugins found, where they come from and whether they loaded'), (y) => y
+        .positional('action', { type: 'string', choices: ['list'], describe: i18n.__('What to do with the plugins') }))
+    .command('run [jobs..]', i18n.__('Run named jobs from a jobs config file'), (y) => y
+        .positional('jobs', { type: 'string', describe: i18n.__('Jobs to run, in this order') })
+        .option('all', { type: 'boolean', default: false, describe: i18n.__('Run every job of the config file') })
+        .option('parallel', { type: 'boolean', default: false, describe: i18n.__('Run the jobs at the same time instead of one after another') }))
     .completion('completion', i18n.__('Generate shell completion script')) // Add completion command
     // Use the dedicated .version() method correctly
     .version('version', i18n.__('Show version number'), pkg.version) // Provide key, desc, value
@@ -181,6 +285,18 @@ const argv = await yargsInstance
     // Use the dedicated .help() method
     .help('help') // Provide the key ('help') to enable standard help behavior
     .alias('help', 'h') // Keep the -h alias for the help flag
+    .check((args) => { // Cross-option validation
+        if (args.delete && !args.sync && !args.watch) throw new Error(i18n.__('--delete can only be used together with --sync or --watch'));
+        if (args.watch && args._[0] === 'run') throw new Error(i18n.__('--watch cannot be used with copy-cli run'));
+        if (args.resume != null && (args.dryRun || args.watch || args._[0] === 'run')) throw new Error(i18n.__('--resume cannot be combined with --dry-run, --watch or copy-cli run'));
+        if (args.watch && args.dryRun) throw new Error(i18n.__('--watch cannot be combined with --dry-run'));
+        if (args.review && (args.watch || args.resume != null || args._[0] === 'run')) throw new Error(i18n.__('--review cannot be combined with --watch, --resume or copy-cli run'));
+        if (!(args.debounce >= 0)) throw new Error(i18n.__('--debounce must be a number of milliseconds'));
+        if (args.hashAlgorithm != null && !isHashAlgorithm(args.hashAlgorithm)) throw new Error(i18n.__('Unsupported hash algorithm %s', args.hashAlgorithm));
+        if (args.overwrite && args.onConflict != null && args.onConflict !== 'overwrite') throw new Error(i18n.__('--overwrite cannot be combined with --on-conflict %s', args.onConflict));
+        if (args.conflictTemplate != null && !isConflictTemplate(args.conflictTemplate)) throw new Error(i18n.__('--conflict-template must contain {n} or a hash token like {hash8}, and no folder separators'));
+        return true;
+    })
     .strict() // Report errors for unknown options or failed validations
     .wrap(yargsInstance.terminalWidth()) // Wrap help text to fit terminal width
     .fail((msg, err, yargs) => { // Custom handler for parsing/validation failures
@@ -190,7 +306,7 @@ const argv = await yargsInstance
         console.error(chalk.red(msg || err?.message || 'Argument validation failed'));
         // Print the translated help instructions
         console.error(i18n.__("See '--help' for usage instructions."));
-        process.exit(1); // Exit with an error code
+        process.exit(EXIT_CODES.INVALID_ARGS); // Exit with an error code
     })
     .parseAsync(); // Perform the final asynchronous parsing
 
@@ -200,11 +316,28 @@ const argv = await yargsInstance
 (async () => {
     // Language is already set (chosenLang), logger is configured
 
+    // With --json, stdout carries only the report: human-readable output and console logs go to stderr
+    const jsonOutput = argv.json;
+    // Prompts for missing options, the confirmation and --on-conflict ask (a config file may also set yes or interactive)
+    const interactive = promptsEnabled && !argv.yes && argv.interactive !== false;
+    // Why prompts are off, as told to the user
+    const promptsOffLabel = () => promptsOffReason === 'no terminal' ? i18n.__('no terminal') : promptsOffReason ?? (argv.yes ? '--yes' : '--no-interactive');
+    // Spinner, progress bar and watch status line: not in CI logs, nor in a pseudo-terminal without
+    // a width (as given by `script`), where redrawing them never ends
+    const showProgress = terminal && !jsonOutput && !ciEnvironment && process.stdout.columns > 0;
+    const print = (...args) => (jsonOutput ? console.error : console.log)(...args);
+    // Write --json output and wait until it is handed over: stdout may be a pipe written
+    // asynchronously, which a process.exit() right after would cut off
+    const writeJson = (text) => new Promise(resolve => process.stdout.write(text, () => resolve()));
+
     // --- Configure Console Logging based on final --log-level argument ---
     const consoleTransport = findTransport(winston.transports.Console);
+    if (jsonOutput && consoleTransport) {
+        consoleTransport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
     if (argv.logLevel && consoleTransport) {
         // If --log-level was provided, make the console transport active at that level
-        console.log(chalk.yellow(`${i18n.__('Console logging enabled at level')}: ${argv.logLevel}`)); // Inform user
+        print(chalk.yellow(`${i18n.__('Console logging enabled at level')}: ${argv.logLevel}`)); // Inform user
         consoleTransport.silent = false; // Unsilence the transport
         consoleTransport.level = argv.logLevel; // Set the level
     } else if (consoleTransport) {
@@ -220,55 +353,216 @@ const argv = await yargsInstance
         logger.info(i18n.__('Using configuration file: %s', argv.config));
     }
 
+    // --- verify command: check a destination against a checksum manifest, then exit ---
+    if (argv._[0] === 'verify') {
+        let results;
+        try {
+            // Without --hash-algorithm, the algorithm is told from each digest's length
+            results = await verifyManifest(argv.manifest, { algorithm: argv.hashAlgorithm?.toLowerCase() });
+        } catch (verifyError) {
+            logger.error(i18n.__('Cannot verify checksum manifest %s', argv.manifest), verifyError);
+            console.error(chalk.red(i18n.__('Cannot verify checksum manifest %s', argv.manifest)), verifyError.message);
+            process.exit(EXIT_CODES.FAILURE);
+        }
+        const counts = { ok: 0, mismatch: 0, missing: 0 };
+        for (const result of results) {
+            counts[result.status]++;
+            if (result.status === 'mismatch') print(chalk.red(`${i18n.__('FAILED')}  ${result.file}`));
+            else if (result.status === 'missing') print(chalk.red(`${i18n.__('MISSING')}  ${result.file}`));
+            else logger.verbose(`OK: ${result.file}`);
+        }
+        if (jsonOutput) await writeJson(JSON.stringify({ manifest: argv.manifest, totals: counts, files: results }, null, 2) + '\n');
+        const summaryLine = i18n.__('%d file(s) verified, %d mismatched, %d missing', counts.ok, counts.mismatch, counts.missing);
+        print(counts.mismatch + counts.missing > 0 ? chalk.red(summaryLine) : chalk.green(summaryLine));
+        logger.info(summaryLine);
+        process.exit(counts.mismatch + counts.missing > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+    }
+
+    // --- history command: list journaled runs, newest first, then exit ---
+    if (argv._[0] === 'history') {
+        const runs = await listRuns(journalDir);
+        if (jsonOutput) {
+            await writeJson(JSON.stringify(runs, null, 2) + '\n');
+            process.exit(EXIT_CODES.SUCCESS);
+        }
+        if (runs.length === 0) print(i18n.__('No runs recorded yet.'));
+        for (const run of runs) {
+            const { src: runSrc, dest: runDest, overwrite: runOverwrite, onConflict: runOnConflict, sync: runSync } = run.options ?? {};
+            const totals = run.totals ?? {};
+            const conflictFlag = runOverwrite ? '--overwrite' : runOnConflict && runOnConflict !== 'rename' && `--on-conflict ${runOnConflict}`;
+            const flags = [conflictFlag, runSync && '--sync'].filter(Boolean).join(' ');
+            print(`${chalk.bold(run.runId)}  ${new Date(run.startedAt).toLocaleString()}  ${chalk.cyan(run.status)}`);
+            print(`    ${runSrc} → ${runDest}${flags ? `  ${chalk.gray(flags)}` : ''}`);
+            print(`    ${run.totals
+                ? i18n.__('%d copied, %d renamed, %d updated, %d deleted, %d failed', totals.copied ?? 0, totals.renamed ?? 0, totals.updated ?? 0, totals.deleted ?? 0, totals.failed ?? 0)
+                : chalk.yellow(i18n.__('Interrupted run with %d recorded change(s)', run.changes))}`);
+        }
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    // --- undo command: roll back a journaled run, then exit ---
+    if (argv._[0] === 'undo') {
+        let result;
+        try {
+            result = await undoRun(journalDir, argv.runId);
+        } catch (undoError) {
+            const failureLine = argv.runId ? `${i18n.__('Cannot undo run %s', argv.runId)} ${undoError.message}` : undoError.message;
+            logger.error(failureLine, undoError);
+            console.error(chalk.red(failureLine));
+            process.exit(EXIT_CODES.FAILURE);
+        }
+        if (result.status !== 'complete') {
+            const incompleteLine = i18n.__('Run %s is not complete (%s): only the changes it recorded are undone', result.runId, result.status);
+            console.error(chalk.yellow(incompleteLine));
+            logger.warn(incompleteLine);
+        }
+        result.failures.forEach(f => console.error(chalk.red(` - ${path.relative(process.cwd(), f.target)}: ${f.error}`)));
+        if (jsonOutput) await writeJson(JSON.stringify(result, null, 2) + '\n');
+        const summaryLine = i18n.__('Run %s undone, %d file(s) removed, %d restored, %d failed', result.runId, result.removed, result.restored, result.failures.length);
+        print(result.failures.length > 0 ? chalk.red(summaryLine) : chalk.green(summaryLine));
+        logger.info(summaryLine);
+        process.exit(result.failures.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+    }
+
+    // The config file of the working directory: --config, else the first default config file there
+    let configFile = argv.config && path.relative(process.cwd(), argv.config);
+    for (const file of configFile ? [] : DEFAULT_CONFIG_FILES) {
+        if (await fs.access(file).then(() => true, () => false)) {
+            configFile = file;
+            break;
+        }
+    }
+    // An invalid config file stops before anything runs
+    function exitWithConfigError(configError) {
+        if (!(configError instanceof ConfigError)) throw configError;
+        logger.error(configError.message);
+        console.error(chalk.red(configError.key ? `${configError.file}: ${configError.message}` : configError.message));
+        process.exit(EXIT_CODES.INVALID_ARGS);
+    }
+
     // --- Load Plugins ---
-    const pluginsDir = path.join(__dirname, 'plugins');
+    // From the tool's own plugins folder, the user config folder, the project's .copy-cli/plugins folder
+    // (with --project-plugins, or those the config file names), then the packages and files listed under
+    // `plugins` in the config file. --no-plugins loads none of them.
+    const hooks = createHookRegistry({ logger, i18n }); // Lifecycle hooks registered by plugins
+    const transforms = createTransformRegistry(); // Built-in content transforms, plugins may add their own
+    let pluginSpecs = [];
     try {
-        // Find potential plugin files
-        const pluginFiles = await fg(path.join(pluginsDir, '*.{js,mjs}').replace(/\\/g, '/')); // Support .js and .mjs
-        logger.info(i18n.__('Searching for plugins in: %s', pluginsDir));
-        if (pluginFiles.length > 0) {
-            logger.info(i18n.__('Found plugins: %s', pluginFiles.map(f => path.basename(f)).join(', ')));
-            // Iterate and attempt to load each plugin
-            for (const file of pluginFiles) {
-                const pluginName = path.basename(file);
-                try {
-                    const fileUrl = new URL(`file://${path.resolve(file)}`); // Use file URL for dynamic import
-                    const mod = await import(fileUrl);
-                    // Check if the plugin has an install function
-                    if (typeof mod.install === 'function') {
-                        // Execute the install function, passing context (logger, i18n, args)
-                        // Use Promise.resolve to handle both sync and async install functions gracefully
-                        await Promise.resolve(mod.install({ logger, i18n, argv }));
-                        logger.info(i18n.__('Plugin loaded successfully: %s', pluginName));
-                    } else {
-                         logger.warn(i18n.__('Plugin file found but no install function exported: %s', pluginName));
-                    }
-                } catch (pluginError) {
-                    logger.error(i18n.__('Failed to load or execute plugin: %s', pluginName), pluginError);
-                    // Decide if plugin loading errors should be fatal or just logged
-                }
-            }
-        } else {
-            logger.info(i18n.__('No plugins found.'));
+        if (configFile) pluginSpecs = resolvePluginSpecs(readConfigFile(configFile, { i18n }).plugins, { file: configFile, i18n });
+    } catch (configError) {
+        exitWithConfigError(configError);
+    }
+    const configDir = configFile ? path.dirname(path.resolve(configFile)) : process.cwd();
+    const foundPlugins = await findPlugins({
+        folders: [
+            { dir: path.join(__dirname, 'plugins'), source: 'bundled' },
+            { dir: path.join(userConfigDir(), 'plugins'), source: 'user' },
+            { dir: path.resolve(PROJECT_PLUGINS_DIR), source: 'project', listedOnly: !argv.projectPlugins }
+        ],
+        specs: pluginSpecs,
+        configDir,
+        // Packages installed in the project, in the user config folder, or next to copy-cli (global installs)
+        resolveFrom: [...new Set([configDir, process.cwd(), userConfigDir(), __dirname])]
+    }, { logger, i18n });
+    const plugins = await installPlugins(foundPlugins, { logger, i18n, argv, hooks, transforms, enabled: argv.plugins });
+
+    // --- plugins list command: the plugins found, where they come from and whether they loaded, then exit ---
+    if (argv._[0] === 'plugins') {
+        if (jsonOutput) {
+            await writeJson(JSON.stringify(plugins, null, 2) + '\n');
+            process.exit(EXIT_CODES.SUCCESS);
+        }
+        if (plugins.length === 0) print(i18n.__('No plugins found.'));
+        const sourceLabels = {
+            bundled: i18n.__('bundled'), user: i18n.__('user config folder'), project: PROJECT_PLUGINS_DIR.replace(/\\/g, '/'), config: configFile
+        };
+        const statusLabels = {
+            loaded: chalk.green(i18n.__('loaded')),
+            'no-install': chalk.yellow(i18n.__('no install function')),
+            failed: chalk.red(i18n.__('failed')),
+            disabled: chalk.gray(i18n.__('disabled'))
+        };
+        for (const { name, source, file, status, error } of plugins) {
+            const shownFile = file && (path.relative(process.cwd(), file).startsWith('..') ? file : path.relative(process.cwd(), file));
+            print(`${chalk.bold(name)}  ${chalk.cyan(sourceLabels[source])}  ${statusLabels[status]}`);
+            print(`    ${[shownFile, error && chalk.red(error)].filter(Boolean).join('  ')}`);
         }
-    } catch (pluginSearchError) {
-        logger.error(i18n.__('Error searching for plugins:'), pluginSearchError);
+        if (!argv.plugins) print(chalk.gray(i18n.__('Plugins are turned off (--no-plugins)')));
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    // --- Load Jobs (copy-cli run) ---
+    // Jobs come from the config file found above. Options typed on the command line apply to every job,
+    // over the config file.
+    const jobsMode = argv._[0] === 'run';
+    let jobRuns = [];
+    if (jobsMode) {
+        try {
+            if (!configFile) throw new ConfigError(i18n.__('No config file found, pass one with --config (looked for %s)', DEFAULT_CONFIG_FILES.join(', ')));
+            logger.info(i18n.__('Using configuration file: %s', configFile));
+            const config = readConfigFile(configFile, { i18n });
+            if (!isJobsConfig(config)) throw new ConfigError(i18n.__('%s does not define any jobs', configFile), { file: configFile });
+            const jobs = selectJobs(resolveJobs(config, { file: configFile, i18n }), argv.jobs ?? [], { all: argv.all, file: configFile, i18n });
+            const overrides = commandLineOverrides();
+            jobRuns = jobs.map(({ name, options }) => {
+                const { journal = true, ...jobOptions } = { ...options, ...overrides };
+                return { name, options: { ...jobOptions, journalDir: journal ? journalDir : undefined } };
+            });
+        } catch (configError) {
+            exitWithConfigError(configError);
+        }
+    }
+
+    // --- Resume an Interrupted Run (--resume) ---
+    // The checkpoint brings the plan and the options; only --concurrency and --no-journal may be changed
+    const RESUME_OVERRIDES = ['concurrency', 'journal'];
+    let resumeCheckpoint = null;
+    let resumeOverrides = {};
+    if (argv.resume != null) {
+        // A bare --resume takes the latest run of this folder; a run id may be resumed from anywhere, as its paths are absolute
+        const checkpoints = await listCheckpoints(checkpointDir);
+        const found = argv.resume ? checkpoints.find(checkpoint => checkpoint.id === argv.resume) : checkpoints.find(checkpoint => checkpoint.cwd === process.cwd());
+        if (!found) {
+            console.error(chalk.red(argv.resume
+                ? i18n.__('No interrupted run %s to resume', argv.resume)
+                : i18n.__('No interrupted run to resume in this folder')));
+            process.exit(EXIT_CODES.INVALID_ARGS);
+        }
+        resumeOverrides = commandLineOverrides();
+        const changed = Object.keys(resumeOverrides).filter(key => !RESUME_OVERRIDES.includes(key));
+        if (changed.length > 0) {
+            const flags = changed.map(key => `--${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`).join(', ');
+            console.error(chalk.red(i18n.__('--resume continues with the options of the interrupted run, leave out %s', flags)));
+            process.exit(EXIT_CODES.INVALID_ARGS);
+        }
+        resumeCheckpoint = await readCheckpoint(checkpointDir, found.id);
+        print(chalk.cyan(i18n.__('Resuming run %s, %d of %d file(s) already done', found.id, found.done, found.total)));
+    }
+    const promptForOptions = !jobsMode && !resumeCheckpoint; // Jobs and resumed runs bring their own options
+
+    // The job options typed on the command line (defaults left out, as they are not typed)
+    function commandLineOverrides() {
+        const withoutDefaults = Object.fromEntries(Object.entries(cliOptions).map(([key, { default: _default, ...option }]) => [key, option]));
+        const typed = yargs(hideBin(process.argv)).options(withoutDefaults).help(false).version(false).parseSync();
+        return Object.fromEntries(JOB_OPTION_NAMES.filter(key => typed[key] !== undefined).map(key => [key, typed[key]]));
     }
 
 
     // --- Get Required Parameters (with Interactive Fallback) ---
     // Define validation functions using the current locale
     const requiredString = (val) => (typeof val === 'string' && val.trim().length > 0) || i18n.__('Value cannot be empty');
+    // Folder lists only need to be non-empty: paths may contain slashes, dots and other characters
+    const requiredPathList = (val) => (typeof val === 'string' && val.split(/[,;]+/).some(s => s.trim().length > 0)) || i18n.__('Value cannot be empty');
     const requiredCommaList = (val) => {
        if (!(typeof val === 'string' && val.trim().length > 0)) return i18n.__('Value cannot be empty');
        // Allow different separators and trim whitespace
        const items = val.split(/[,;\s]+/).map(s => s.trim()).filter(Boolean);
        if (items.length === 0) return i18n.__('Value cannot be empty');
-       // Basic validation for file extensions / folder names (adjust regex if needed)
-       if (items.some(item => !/^[a-zA-Z0-9_.-]+$/.test(item))) return i18n.__('Contains invalid characters');
+       // Basic validation for file extensions (a leading dot is allowed and ignored)
+       if (items.some(item => !/^\.?[a-zA-Z0-9_-][a-zA-Z0-9_.-]*$/.test(item))) return i18n.__('Contains invalid characters');
        return true; // Return true if valid
      };
-    const requiredSingleExtension = (val) => typeof val === 'string' && /^[a-zA-Z0-9_.-]+$/.test(val.trim()) || i18n.__('Must be a single valid extension');
+    const requiredSingleExtension = (val) => typeof val === 'string' && /^\.?[a-zA-Z0-9_-][a-zA-Z0-9_.-]*$/.test(val.trim()) || i18n.__('Must be a single valid extension');
 
     // Helper function to get required args, prompting if missing and in interactive mode
     async function promptIfMissing(argName, promptConfig, validationFn) {
@@ -285,12 +579,12 @@ const argv = await yargsInstance
                 // but we add a manual check just in case.
                 logger.error(i18n.__('Invalid value provided for required option --%s: %s', argName, validationResult));
                 console.error(chalk.red(i18n.__('Invalid value provided for required option --%s: %s', argName, validationResult)));
-                process.exit(1);
+                process.exit(EXIT_CODES.INVALID_ARGS);
             }
         }
 
         // 2. Prompt if value is missing and we are in an interactive terminal
-        if (!isValid && process.stdout.isTTY) {
+        if (!isValid && interactive) {
             logger.info(i18n.__('Missing required argument: %s. Prompting user...', argName)); // Log if enabled
             try {
                // Use the @inquirer/prompts input function with validation
@@ -299,246 +593,564 @@ const argv = await yargsInstance
             } catch (promptError) {
                 // Handle prompt cancellation (e.g., Ctrl+C)
                 console.error(chalk.red(`\n${argName} input cancelled or failed.`), promptError.message);
-                process.exit(1);
+                process.exit(EXIT_CODES.CANCELLED);
             }
         } else if (!isValid) {
-            // Not interactive and value is still missing (should have been caught by yargs .fail)
-           console.error(chalk.red(i18n.__('Missing required argument: --%s', argName)));
-           yargsInstance.showHelp(); // Show help before exiting
-           process.exit(1);
+            // Prompts are off: say why, and how to give the value instead
+            const reason = promptsOffLabel();
+            logger.error(i18n.__('Missing required argument: --%s', argName));
+            console.error(chalk.red(i18n.__('Missing required argument: --%s', argName)));
+            console.error(i18n.__('Prompts are turned off (%s), pass --%s on the command line or in a config file.', reason, argName));
+            process.exit(EXIT_CODES.INVALID_ARGS);
         }
         return value; // Return the valid value
     }
 
     // Get required operational parameters using the helper
     // **** ENSURE THE KEYS HERE EXACTLY MATCH YOUR CLEAN JSON FILES ****
-    const src = await promptIfMissing('src', { message: i18n.__('Enter Source folders (comma-separated)') }, requiredCommaList);
-    const ext = await promptIfMissing('ext', { message: i18n.__('Enter Extensions to copy (e.g., js,txt)') }, requiredCommaList); // Key check!
-    const targetExt = await promptIfMissing('targetExt', { message: i18n.__('Enter Output extension (e.g., txt)') }, requiredSingleExtension); // Key check!
-    const dest = await promptIfMissing('dest', { message: i18n.__('Enter Destination folder') }, requiredString);
+    const src = promptForOptions ? await promptIfMissing('src', { message: i18n.__('Enter Source folders (comma-separated)') }, requiredPathList) : undefined;
+    const ext = promptForOptions ? await promptIfMissing('ext', { message: i18n.__('Enter Extensions to copy (e.g., js,txt)') }, requiredCommaList) : undefined; // Key check!
+
+    // Per-extension output mapping (--map or a "map" object in the config file)
+    let extMap;
+    try {
+        extMap = parseExtensionMap(argv.map);
+    } catch (mapError) {
+        logger.error(i18n.__('Invalid value provided for --map %s', mapError.message));
+        console.error(chalk.red(i18n.__('Invalid value provided for --map %s', mapError.message)));
+        process.exit(EXIT_CODES.INVALID_ARGS);
+    }
+    // --targetExt is only required for extensions the map does not cover
+    const unmappedExtensions = (ext ?? '').split(/[,;\s]+/).map(e => e.trim().replace(/^\./, '')).filter(e => e && !extMap.has(e.toLowerCase()));
+    const targetExt = promptForOptions && (unmappedExtensions.length > 0 || argv.targetExt != null)
+        ? await promptIfMissing('targetExt', {
+            message: extMap.size > 0
+                ? i18n.__('Enter Output extension for the unmapped extensions %s', unmappedExtensions.join(', '))
+                : i18n.__('Enter Output extension (e.g., txt)')
+        }, requiredSingleExtension) // Key check!
+        : undefined;
+    const dest = promptForOptions ? await promptIfMissing('dest', { message: i18n.__('Enter Destination folder') }, requiredString) : undefined;
 
     // Get non-required parameters directly from argv (yargs handles defaults)
-    const overwrite = argv.overwrite;
     const dryRun = argv['dry-run'];
-    const concurrency = argv.concurrency;
+    const watchMode = argv.watch;
+    const verboseConsole = ['verbose', 'debug', 'silly'].includes(argv.logLevel); // Console shows per-file details
+    // The review step (--review) is a prompt, and takes the place of the confirmation
+    const reviewMode = argv.review;
+    if (reviewMode && !interactive) {
+        logger.error(i18n.__('--review needs prompts, which are turned off (%s)', promptsOffLabel()));
+        console.error(chalk.red(i18n.__('--review needs prompts, which are turned off (%s)', promptsOffLabel())));
+        process.exit(EXIT_CODES.INVALID_ARGS);
+    }
 
+    // Options handed to the copy engine (lib/engine.js), which does the search, plan, dry run and copy
+    const copyOptions = {
+        src, ext, targetExt, map: argv.map, dest, archive: argv.archive,
+        overwrite: argv.overwrite, onConflict: argv.onConflict, conflictTemplate: argv.conflictTemplate, layout: argv.layout, dryRun,
+        rename: argv.rename, renameSearch: argv.renameSearch, renameReplace: argv.renameReplace,
+        sync: argv.sync, compare: argv.compare, delete: argv.delete,
+        include: argv.include, exclude: argv.exclude, dot: argv.dot,
+        ignoreFile: argv.ignoreFile, gitignore: argv.gitignore,
+        minSize: argv.minSize, maxSize: argv.maxSize, newerThan: argv.newerThan, olderThan: argv.olderThan, contains: argv.contains,
+        filesFrom: argv.filesFrom,
+        preserve: argv.preserve, symlinks: argv.symlinks,
+        transform: argv.transform, banner: argv.banner,
+        verify: argv.verify, hashAlgorithm: argv.hashAlgorithm, checksums: argv.checksums,
+        concurrency: argv.concurrency, maxRate: argv.maxRate, streamThreshold: argv.streamThreshold, watch: watchMode, debounce: argv.debounce,
+        journalDir: argv.journal ? journalDir : undefined, // Every real run is recorded unless --no-journal
+        checkpointDir // Real runs save a checkpoint so an interrupted copy can be resumed with --resume
+    };
+    // A resumed run copies the rest of its plan with the options of the interrupted run
+    if (resumeCheckpoint) {
+        const { journal, ...savedOptions } = { ...resumeCheckpoint.options, ...resumeOverrides };
+        Object.assign(copyOptions, savedOptions, { journalDir: journal ? journalDir : undefined, resume: resumeCheckpoint });
+    }
 
-    // --- Pre-execution Checks ---
-    try {
-        // Ensure the destination directory exists, create if necessary
-        logger.info(i18n.__('Ensuring destination directory exists: %s', dest));
-        await fs.mkdir(dest, { recursive: true });
-        logger.info(i18n.__('Destination directory ensured: %s', dest));
-    } catch (destErr) {
-        // Handle error creating destination directory
-        logger.error(i18n.__('Failed to create destination directory: %s', dest), destErr);
-        console.error(chalk.red(i18n.__('Failed to create destination directory: %s', dest)));
-        process.exit(1);
+    // Write the report to --report and/or stdout (--json)
+    async function writeRunReport(report) {
+        if (argv.report) {
+            const format = argv.reportFormat ?? inferReportFormat(argv.report);
+            try {
+                await writeReport(argv.report, report, format);
+                logger.info(i18n.__('Run report written to %s', argv.report));
+            } catch (reportError) {
+                logger.error(i18n.__('Failed to write run report %s', argv.report), reportError);
+                console.error(chalk.red(i18n.__('Failed to write run report %s', argv.report)), reportError.message);
+            }
+        }
+        if (jsonOutput) await writeJson(formatReport(report, 'json'));
+    }
+
+    // Tell the user about any plugin hook that failed during the run
+    function printHookFailures() {
+        if (hooks.failures.length > 0) {
+            console.error(chalk.yellow(i18n.__('%d plugin hook(s) failed during the run', hooks.failures.length)));
+            hooks.failures.forEach(f => console.error(chalk.yellow(` - ${f.plugin} (${f.hook}): ${f.error}`)));
+        }
+    }
+
+    // Write the report, then tell the user about any plugin hook that failed during the run
+    async function completeRun(result) {
+        if (argv.report || jsonOutput) {
+            await writeRunReport(buildReport({ files: result.files, options: result.options, startedAt: result.startedAt, version: pkg.version, dryRun }));
+        }
+        printHookFailures();
+    }
+
+    // How the dry run and the review describe a planned file: how its target would be handled, and whether it is a link
+    function planEntryLabels({ options, archive }) {
+        const linkLabel = options.symlinks === 'copy-link'
+            ? chalk.cyan(i18n.__('[Link] would recreate the link'))
+            : chalk.cyan(i18n.__('[Link] would copy the file it points to'));
+        // How --on-conflict would handle each existing target
+        const conflictLabels = {
+            overwrite: chalk.magenta(i18n.__('[Info] Target exists - would overwrite')),
+            rename: chalk.yellow(i18n.__('[Warning] Target exists - would rename')),
+            skip: chalk.gray(i18n.__('[Info] Target exists - would skip')),
+            fail: chalk.red(i18n.__('[Error] Target exists - would fail')),
+            ask: chalk.cyan(i18n.__('[Info] Target exists - would ask'))
+        };
+        // Entries of an archive only collide with each other, and are always renamed
+        if (archive) conflictLabels.rename = chalk.yellow(i18n.__('[Warning] Entry name taken - would rename'));
+        return ({ status, conflict, duplicate, link }) => {
+            const labels = [];
+            if (duplicate) {
+                // --rename gave another source the same target: the real run refuses to start
+                labels.push(chalk.red(i18n.__('[Error] Same target as another file')));
+            } else if (options.sync) {
+                // Sync mode never renames: it reports whether the target is new, changed or unchanged
+                labels.push(status === 'updated' ? chalk.magenta(i18n.__('[Changed] would update'))
+                    : status === 'skipped' ? chalk.gray(i18n.__('[Unchanged] would skip'))
+                    : chalk.green(i18n.__('[New] would copy')));
+            } else if (conflict) {
+                labels.push(conflictLabels[conflict]);
+            }
+            if (link) labels.push(linkLabel);
+            return labels.join(' ');
+        };
+    }
+
+    // Print the operations a dry run would perform
+    function printPlan(result) {
+        const sync = result.options.sync;
+        print(chalk.yellow(i18n.__('--- DRY RUN MODE ---')));
+        print(i18n.__('The following operations would be performed:'));
+        if (result.transforms.length > 0) {
+            print(chalk.cyan(i18n.__('Content transforms applied to each file %s', result.transforms.join(', '))));
+        }
+        if (result.options.preserve.length > 0) {
+            print(chalk.cyan(i18n.__('Source attributes kept by the targets %s', result.options.preserve.join(', '))));
+        }
+        // Symbolic links the search found, copied or left out under --symlinks
+        const links = result.plan.filter(entry => entry.link).length + result.excluded.filter(({ rule }) => rule === '--symlinks skip').length;
+        if (links > 0) print(chalk.cyan(i18n.__('%d symbolic link(s) found (--symlinks %s)', links, result.options.symlinks)));
+        // Entries of an archive only collide with each other
+        if (result.archive) {
+            const { file, format, exists } = result.archive;
+            const archiveLabel = i18n.__('Entries of the %s archive %s', format, path.relative(process.cwd(), file));
+            const existsLabels = {
+                overwrite: i18n.__('(exists - would be replaced)'),
+                rename: i18n.__('(exists - a new archive would be written next to it)'),
+                fail: i18n.__('(exists - would fail)')
+            };
+            print(chalk.cyan(exists ? `${archiveLabel} ${existsLabels[result.options.onConflict]}` : archiveLabel));
+        }
+        const entryLabels = planEntryLabels(result);
+        for (const entry of result.plan) {
+            const labels = entryLabels(entry); // How the target would be handled
+            // Print the planned operation
+            print(` • Copy: ${chalk.blue(path.relative(process.cwd(), entry.file))} → ${chalk.green(path.relative(process.cwd(), entry.target))}${labels ? ` ${labels}` : ''}`);
+        }
+        if (sync) {
+            result.orphans.forEach(orphan => print(` • ${chalk.red('Delete')}: ${chalk.red(path.relative(process.cwd(), orphan))}`));
+            const { copied, updated, skipped, deleted } = result.totals;
+            print(chalk.cyan(i18n.__('Sync would copy %d, update %d, skip %d and delete %d file(s)', copied, updated, skipped, deleted)));
+        }
+        const duplicates = result.plan.filter(entry => entry.duplicate).length;
+        if (duplicates > 0) {
+            print(chalk.red(i18n.__('--rename gives %d files the same target: a real run would copy nothing', duplicates)));
+        }
+        // How many files each size, date or content filter took out of the search
+        result.filtered.forEach(({ filter, removed }) => print(chalk.cyan(i18n.__('%s removed %d file(s)', filter, removed))));
+        // With verbose logging, list the files the filters left out and why
+        if (verboseConsole && result.excluded.length > 0) {
+            result.excluded.forEach(({ file, rule }) => print(` • ${chalk.gray(`Skip: ${path.relative(process.cwd(), file)}`)} ${chalk.gray(i18n.__('(excluded by %s)', rule))}`));
+        }
+        print(chalk.yellow(i18n.__('--- END DRY RUN ---')));
     }
 
+
     // --- Final Confirmation (Interactive Only) ---
-    // Ask for confirmation only if interactive and not doing a dry run
-    if (process.stdout.isTTY && !dryRun) {
+    // Ask for confirmation only if interactive and not doing a dry run (--yes answers it in advance).
+    // With --review, confirming the review after the search starts the copy instead.
+    if (interactive && !reviewMode && !(jobsMode ? jobRuns.every(job => job.options.dryRun) : dryRun)) {
         try {
             const proceed = await confirm({ message: i18n.__('Start copy operation now?'), default: true });
             if (!proceed) {
                 // User chose not to proceed
                 logger.warn(i18n.__('Operation cancelled by user.')); // Log if enabled
-                console.log(i18n.__('Operation cancelled by user.')); // Always inform user
-                process.exit(0); // Exit gracefully
+                print(i18n.__('Operation cancelled by user.')); // Always inform user
+                process.exit(EXIT_CODES.CANCELLED);
             }
         } catch(promptError) {
             // Handle confirmation cancellation
             console.error(chalk.red(`\nConfirmation prompt cancelled or failed.`), promptError.message);
-            process.exit(1);
+            process.exit(EXIT_CODES.CANCELLED);
         }
     }
 
-    // --- File Search ---
-    logger.info(i18n.__('Searching for files...')); // Log search start if enabled
-    // Start the ora spinner for visual feedback
-    const spinner = ora(i18n.__('🔍 Searching for files...')).start();
-
-    // Prepare source directories and extensions lists from input strings
-    const sourceDirsList = src.split(/[,;\s]+/).map(d => d.trim()).filter(Boolean);
-    const extensionsList = ext.split(/[,;\s]+/).map(e => e.trim()).filter(Boolean);
+    // --- Progress Display ---
+    // The engine reports progress as events: an ora spinner covers the search, a progress
+    // bar the copy (interactive terminals only) and a status line the --watch session.
+    // The bar measures bytes, so one large file weighs more than many small ones. Every large
+    // file being streamed gets a bar of its own under it.
+    const spinner = ora({ text: i18n.__('🔍 Searching for files...'), isSilent: jsonOutput, isEnabled: showProgress });
+    const barOptions = {
+        format: `${chalk.cyan(i18n.__('Copying'))} | {bar} | {percentage}% || {files}/{totalFiles} ${i18n.__('Files')} || {bytes}/{totalBytes} {speed} {eta_formatted}`, // Include ETA
+        barCompleteChar: '\u2588',
+        barIncompleteChar: '\u2591',
+        hideCursor: true,
+        etaBuffer: 100, // Adjust buffer for smoother ETA calculation
+        // Handle non-TTY environments gracefully (e.g., CI, file redirection)
+        noTTYOutput: !process.stdout.isTTY, // Disable fancy bar if not TTY
+        notTTYSchedule: 5000 // Update interval in ms when not TTY (if needed for logging)
+    };
+    const fileBarFormat = `  {name} | {bar} | {percentage}% || {bytes}/{totalBytes}`;
+    let multibar = null; // A new one each time the bars are shown again after a prompt
+    let bar = null; // Overall bar
+    const fileBars = new Map(); // Source -> bar of a large file being streamed
+    let barActive = false;
+    // Counts of the copy under way, kept while the bar is paused for a prompt
+    const copyProgress = { done: 0, total: 0, bytesDone: 0, bytesTotal: 0, bytesAtStart: 0, startedAt: 0, concurrency: null };
+    const streaming = new Map(); // Source -> { name, size, bytes } of the large files being streamed
+    const barValues = () => {
+        const { done, total, bytesTotal, bytesAtStart, startedAt, concurrency } = copyProgress;
+        // Bytes of finished files, plus what the large files under way have copied so far
+        const bytesDone = copyProgress.bytesDone + [...streaming.values()].reduce((sum, { bytes }) => sum + bytes, 0);
+        const seconds = (Date.now() - startedAt) / 1000;
+        const speed = i18n.__('%s/s', formatBytes(seconds > 0 ? (bytesDone - bytesAtStart) / seconds : 0));
+        const byBytes = bytesTotal > 0; // Only empty files: count files instead
+        return {
+            value: byBytes ? bytesDone : done,
+            total: byBytes ? bytesTotal : total,
+            payload: {
+                files: done, totalFiles: total, bytes: formatBytes(bytesDone), totalBytes: formatBytes(bytesTotal),
+                speed: argv.concurrency === 'auto' ? `${speed} ${i18n.__('(%d workers)', concurrency)}` : speed
+            }
+        };
+    };
+    const fileBarPayload = ({ name, size, bytes }) => ({ name, bytes: formatBytes(bytes), totalBytes: formatBytes(size) });
+    const addFileBar = (file, stream) => {
+        fileBars.set(file, multibar.create(stream.size, stream.bytes, fileBarPayload(stream), { format: fileBarFormat }));
+    };
+    const updateBar = () => {
+        if (!barActive) return;
+        const { value, payload } = barValues();
+        bar.update(value, payload);
+    };
+    const startBar = () => {
+        const { value, total, payload } = barValues();
+        multibar = new cliProgress.MultiBar(barOptions, cliProgress.Presets.shades_classic);
+        bar = multibar.create(total, value, payload);
+        for (const [file, stream] of streaming) addFileBar(file, stream);
+        barActive = true;
+    };
+    const stopBar = () => {
+        if (barActive) multibar.stop();
+        barActive = false;
+        fileBars.clear();
+    };
+    const renderWatchStatus = (totals) => {
+        const line = i18n.__('Watching, %d copied, %d updated, %d deleted, %d failed (Ctrl+C to stop)', totals.copied + totals.renamed, totals.updated, totals.deleted, totals.failed);
+        if (showProgress) process.stdout.write(`\r\x1b[K${chalk.cyan(line)}`); // Rewrite the same line
+        else print(line);
+    };
+    const onProgress = (event) => {
+        switch (event.type) {
+            case 'search':
+                spinner.start(i18n.__('🔍 Searching in %s for extensions [%s]', event.sources.join(', '), event.extensions.join(', ')));
+                break;
+            case 'found':
+                spinner.succeed(i18n.__('Found %d file(s) matching criteria.', event.files));
+                break;
+            case 'start':
+                // A resumed run starts at the files it finished earlier
+                Object.assign(copyProgress, {
+                    done: event.done, total: event.total, bytesDone: event.bytesDone, bytesTotal: event.bytesTotal,
+                    bytesAtStart: event.bytesDone, startedAt: Date.now(), concurrency: event.concurrency
+                });
+                if (showProgress && event.total > 0) {
+                    startBar();
+                } else if (!showProgress) {
+                    // Log progress start in non-TTY environment instead of showing bar
+                    logger.info(i18n.__('Progress bar disabled in non-TTY environment. Starting copy...'));
+                }
+                break;
+            case 'file':
+                // Failures included, to keep the total count correct
+                Object.assign(copyProgress, { done: event.done, bytesDone: event.bytesDone, concurrency: event.concurrency });
+                updateBar();
+                break;
+            case 'stream': {
+                if (event.finished) {
+                    streaming.delete(event.file);
+                    if (fileBars.has(event.file)) multibar.remove(fileBars.get(event.file));
+                    fileBars.delete(event.file);
+                    break;
+                }
+                const stream = { name: path.basename(event.target), size: event.size, bytes: event.bytes };
+                streaming.set(event.file, stream);
+                if (barActive && !fileBars.has(event.file)) addFileBar(event.file, stream);
+                else if (barActive) fileBars.get(event.file).update(stream.bytes, fileBarPayload(stream));
+                updateBar();
+                break;
+            }
+            case 'watch':
+                stopBar();
+                print(chalk.cyan(i18n.__('Watching %s for changes (press Ctrl+C to stop)', event.sources.join(', '))));
+                renderWatchStatus(event.totals);
+                break;
+            case 'batch':
+                renderWatchStatus(event.totals);
+                break;
+        }
+    };
 
-    // Validate that we have valid sources and extensions
-    if (sourceDirsList.length === 0 || extensionsList.length === 0) {
-        spinner.fail(chalk.red(i18n.__('Invalid or empty source directories or extensions provided.')));
-        process.exit(1);
+    // --- Conflict Prompt (--on-conflict ask) ---
+    // Copies run concurrently, so prompts are queued and asked one at a time with the progress
+    // bar paused. An "... all" answer is reused for every later conflict without asking.
+    let conflictAnswerForAll = null;
+    let conflictQueue = Promise.resolve();
+    async function askConflict({ source, target }) {
+        if (conflictAnswerForAll) return conflictAnswerForAll;
+        const barPaused = barActive;
+        stopBar();
+        try {
+            const answer = await select({
+                message: i18n.__('%s already exists (copying %s)', path.relative(process.cwd(), target), path.relative(process.cwd(), source)),
+                choices: [
+                    { name: i18n.__('Overwrite'), value: 'overwrite' },
+                    { name: i18n.__('Rename'), value: 'rename' },
+                    { name: i18n.__('Skip'), value: 'skip' },
+                    { name: i18n.__('Overwrite all'), value: 'overwrite-all' },
+                    { name: i18n.__('Rename all'), value: 'rename-all' },
+                    { name: i18n.__('Skip all'), value: 'skip-all' }
+                ]
+            });
+            const [choice, scope] = answer.split('-');
+            if (scope === 'all') conflictAnswerForAll = choice;
+            return choice;
+        } catch (promptError) {
+            // A cancelled prompt skips this and every later conflict
+            conflictAnswerForAll = 'skip';
+            throw promptError;
+        } finally {
+            if (barPaused) startBar();
+        }
     }
-    // Update spinner text with more detail
-    spinner.text = i18n.__('🔍 Searching in %s for extensions [%s]', sourceDirsList.join(', '), extensionsList.join(', '));
+    const resolveConflict = (conflict) => {
+        const answer = conflictQueue.then(() => askConflict(conflict));
+        conflictQueue = answer.catch(() => {});
+        return answer;
+    };
 
-    // Generate glob patterns for fast-glob
-    const patterns = sourceDirsList.flatMap(dir =>
-        extensionsList.map(e => path.join(dir, `**/*.${e}`).replace(/\\/g, '/')) // Ensure forward slashes
-    );
-    logger.debug('Glob patterns:', patterns); // Log patterns if debug enabled
+    // Ctrl+C lets the copies in progress finish, then stops (the normal end of --watch); the
+    // checkpoint of an interrupted copy is kept for --resume
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+        if (controller.signal.aborted) return; // Also sent again by the cursor restore handler of ora and the progress bar
+        controller.abort();
+        if (!watchMode) {
+            stopBar();
+            print(chalk.yellow(i18n.__('Stopping after the copies in progress...')));
+        }
+    });
 
-    let files = []; // Array to hold found file paths
-    try {
-        // Execute the search using fast-glob
-        files = await fg(patterns, {
-            dot: false,                // Exclude dotfiles (like .git)
-            onlyFiles: true,           // Ensure we only get files, not directories
-            absolute: true,            // Get absolute paths for easier handling later
-            caseSensitiveMatch: false, // More user-friendly on Windows/macOS
-            ignore: ['**/node_modules/**'] // Commonly ignored directory
+    // --- Jobs (copy-cli run) ---
+    // Sequential jobs share the spinner and progress bar; parallel jobs only print their summaries.
+    if (jobsMode) {
+        const parallel = argv.parallel && jobRuns.length > 1;
+        const startedAt = Date.now();
+        const outcome = await runJobs(jobRuns, { parallel }, {
+            logger, i18n, hooks, transforms, signal: controller.signal,
+            onProgress: parallel ? undefined : onProgress,
+            resolveConflict: interactive ? resolveConflict : undefined,
+            onJobStart: ({ name }) => print(chalk.bold(i18n.__('Running job %s', name))),
+            onJobEnd: ({ name, result, error }) => {
+                stopBar();
+                if (error) {
+                    if (spinner.isSpinning) spinner.fail(chalk.red(i18n.__('Error during file search.')));
+                    logger.error(error.message, error.cause ?? error);
+                    console.error(chalk.red(i18n.__('Job %s failed: %s', name, error.message)));
+                    return;
+                }
+                if (result.dryRun) printPlan(result);
+                const { copied, renamed, updated, skipped, deleted, failed } = result.totals;
+                const summary = i18n.__('Job %s: %d copied, %d renamed, %d updated, %d skipped, %d deleted, %d failed', name, copied, renamed, updated, skipped, deleted, failed);
+                print(result.errors.length > 0 ? chalk.yellow(summary) : chalk.green(summary));
+                result.errors.forEach(err => console.error(chalk.red(` - ${err.file}: ${err.error}`)));
+                if (result.runId) print(chalk.gray(i18n.__('Undo this run with copy-cli undo %s', result.runId)));
+            }
         });
-        // Stop spinner with success message
-        spinner.succeed(i18n.__('Found %d file(s) matching criteria.', files.length));
-    } catch (searchError) {
-        // Handle errors during file search
-        spinner.fail(chalk.red(i18n.__('Error during file search.')));
-        logger.error('File search error details:', searchError); // Log details if enabled
-        process.exit(1);
-    }
 
-    // Check if any files were found
-    if (!files.length) {
-        logger.warn(i18n.__('No files found matching the specified criteria. Nothing to copy.')); // Log if enabled
-        console.log(i18n.__('No files found matching the specified criteria. Nothing to copy.')); // Always inform user
-        process.exit(0); // Exit gracefully as there's nothing to do
+        // --- Overall Summary ---
+        const { copied, renamed, updated, skipped, deleted, failed } = outcome.totals;
+        const succeededJobs = outcome.jobs.length - outcome.failedJobs;
+        print(chalk.bold(i18n.__('%d of %d job(s) completed without errors', succeededJobs, outcome.jobs.length)));
+        print(chalk.cyan(i18n.__('Total %d copied, %d renamed, %d updated, %d skipped, %d deleted, %d failed', copied, renamed, updated, skipped, deleted, failed)));
+        if (argv.report || jsonOutput) {
+            await writeRunReport(buildJobsReport({
+                jobs: outcome.jobs.map(({ name, result, error }) => ({
+                    name,
+                    report: result && buildReport({ files: result.files, options: result.options, startedAt: result.startedAt, version: pkg.version, dryRun: result.dryRun }),
+                    error: error?.message ?? null
+                })),
+                startedAt, version: pkg.version, dryRun: jobRuns.every(job => job.options.dryRun)
+            }));
+        }
+        printHookFailures();
+        process.exit(exitCodeOfJobs(outcome));
     }
 
-
-    // --- Dry Run ---
-    if (dryRun) {
-        // If dry run flag is set, just print what would happen
-        console.log(chalk.yellow(i18n.__('--- DRY RUN MODE ---')));
-        console.log(i18n.__('The following operations would be performed:'));
-        files.forEach(file => {
-            // Calculate source and potential target paths relative to current directory
-            const sourceRelativePath = path.relative(process.cwd(), file);
-            const base = path.basename(file, path.extname(file));
-            const targetName = `${base}.${targetExt}`;
-            const targetFullPath = path.join(dest, targetName);
-            const targetRelativePath = path.relative(process.cwd(), targetFullPath);
-
-            let existsStatus = ''; // Check if target would exist and how it would be handled
+    // --- Review (--review) ---
+    // The search and plan run first, then only the files the user checks are copied (or shown by
+    // --dry-run). The selection can be saved as a file list for a later run with --files-from.
+    if (reviewMode) {
+        let plan;
+        try {
+            plan = await planCopy(copyOptions, { logger, i18n, hooks, transforms, onProgress });
+        } catch (planError) {
+            if (spinner.isSpinning) spinner.fail(chalk.red(i18n.__('Error during file search.')));
+            if (!(planError instanceof CopyCliError)) throw planError; // Unexpected: handled as a critical error below
+            logger.error(planError.message, planError.cause ?? planError);
+            console.error(chalk.red(planError.message));
+            process.exit(exitCodeOfError(planError));
+        }
+        // With nothing found, the copy below says so
+        if (plan.entries.length > 0) {
+            let selection, listFile;
             try {
-                if (fsSync.existsSync(targetFullPath)) { // Use sync check for simplicity in dry run
-                    existsStatus = overwrite
-                        ? ` ${chalk.magenta(i18n.__('[Info] Target exists - would overwrite'))}`
-                        : ` ${chalk.yellow(i18n.__('[Warning] Target exists - would rename'))}`;
+                selection = await reviewPrompt({
+                    message: i18n.__('Check the files to copy'),
+                    entries: plan.entries,
+                    rename: Boolean(plan.options.rename),
+                    describe: planEntryLabels(plan),
+                    texts: {
+                        help: i18n.__('Space checks a file or a whole folder, ctrl+a every shown file, typing filters, escape clears the filter, enter confirms'),
+                        selected: (count, total) => i18n.__('%d of %d file(s) checked', count, total),
+                        noMatch: i18n.__('No file matches the filter'),
+                        nothingSelected: i18n.__('Check at least one file')
+                    }
+                });
+                listFile = (await input({ message: i18n.__('Save the selection as a file list for --files-from (leave empty to skip)') })).trim();
+            } catch (promptError) {
+                console.error(chalk.red(`\nReview cancelled or failed.`), promptError.message);
+                process.exit(EXIT_CODES.CANCELLED);
+            }
+            if (listFile) {
+                try {
+                    await writeFileList(listFile, selection, { comment: i18n.__('Files checked with --review, for --files-from') });
+                    print(chalk.green(i18n.__('Saved the selection of %d file(s) to %s', selection.length, listFile)));
+                } catch (listError) {
+                    // The copy still runs: the selection was confirmed
+                    logger.error(i18n.__('Failed to save the file list %s', listFile), listError);
+                    console.error(chalk.red(i18n.__('Failed to save the file list %s', listFile)), listError.message);
                 }
-            } catch { /* Ignore errors checking existence in dry run */ }
+            }
+            // The checked entries are copied as planned, so each file gets the target the review showed
+            const checked = new Set(selection);
+            copyOptions.plan = plan.entries.filter(entry => checked.has(entry.file));
+        }
+    }
 
-            // Print the planned operation
-            console.log(` • Copy: ${chalk.blue(sourceRelativePath)} → ${chalk.green(targetRelativePath)}${existsStatus}`);
+    // --- Search, Plan and Copy ---
+    let result;
+    try {
+        result = await runCopy(copyOptions, {
+            logger, i18n, hooks, transforms, onProgress, signal: controller.signal,
+            resolveConflict: interactive ? resolveConflict : undefined // Without prompts, --on-conflict ask is an error
         });
-        console.log(chalk.yellow(i18n.__('--- END DRY RUN ---')));
-        process.exit(0); // Exit after dry run
+    } catch (runError) {
+        stopBar();
+        if (spinner.isSpinning) spinner.fail(chalk.red(i18n.__('Error during file search.')));
+        if (!(runError instanceof CopyCliError)) throw runError; // Unexpected: handled as a critical error below
+        logger.error(runError.message, runError.cause ?? runError);
+        console.error(chalk.red(runError.message));
+        process.exit(exitCodeOfError(runError));
     }
+    stopBar();
+    const exitCode = exitCodeOfRun(result); // See lib/exit.js
 
-    // --- File Copy Execution ---
-    const limit = pLimit(concurrency); // Create concurrency limiter instance
-    logger.info(i18n.__('Starting copy process with concurrency=%d', concurrency)); // Log start if enabled
-
-    // Configure the progress bar
-    const bar = new cliProgress.SingleBar({
-        format: `${chalk.cyan(i18n.__('Copying'))} | {bar} | {percentage}% || {value}/{total} ${i18n.__('Files')} {eta_formatted}`, // Include ETA
-        barCompleteChar: '\u2588',
-        barIncompleteChar: '\u2591',
-        hideCursor: true,
-        etaBuffer: 100, // Adjust buffer for smoother ETA calculation
-        // Handle non-TTY environments gracefully (e.g., CI, file redirection)
-        noTTYOutput: !process.stdout.isTTY, // Disable fancy bar if not TTY
-        notTTYSchedule: 5000 // Update interval in ms when not TTY (if needed for logging)
-    }, cliProgress.Presets.shades_classic);
-
-    // Start progress bar only if in an interactive terminal
-    if (process.stdout.isTTY) {
-        bar.start(files.length, 0);
-    } else {
-        // Log progress start in non-TTY environment instead of showing bar
-        logger.info(i18n.__('Progress bar disabled in non-TTY environment. Starting copy...'));
+    // Check if any files were found
+    if (result.plan.length === 0 && !watchMode) {
+        print(i18n.__('No files found matching the specified criteria. Nothing to copy.')); // Always inform user
+        await completeRun(result);
+        process.exit(exitCode); // Nothing to do, which scripts can tell from the exit code
     }
 
-    // Prepare arrays for promises and errors
-    const copyPromises = [];
-    const errors = [];
-    let copiedCount = 0; // Counter for successfully copied files
-
-    // Iterate over each file found and create a limited promise for copying it
-    for (const file of files) {
-        copyPromises.push(limit(async () => {
-            const sourceRelative = path.relative(process.cwd(), file); // For logging purposes
-            try {
-                // Determine base filename and initial target path
-                const base = path.basename(file, path.extname(file));
-                let targetName = `${base}.${targetExt}`;
-                let targetPath = path.join(dest, targetName);
-
-                // Handle non-overwrite logic: check if target exists and rename if needed
-                if (!overwrite) {
-                    let i = 1;
-                    let currentTargetPath = targetPath;
-                    // Loop to find a non-existent filename
-                    while (true) {
-                         try {
-                             // Check if file exists using async access check
-                             await fs.access(currentTargetPath, fs.constants.F_OK);
-                             // File exists, generate a new name with suffix _i
-                             targetName = `${base}_${i}.${targetExt}`;
-                             currentTargetPath = path.join(dest, targetName);
-                             i++;
-                         } catch (e) {
-                             // File does not exist, use this path
-                             targetPath = currentTargetPath;
-                             break; // Exit the while loop
-                         }
-                     }
-                }
 
-                // Perform the actual file copy operation
-                await fs.copyFile(file, targetPath);
-                copiedCount++; // Increment success counter
-                // Log successful copy details if verbose logging is enabled
-                logger.verbose(`Copied: ${sourceRelative} -> ${path.relative(process.cwd(), targetPath)}`);
-                // Increment progress bar only if it was started (TTY environment)
-                if (process.stdout.isTTY) bar.increment();
-
-            } catch (copyError) {
-                // Handle errors during individual file copy
-                logger.error(i18n.__('Error copying file %s:'), sourceRelative, copyError); // Log error if enabled
-                errors.push({ file: sourceRelative, error: copyError.message || copyError }); // Store error details
-                // Increment bar even on error if TTY to keep total count correct
-                 if (process.stdout.isTTY) bar.increment();
-            }
-        }));
+    // --- Dry Run ---
+    if (dryRun) {
+        // If dry run flag is set, just print what would happen
+        printPlan(result);
+        await completeRun(result);
+        process.exit(exitCode); // Exit after dry run
     }
 
-    // Wait for all copy promises (respecting concurrency limit) to settle
-    await Promise.all(copyPromises);
-
-    // Stop progress bar if it was started
-    if (process.stdout.isTTY) bar.stop();
-
     // --- Post-execution Summary ---
-    const finalSuccessCount = copiedCount; // Use the counter incremented on actual success
+    const { copied, renamed, updated, skipped, deleted } = result.totals;
+    const errors = result.errors;
+    const finalSuccessCount = copied + renamed + updated; // Files actually written
+    if (watchMode) {
+        if (showProgress) process.stdout.write('\n'); // End the status line
+        print(chalk.cyan(i18n.__('Watch session summary %d copied, %d renamed, %d updated, %d skipped, %d deleted, %d failed',
+            copied, renamed, updated, skipped, deleted, errors.length)));
+    }
+    if (result.runId) {
+        print(chalk.gray(i18n.__('Undo this run with copy-cli undo %s', result.runId)));
+    }
+    if (result.aborted && !watchMode) {
+        // Interrupted: tell how far the copy got and how to continue
+        stopBar();
+        print(chalk.yellow(i18n.__('Copy interrupted after %d of %d file(s)', result.resumed + result.totals.total, result.plan.length)));
+        if (result.checkpoint) print(chalk.yellow(i18n.__('Continue with copy-cli --resume %s', result.checkpoint)));
+        await completeRun(result);
+        process.exit(exitCode);
+    }
+    await completeRun(result);
+    if (result.archive) {
+        print(chalk.cyan(i18n.__('Archive written to %s', path.relative(process.cwd(), result.archive.file))));
+    }
+    // Average throughput of the bytes actually written
+    const writtenBytes = result.files.filter(file => ['copied', 'renamed', 'updated'].includes(file.status)).reduce((sum, file) => sum + (file.size ?? 0), 0);
+    if (writtenBytes > 0 && !watchMode) {
+        const seconds = Math.max(result.durationMs, 1) / 1000;
+        print(chalk.gray(i18n.__('%s written in %ss (%s/s)', formatBytes(writtenBytes), seconds.toFixed(1), formatBytes(writtenBytes / seconds))));
+    }
+    if (result.options.sync) {
+        print(chalk.cyan(i18n.__('Sync summary %d copied, %d updated, %d skipped, %d deleted', copied, updated, skipped, deleted)));
+    }
     if (errors.length > 0) {
         // If errors occurred, print error summary to console
         // Use simple __ for the error count itself
         console.error(chalk.red(i18n.__('Copy operation completed with %d error(s).', errors.length)));
         errors.forEach(err => console.error(chalk.red(` - ${err.file}: ${err.error}`)));
+        if (result.checkpoint) print(chalk.yellow(i18n.__('Retry the failed files with copy-cli --resume %s', result.checkpoint)));
         // Also print number of successes if any, using __n for pluralization
          if (finalSuccessCount > 0) {
             // Use the new keys for singular/plural success count
-            console.log(chalk.yellow(i18n.__n('%d file copied successfully', '%d files copied successfully', finalSuccessCount)));
+            print(chalk.yellow(i18n.__n('%d file copied successfully', '%d files copied successfully', finalSuccessCount)));
          }
          // Log detailed error summary if logging enabled
          logger.error(i18n.__('Copy operation completed with %d error(s). %d succeeded. Errors: %s', errors.length, finalSuccessCount, JSON.stringify(errors)));
-        process.exit(1); // Exit with error code
+        process.exit(exitCode); // Partial or total failure
     } else {
         // If no errors, print success message to console using __n for pluralization
         // Use the new keys for singular/plural completion message
-        console.log(chalk.green(i18n.__n('🚀 Copy operation completed successfully: %d file copied.', '🚀 Copy operation completed successfully: %d files copied.', finalSuccessCount)));
+        print(chalk.green(i18n.__n('🚀 Copy operation completed successfully: %d file copied.', '🚀 Copy operation completed successfully: %d files copied.', finalSuccessCount)));
         // Also log success message if logging enabled, using __n
         logger.info(i18n.__n('🚀 Copy operation completed successfully: %d file copied.', '🚀 Copy operation completed successfully: %d files copied.', finalSuccessCount));
-        process.exit(0); // Exit successfully
+        process.exit(exitCode); // Exit successfully
     }
 
 
@@ -546,7 +1158,7 @@ const argv = await yargsInstance
   logger.error(chalk.red(i18n.__('An unexpected critical error occurred in main execution:')), err); // Log if enabled
   console.error(chalk.red(i18n.__('An unexpected critical error occurred:'))); // Always show critical error
   console.error(err); // Print the full error stack trace
-  process.exit(1); // Exit with error code
+  process.exit(EXIT_CODES.FAILURE); // Exit with error code
 });
 
 // Add top-level error handlers for issues occurring *before* the main async IIFE's catch block
@@ -556,7 +1168,7 @@ process.on('uncaughtException', (err, origin) => {
     try {
         if (logger) logger.error(`FATAL UNCAUGHT EXCEPTION (Origin: ${origin}):`, err);
     } catch { /* ignore logger errors during fatal exit */}
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
 });
 process.on('unhandledRejection', (reason, promise) => {
     console.error(chalk.red('FATAL UNHANDLED REJECTION:'), reason);
@@ -564,5 +1176,5 @@ process.on('unhandledRejection', (reason, promise) => {
     try {
         if (logger) logger.error('FATAL UNHANDLED REJECTION:', { reason, promise });
     } catch { /* ignore logger errors during fatal exit */}
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
 });
@@ -0,0 +1,31 @@
+/**
+ * Public Node.js API of copy-cli (the package's `main` entry).
+ *
+ * @example
+ * import { runCopy } from 'copy-cli';
+ *
+ * const result = await runCopy({ src: ['src'], ext: 'js', targetExt: 'txt', dest: 'out' });
+ * console.log(result.totals); // { total, copied, renamed, updated, skipped, deleted, failed }
+ *
+ * The CLI (index.js) is a thin wrapper over `planCopy` and `runCopy`. The
+ * helpers behind its other commands and extension points are exported too.
+ */
+
+export { planCopy, runCopy, DEFAULT_CONCURRENCY } from './engine.js';
+export { runJobs } from './jobs.js';
+export { DEFAULT_CONFIG_FILES, JOB_OPTION_NAMES, parseJsonc, readConfigFile, isJobsConfig, resolveJobs, selectJobs } from './config.js';
+export { CopyCliError, OptionsError, SearchError, PlanError, ConfigError, SetupError } from './errors.js';
+export { EXIT_CODES, exitCodeOfError, exitCodeOfRun, exitCodeOfJobs } from './exit.js';
+export { createHookRegistry, HOOK_NAMES } from './hooks.js';
+export { createTransformRegistry } from './transforms.js';
+export { LAYOUTS } from './layout.js';
+export { COMPARE_MODES } from './sync.js';
+export { PRESERVE_ATTRIBUTES, SYMLINK_POLICIES } from './metadata.js';
+export { CONFLICT_STRATEGIES, DEFAULT_CONFLICT_TEMPLATE } from './conflict.js';
+export { REPORT_FORMATS, FILE_STATUSES, buildReport, buildJobsReport, formatReport, writeReport } from './report.js';
+export { hashFile, writeManifest, verifyManifest } from './checksum.js';
+export { listRuns, undoRun } from './journal.js';
+export { readCheckpoint, listCheckpoints } from './checkpoint.js';
+export { ARCHIVE_FORMATS, archiveFormatOf, listArchiveEntries } from './archive.js';
+export { parseRate, formatBytes } from './throttle.js';
+export { readFileList, writeFileList } from './filelist.js';
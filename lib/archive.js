@@ -0,0 +1,315 @@
+/**
+ * Zip and tar archives, as copy destination (`--dest bundle.zip`, `--archive tar.gz`)
+ * and as copy source (`--src bundle.zip`).
+ *
+ * Archives are written as a stream, one entry after another, straight to the
+ * archive file: nothing is staged in a temporary folder. Files copied without
+ * transforms are streamed from disk into their entry.
+ *
+ * Entries of a source archive are addressed like files below a folder named
+ * after the archive (`vendor.zip/lib/a.js`), so search filters, layouts and
+ * reports work on them unchanged. Zip entries are read on demand; tar entries
+ * can only be reached by reading the archive from the start, so the entries a
+ * run needs are collected in one pass and held in memory until they are copied.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import yazl from 'yazl';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+
+// Supported values for --archive
+export const ARCHIVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+
+// File extension of each format, as appended to a --dest that has none
+const FORMAT_EXTENSIONS = { zip: 'zip', tar: 'tar', 'tar.gz': 'tar.gz' };
+
+// Entry names use forward slashes on every platform
+const toPosix = (p) => p.replace(/\\/g, '/');
+
+/**
+ * Tell the archive format from a file name (`.zip`, `.tar`, `.tar.gz` or `.tgz`).
+ *
+ * @param {string} file
+ * @returns {'zip'|'tar'|'tar.gz'|null}
+ */
+export function archiveFormatOf(file) {
+    const name = path.basename(String(file)).toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+    if (name.endsWith('.tar')) return 'tar';
+    return null;
+}
+
+/** File extension of an archive format, without the leading dot. */
+export const archiveExtension = (format) => FORMAT_EXTENSIONS[format];
+
+/**
+ * Tell whether a path is an archive file that can be read as a source.
+ * Synchronous, so options can be checked before anything runs.
+ *
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isArchiveFile(file) {
+    return archiveFormatOf(file) !== null && Boolean(fsSync.statSync(file, { throwIfNoEntry: false })?.isFile());
+}
+
+// Collect a whole stream (tar-stream entries are not Node streams, so no `toArray`)
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Entry names that would land outside the extraction folder are never listed
+function safeEntryName(name) {
+    const normalized = toPosix(name).replace(/^(\.\/)+/, '');
+    if (normalized === '' || normalized.startsWith('/') || /^[a-z]:/i.test(normalized)) return null;
+    if (normalized.split('/').includes('..')) return null;
+    return normalized;
+}
+
+// Read every file entry of a tar archive in order, calling `onEntry(info, stream)`;
+// the stream must be consumed (or resumed) before the next entry is read
+async function readTar(file, format, onEntry) {
+    const extract = tar.extract();
+    const done = pipeline(fsSync.createReadStream(file), ...(format === 'tar.gz' ? [zlib.createGunzip()] : []), extract);
+    done.catch(() => {}); // Errors also end the iteration below, which reports them
+    for await (const entry of extract) {
+        const { name, type, size, mtime, mode } = entry.header;
+        const entryName = safeEntryName(name);
+        if ((type === 'file' || type === 'contiguous-file') && entryName) {
+            await onEntry({ name: entryName, size, mtime: mtime ?? new Date(0), mode: 0o100000 | ((mode ?? 0o644) & 0o7777) }, entry);
+        }
+        entry.resume(); // Skip whatever is left of the entry
+    }
+    await done;
+}
+
+// Metadata of a zip entry, in the shape of the tar entries
+function zipEntryInfo(entry, name) {
+    const unixMode = entry.externalFileAttributes >>> 16; // Set by zip tools on Unix-like systems
+    return { name, size: entry.uncompressedSize, mtime: entry.getLastModDate(), mode: unixMode & 0o170000 ? unixMode : 0o100644 };
+}
+
+/**
+ * List the file entries of an archive, in archive order.
+ *
+ * @param {string} file
+ * @returns {Promise<{ name: string, size: number, mtime: Date, mode: number }[]>}
+ */
+export async function listArchiveEntries(file) {
+    const archive = await openArchive(file);
+    try {
+        return [...archive.entries.values()];
+    } finally {
+        await archive.close();
+    }
+}
+
+/**
+ * Open an archive for reading.
+ *
+ * @param {string} file
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.wanted] Entry names that will be read; a tar archive reads
+ *        them all in one pass the first time one of them is needed.
+ * @returns {Promise<{
+ *   format: string,
+ *   entries: Map<string, { name: string, size: number, mtime: Date, mode: number }>,
+ *   read: (name: string) => Promise<Buffer>,
+ *   close: () => Promise<void>
+ * }>}
+ */
+export async function openArchive(file, { wanted = [] } = {}) {
+    const format = archiveFormatOf(file);
+    const entries = new Map();
+
+    if (format === 'zip') {
+        const zipfile = await yauzl.openPromise(file, { lazyEntries: true, autoClose: false });
+        const zipEntries = new Map();
+        try {
+            for await (const entry of zipfile.eachEntry()) {
+                const name = entry.fileName.endsWith('/') ? null : safeEntryName(entry.fileName);
+                if (!name) continue; // Folders and unsafe names
+                entries.set(name, zipEntryInfo(entry, name));
+                zipEntries.set(name, entry);
+            }
+        } catch (listError) {
+            zipfile.close();
+            throw listError;
+        }
+        return {
+            format,
+            entries,
+            async read(name) {
+                const entry = zipEntries.get(name);
+                if (!entry) throw new Error(`No entry ${name} in ${file}`);
+                return readStream(await zipfile.openReadStreamPromise(entry));
+            },
+            async close() {
+                zipfile.close();
+            }
+        };
+    }
+
+    await readTar(file, format, (info) => { entries.set(info.name, info); });
+    const wantedNames = new Set(wanted); // Entries still to be handed out
+    const contents = new Map(); // Entries read ahead, dropped once handed out
+    let pass = null; // Read of the whole archive under way
+    const readWanted = () => readTar(file, format, async (info, stream) => {
+        if (wantedNames.has(info.name) && !contents.has(info.name)) contents.set(info.name, await readStream(stream));
+    });
+    return {
+        format,
+        entries,
+        async read(name) {
+            if (!contents.has(name) && pass) await pass; // It may be read by the pass under way
+            if (!contents.has(name)) {
+                wantedNames.add(name);
+                pass = readWanted();
+                await pass;
+            }
+            const content = contents.get(name);
+            if (!content) throw new Error(`No entry ${name} in ${file}`);
+            contents.delete(name);
+            wantedNames.delete(name);
+            return content;
+        },
+        async close() {
+            contents.clear();
+        }
+    };
+}
+
+/**
+ * Read files that live inside archives given as sources (`<archive>/<entry>` paths).
+ *
+ * @param {string[]} archives Absolute paths of the source archives.
+ * @param {string[]} [files]  Paths the run will read, so tar archives can read them in one pass.
+ * @returns {{
+ *   has: (file: string) => boolean,
+ *   stat: (file: string) => Promise<{ size: number, mtime: Date, mtimeMs: number, mode: number }>,
+ *   read: (file: string) => Promise<Buffer>,
+ *   close: () => Promise<void>
+ * }}
+ */
+export function createArchiveSourceReader(archives, files = []) {
+    const opened = new Map(); // Archive path -> promise of the open archive
+    const locate = (file) => {
+        const archive = archives.find(a => file.startsWith(a + path.sep));
+        return archive ? { archive, name: toPosix(file.slice(archive.length + 1)) } : null;
+    };
+    const open = (archive) => {
+        if (!opened.has(archive)) {
+            const wanted = files.map(locate).filter(found => found?.archive === archive).map(found => found.name);
+            opened.set(archive, openArchive(archive, { wanted }));
+        }
+        return opened.get(archive);
+    };
+    return {
+        has: (file) => locate(file) !== null,
+        async stat(file) {
+            const { archive, name } = locate(file);
+            const info = (await open(archive)).entries.get(name);
+            if (!info) throw Object.assign(new Error(`ENOENT: no entry ${name} in ${archive}`), { code: 'ENOENT' });
+            return { size: info.size, mtime: info.mtime, mtimeMs: info.mtime.getTime(), mode: info.mode };
+        },
+        async read(file) {
+            const { archive, name } = locate(file);
+            return (await open(archive)).read(name);
+        },
+        async close() {
+            const archivesOpened = await Promise.allSettled(opened.values());
+            await Promise.all(archivesOpened.filter(a => a.status === 'fulfilled').map(a => a.value.close()));
+            opened.clear();
+        }
+    };
+}
+
+/**
+ * Create an archive and add entries to it one after another.
+ *
+ * @param {string} file
+ * @param {'zip'|'tar'|'tar.gz'} format
+ * @param {object} [options]
+ * @param {boolean} [options.exclusive=false] Fail with EEXIST instead of replacing an existing file.
+ * @returns {Promise<{
+ *   add: (name: string, content: Buffer|import('stream').Readable, info: { size: number, mtime: Date, mode: number }) => Promise<void>,
+ *   finish: () => Promise<void>,
+ *   abort: () => Promise<void>
+ * }>} `add` calls are queued; an entry that fails half-way leaves the archive unusable, so
+ *     `finish` then rejects and the caller should `abort`, which removes the file.
+ */
+export async function createArchiveWriter(file, format, { exclusive = false } = {}) {
+    const output = fsSync.createWriteStream(file, { flags: exclusive ? 'wx' : 'w' });
+    await once(output, 'open'); // EEXIST and permission errors surface here
+
+    let failure = null; // First error that broke the archive
+    const fail = (error) => { failure ??= error; };
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const run = queue.then(() => {
+            if (failure) throw failure;
+            return task();
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    let addEntry, end, written;
+    if (format === 'zip') {
+        const zipfile = new yazl.ZipFile();
+        zipfile.on('error', fail);
+        written = pipeline(zipfile.outputStream, output);
+        addEntry = (name, content, { size, mtime, mode }) => {
+            if (Buffer.isBuffer(content)) {
+                zipfile.addBuffer(content, name, { mtime, mode });
+                return Promise.resolve();
+            }
+            // The entry is done once yazl has read the whole stream
+            return new Promise((resolve, reject) => {
+                content.once('end', resolve).once('error', reject);
+                zipfile.addReadStreamLazy(name, { mtime, mode, size }, (callback) => callback(null, content));
+            });
+        };
+        end = () => zipfile.end();
+    } else {
+        const pack = tar.pack();
+        written = pipeline(pack, ...(format === 'tar.gz' ? [zlib.createGzip()] : []), output);
+        addEntry = (name, content, { size, mtime, mode }) => new Promise((resolve, reject) => {
+            const header = { name, size: Buffer.isBuffer(content) ? content.length : size, mtime, mode: mode & 0o7777 };
+            if (Buffer.isBuffer(content)) {
+                pack.entry(header, content, (error) => error ? reject(error) : resolve());
+                return;
+            }
+            const sink = pack.entry(header, (error) => error ? reject(error) : resolve());
+            pipeline(content, sink).catch(reject);
+        });
+        end = () => pack.finalize();
+    }
+    written.catch(fail);
+
+    return {
+        add: (name, content, info) => enqueue(() => addEntry(name, content, info).catch((error) => {
+            fail(error);
+            throw error;
+        })),
+        async finish() {
+            await queue;
+            if (failure) throw failure;
+            end();
+            await written;
+        },
+        async abort() {
+            output.destroy();
+            await fs.rm(file, { force: true });
+        }
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Checkpoints that let an interrupted copy run be resumed (`--resume`).
+ *
+ * A real run saves a folder `<checkpointDir>/<id>/` before copying:
+ * - `plan.json`:   the options in effect and every planned file, in plan order,
+ * - `done.ndjson`: one line per finished file (its index in the plan and the
+ *                  target it was written to), appended as files finish.
+ *
+ * A run that copies every file removes its checkpoint. One that is stopped
+ * (Ctrl+C, a crash, a lost SSH session) or where some files failed leaves it
+ * behind, and resuming copies only the files that are not in `done.ndjson` yet. Sources, targets and the
+ * destination are saved as absolute paths, so a run resumed from another folder writes to the same place;
+ * the working directory of the run is kept as `cwd`.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+
+const PLAN_FILE = 'plan.json';
+const DONE_FILE = 'done.ndjson';
+
+// Options holding paths that the copy itself reads or writes, made absolute in the saved options
+const resolveOptionPaths = (options, cwd) => ({
+    ...options,
+    src: options.src && options.src.split(',').map(source => path.resolve(cwd, source)).join(','),
+    dest: options.dest && path.resolve(cwd, options.dest),
+    checksums: options.checksums && path.resolve(cwd, options.checksums)
+});
+
+// Plan entries with absolute paths (checkpoints saved before paths were absolute hold them relative to `cwd`)
+const resolveEntry = ({ file, root, target, targetExt }, cwd) => ({
+    file: path.resolve(cwd, file), root: path.resolve(cwd, root), target: path.resolve(cwd, target), targetExt
+});
+
+// Appends to `done.ndjson`, queued so lines are never interleaved
+function checkpointWriter(id, dir) {
+    let appendQueue = Promise.resolve();
+    return {
+        id,
+        /** Record that the file at `index` of the plan is finished, and where it was written. */
+        done(index, target) {
+            appendQueue = appendQueue.then(() => fs.appendFile(path.join(dir, DONE_FILE), JSON.stringify({ index, target: path.resolve(target) }) + '\n'));
+            return appendQueue;
+        },
+        /** Wait for pending appends, keeping the checkpoint for a later resume. */
+        async close() {
+            await appendQueue.catch(() => {});
+        },
+        /** Delete the checkpoint once the run has completed. */
+        async remove() {
+            await appendQueue.catch(() => {});
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Save the plan of a run that is about to copy.
+ *
+ * @param {object} params
+ * @param {string} params.checkpointDir Folder holding all checkpoints.
+ * @param {string} params.id            Id of the run (the journal's run id when there is one).
+ * @param {object} params.options       Options in effect, used again when resuming.
+ * @param {{ file: string, root: string, target: string, targetExt: string }[]} params.plan
+ */
+export async function createCheckpoint({ checkpointDir, id, options, plan }) {
+    const dir = path.join(checkpointDir, id);
+    await fs.mkdir(dir, { recursive: true });
+    const saved = {
+        id, cwd: process.cwd(), createdAt: new Date().toISOString(),
+        options: resolveOptionPaths(options, process.cwd()),
+        plan: plan.map(entry => resolveEntry(entry, process.cwd()))
+    };
+    await fs.writeFile(path.join(dir, PLAN_FILE), JSON.stringify(saved) + '\n');
+    return checkpointWriter(id, dir);
+}
+
+/** Keep recording finished files in a checkpoint read back by `readCheckpoint`. */
+export const reopenCheckpoint = (checkpoint) => checkpointWriter(checkpoint.id, checkpoint.dir);
+
+/**
+ * Read a checkpoint back.
+ *
+ * @param {string} checkpointDir
+ * @param {string} id
+ * @returns {Promise<{ id: string, dir: string, cwd: string, createdAt: string, options: object, plan: object[], done: Map<number, string> }>}
+ *          `done` maps plan indexes to the target each finished file was written to.
+ */
+export async function readCheckpoint(checkpointDir, id) {
+    const dir = path.join(checkpointDir, id);
+    const saved = JSON.parse(await fs.readFile(path.join(dir, PLAN_FILE), 'utf8'));
+    const done = new Map();
+    let lines = [];
+    try {
+        lines = (await fs.readFile(path.join(dir, DONE_FILE), 'utf8')).split('\n').filter(Boolean);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // Stopped before any file finished
+    }
+    for (const line of lines) {
+        try {
+            const { index, target } = JSON.parse(line);
+            done.set(index, path.resolve(saved.cwd, target));
+        } catch {
+            // The last line of a crashed run may be cut short: that file is simply copied again
+        }
+    }
+    return {
+        ...saved, dir, done,
+        options: resolveOptionPaths(saved.options, saved.cwd),
+        plan: saved.plan.map(entry => resolveEntry(entry, saved.cwd))
+    };
+}
+
+/**
+ * List the checkpoints left by interrupted runs, newest first.
+ *
+ * @param {string} checkpointDir
+ * @returns {Promise<{ id: string, cwd: string, createdAt: string, total: number, done: number }[]>}
+ */
+export async function listCheckpoints(checkpointDir) {
+    let ids;
+    try {
+        ids = await fs.readdir(checkpointDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const checkpoints = [];
+    for (const id of ids.sort().reverse()) {
+        try {
+            const { cwd, createdAt, plan, done } = await readCheckpoint(checkpointDir, id);
+            checkpoints.push({ id, cwd, createdAt, total: plan.length, done: done.size });
+        } catch {
+            // Not a checkpoint folder (or one removed meanwhile): leave it out
+        }
+    }
+    return checkpoints;
+}
@@ -0,0 +1,117 @@
+/**
+ * Content hashing, copy verification and checksum manifests for copy-cli.
+ *
+ * Manifests use the `sha256sum` text format (`<hex digest>  <path>`), with
+ * paths written relative to the manifest's own folder. Running
+ * `sha256sum -c <manifest>` from that folder, or `copy-cli verify <manifest>`
+ * from anywhere, checks the copied files later.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+export const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+// Digest length (hex characters) -> algorithm, for manifests verified without --hash-algorithm
+const ALGORITHM_BY_DIGEST_LENGTH = { 32: 'md5', 40: 'sha1', 64: 'sha256', 96: 'sha384', 128: 'sha512' };
+
+/**
+ * Check that Node.js supports a hash algorithm.
+ * @param {string} algorithm
+ */
+export function isHashAlgorithm(algorithm) {
+    return crypto.getHashes().includes(String(algorithm).toLowerCase());
+}
+
+/**
+ * Hash a file's content without loading it into memory at once.
+ *
+ * @param {string} file
+ * @param {string} [algorithm='sha256']
+ * @param {object} [options]
+ * @param {import('stream').Transform[]} [options.transforms] Streams the content passes through
+ *        first, so the hash is that of the transformed content (as `buildStreamPipeline` creates them).
+ * @returns {Promise<string>} Hex digest.
+ */
+export async function hashFile(file, algorithm = DEFAULT_HASH_ALGORITHM, { transforms = [] } = {}) {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(fsSync.createReadStream(file), ...transforms, async (content) => {
+        for await (const chunk of content) hash.update(chunk);
+    });
+    return hash.digest('hex');
+}
+
+/**
+ * Hash in-memory content (used for transformed files, whose target differs from the source).
+ *
+ * @param {Buffer} content
+ * @param {string} [algorithm='sha256']
+ * @returns {string} Hex digest.
+ */
+export function hashBuffer(content, algorithm = DEFAULT_HASH_ALGORITHM) {
+    return crypto.createHash(algorithm).update(content).digest('hex');
+}
+
+/**
+ * Write a checksum manifest.
+ *
+ * @param {string} manifestPath
+ * @param {{ file: string, hash: string }[]} entries Files (any path form) with their digests.
+ */
+export async function writeManifest(manifestPath, entries) {
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const lines = entries
+        .map(({ file, hash }) => ({ hash, name: path.relative(baseDir, path.resolve(file)).replace(/\\/g, '/') }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ hash, name }) => `${hash}  ${name}`);
+    await fs.mkdir(baseDir, { recursive: true });
+    await fs.writeFile(manifestPath, lines.join('\n') + (lines.length > 0 ? '\n' : ''));
+}
+
+/**
+ * Parse manifest text. Accepts the text (`hash  file`) and binary (`hash *file`) markers of sha*sum.
+ *
+ * @param {string} text
+ * @returns {{ hash: string, file: string, line: number }[]}
+ * @throws {Error} On a line that is not a checksum entry.
+ */
+export function parseManifest(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if (!raw.trim() || raw.startsWith('#')) return;
+        const match = /^([0-9a-fA-F]+) [ *](.+)$/.exec(raw);
+        if (!match) throw new Error(`Invalid checksum line ${index + 1}: ${raw}`);
+        entries.push({ hash: match[1].toLowerCase(), file: match[2], line: index + 1 });
+    });
+    return entries;
+}
+
+/**
+ * Check the files listed in a manifest.
+ *
+ * @param {string} manifestPath
+ * @param {{ algorithm?: string }} [options] Algorithm to use; guessed from the digest length when omitted.
+ * @returns {Promise<{ file: string, status: 'ok'|'mismatch'|'missing', expected: string, actual: string|null, algorithm: string }[]>}
+ */
+export async function verifyManifest(manifestPath, { algorithm } = {}) {
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const entries = parseManifest(await fs.readFile(manifestPath, 'utf8'));
+    const results = [];
+    for (const { hash, file } of entries) {
+        const entryAlgorithm = algorithm ?? ALGORITHM_BY_DIGEST_LENGTH[hash.length];
+        if (!entryAlgorithm) throw new Error(`Cannot tell the hash algorithm of "${file}" (use --hash-algorithm)`);
+        const fullPath = path.resolve(baseDir, file);
+        let actual = null;
+        try {
+            actual = await hashFile(fullPath, entryAlgorithm);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const status = actual === null ? 'missing' : actual === hash ? 'ok' : 'mismatch';
+        results.push({ file, status, expected: hash, actual, algorithm: entryAlgorithm });
+    }
+    return results;
+}
@@ -0,0 +1,273 @@
+/**
+ * Config files for copy-cli (`--config`, `copy-cli run`).
+ *
+ * Config files are JSON with comments (JSONC): `//` and `/* *\/` comments and
+ * trailing commas are allowed. A file is either a flat object of CLI options,
+ * or a jobs file with shared `defaults` and named `jobs`:
+ *
+ *     {
+ *         "defaults": { "ext": "js,ts", "targetExt": "txt" },
+ *         "jobs": {
+ *             "docs":    { "src": "docs", "ext": "md", "dest": "out/docs" },
+ *             "scripts": { "src": "lib,src", "dest": "out/scripts", "layout": "mirror" }
+ *         }
+ *     }
+ *
+ * Either kind of file may also list the plugins to load, npm packages or
+ * paths, each optionally with its options (see lib/plugins.js):
+ *
+ *     { "plugins": ["copy-cli-plugin-foo", { "name": "./tools/stamp.js", "options": { "format": "iso" } }] }
+ *
+ * Jobs are validated before anything runs. Every error names the offending key
+ * (`jobs.docs.layout`) in the language of the `i18n` object passed in.
+ */
+
+import fs from 'fs';
+import { format } from 'util';
+import { LAYOUTS } from './layout.js';
+import { COMPARE_MODES } from './sync.js';
+import { SYMLINK_POLICIES } from './metadata.js';
+import { CONFLICT_STRATEGIES } from './conflict.js';
+import { ARCHIVE_FORMATS } from './archive.js';
+import { parseSize, parseRate } from './throttle.js';
+import { ConfigError } from './errors.js';
+
+// Looked up in the working directory when `copy-cli run` gets no --config
+export const DEFAULT_CONFIG_FILES = ['copy-cli.jsonc', 'copy-cli.json'];
+
+// Untranslated messages, formatted like i18n's `__`
+const plainI18n = { __: (phrase, ...args) => format(phrase, ...args) };
+
+// Options a job may set, with their expected kind of value (an array lists the allowed values)
+const JOB_OPTIONS = {
+    src: 'list', ext: 'list', targetExt: 'string', map: 'map', dest: 'string', archive: ARCHIVE_FORMATS,
+    overwrite: 'boolean', onConflict: CONFLICT_STRATEGIES, conflictTemplate: 'string', layout: LAYOUTS,
+    rename: 'string', renameSearch: 'string', renameReplace: 'text',
+    dryRun: 'boolean', sync: 'boolean', compare: COMPARE_MODES, delete: 'boolean',
+    include: 'list', exclude: 'list', dot: 'boolean', ignoreFile: 'list', gitignore: 'boolean',
+    minSize: 'size', maxSize: 'size', newerThan: 'string', olderThan: 'string', contains: 'string', filesFrom: 'string',
+    preserve: 'list', symlinks: SYMLINK_POLICIES,
+    transform: 'list', banner: 'string', verify: 'boolean', hashAlgorithm: 'string', checksums: 'string',
+    concurrency: 'workers', maxRate: 'rate', streamThreshold: 'size', journal: 'boolean'
+};
+
+// Option names a job may set, also the command line flags `copy-cli run` applies to every job
+export const JOB_OPTION_NAMES = Object.keys(JOB_OPTIONS);
+
+// CLI options that apply to a whole invocation, not to a single job
+const INVOCATION_OPTIONS = ['watch', 'debounce', 'lang', 'logLevel', 'report', 'reportFormat', 'json', 'yes', 'interactive', 'config'];
+
+const REQUIRED_JOB_OPTIONS = ['src', 'ext', 'dest'];
+
+// `dry-run` and `dryRun` are the same key, as on the command line
+const camelCase = (key) => key.replace(/-([a-z])/g, (match, ch) => ch.toUpperCase());
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Index of the next character that is neither whitespace nor part of a comment
+function skipBlank(text, start) {
+    let i = start;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) i++;
+        else if (text.startsWith('//', i)) i = text.includes('\n', i) ? text.indexOf('\n', i) : text.length;
+        else if (text.startsWith('/*', i)) i = text.includes('*/', i + 2) ? text.indexOf('*/', i + 2) + 2 : text.length;
+        else break;
+    }
+    return i;
+}
+
+/**
+ * Parse JSON with comments and trailing commas.
+ * Comments are blanked out rather than removed, so error positions still match the file.
+ *
+ * @param {string} text
+ * @returns {*}
+ * @throws {SyntaxError} With `line` and `column` properties when the position is known.
+ */
+export function parseJsonc(text) {
+    const source = text.replace(/^\uFEFF/, ''); // Editors on Windows may add a byte order mark
+    let json = '';
+    for (let i = 0; i < source.length;) {
+        const ch = source[i];
+        if (ch === '"') {
+            // Strings are copied untouched, escapes included
+            let end = i + 1;
+            while (end < source.length && source[end] !== '"') end += source[end] === '\\' ? 2 : 1;
+            json += source.slice(i, end + 1);
+            i = end + 1;
+        } else if (ch === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+            const lineComment = source[i + 1] === '/';
+            const close = lineComment ? source.indexOf('\n', i) : source.indexOf('*/', i + 2);
+            const end = close === -1 ? source.length : lineComment ? close : close + 2;
+            json += source.slice(i, end).replace(/[^\n]/g, ' ');
+            i = end;
+        } else if (ch === ',' && '}]'.includes(source[skipBlank(source, i + 1)])) {
+            json += ' '; // Trailing comma
+            i++;
+        } else {
+            json += ch;
+            i++;
+        }
+    }
+    try {
+        return JSON.parse(json);
+    } catch (parseError) {
+        const position = Number(/position (\d+)/.exec(parseError.message)?.[1]);
+        const error = new SyntaxError(parseError.message);
+        if (Number.isInteger(position)) {
+            const before = json.slice(0, position).split('\n');
+            error.line = before.length;
+            error.column = before[before.length - 1].length + 1;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read and parse a config file. Synchronous, as yargs' config loader is.
+ *
+ * @param {string} file
+ * @param {{ i18n?: object }} [context]
+ * @returns {object}
+ * @throws {ConfigError}
+ */
+export function readConfigFile(file, { i18n = plainI18n } = {}) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (readError) {
+        throw new ConfigError(i18n.__('Cannot read config file %s', file), { file, cause: readError });
+    }
+    let config;
+    try {
+        config = parseJsonc(text);
+    } catch (parseError) {
+        const message = parseError.line
+            ? i18n.__('Invalid JSON in %s at line %d, column %d', file, parseError.line, parseError.column)
+            : i18n.__('Invalid JSON in %s', file);
+        throw new ConfigError(message, { file, cause: parseError });
+    }
+    if (!isPlainObject(config)) throw new ConfigError(i18n.__('%s must contain a JSON object', file), { file });
+    return config;
+}
+
+/** Tell a jobs file from a flat file of CLI options. */
+export const isJobsConfig = (config) => isPlainObject(config) && Object.prototype.hasOwnProperty.call(config, 'jobs');
+
+// Check one option value; returns the error message, or null when the value is fine
+function checkOptionValue(kind, value, key, i18n) {
+    const isString = (v) => typeof v === 'string' && v.trim().length > 0;
+    if (Array.isArray(kind)) {
+        return kind.includes(value) ? null : i18n.__('%s must be one of %s', key, kind.join(', '));
+    }
+    switch (kind) {
+        case 'string':
+            return isString(value) ? null : i18n.__('%s must be a non-empty string', key);
+        case 'text':
+            return typeof value === 'string' ? null : i18n.__('%s must be a string', key);
+        case 'boolean':
+            return typeof value === 'boolean' ? null : i18n.__('%s must be true or false', key);
+        case 'workers':
+            return value === 'auto' || (Number.isInteger(value) && value >= 1) ? null : i18n.__('%s must be a whole number of at least 1 or auto', key);
+        case 'rate':
+            return parseRate(value) !== null ? null : i18n.__('%s must be a rate like 20MB/s', key);
+        case 'size':
+            return parseSize(value) !== null ? null : i18n.__('%s must be a size like 64MB', key);
+        case 'list':
+            return isString(value) || (Array.isArray(value) && value.length > 0 && value.every(isString))
+                ? null : i18n.__('%s must be a string or a list of strings', key);
+        case 'map':
+            return isString(value) || (Array.isArray(value) && value.every(isString))
+                || (isPlainObject(value) && Object.values(value).every(isString))
+                ? null : i18n.__('%s must be a mapping like "ts:txt" or an object like { "ts": "txt" }', key);
+        default:
+            throw new Error(`Unknown option kind: ${kind}`);
+    }
+}
+
+// Validate an object of job options and return it with camelCase keys
+function validateJobOptions(options, keyPrefix, { file, i18n }) {
+    const fail = (key, message) => { throw new ConfigError(message, { file, key }); };
+    if (!isPlainObject(options)) fail(keyPrefix, i18n.__('%s must be an object', keyPrefix));
+    const normalized = {};
+    for (const [rawKey, value] of Object.entries(options)) {
+        const option = camelCase(rawKey);
+        const key = `${keyPrefix}.${rawKey}`;
+        if (INVOCATION_OPTIONS.includes(option)) fail(key, i18n.__('%s cannot be set per job, pass it on the command line', key));
+        if (!Object.prototype.hasOwnProperty.call(JOB_OPTIONS, option)) fail(key, i18n.__('%s is not a known option', key));
+        if (Object.prototype.hasOwnProperty.call(normalized, option)) fail(key, i18n.__('%s is set twice', key));
+        const problem = checkOptionValue(JOB_OPTIONS[option], value, key, i18n);
+        if (problem) fail(key, problem);
+        normalized[option] = value;
+    }
+    return normalized;
+}
+
+/**
+ * Validate a jobs file and merge the shared defaults into every job.
+ *
+ * @param {object} config Parsed jobs file (see `isJobsConfig`).
+ * @param {{ file?: string, i18n?: object }} [context]
+ * @returns {{ name: string, options: object }[]} Jobs in file order, options with camelCase keys.
+ * @throws {ConfigError}
+ */
+export function resolveJobs(config, { file, i18n = plainI18n } = {}) {
+    const fail = (key, message) => { throw new ConfigError(message, { file, key }); };
+    for (const key of Object.keys(config)) {
+        if (!['defaults', 'jobs', 'plugins', '$schema'].includes(key)) fail(key, i18n.__('%s is not a known option', key));
+    }
+    const defaults = config.defaults === undefined ? {} : validateJobOptions(config.defaults, 'defaults', { file, i18n });
+    if (!isPlainObject(config.jobs)) fail('jobs', i18n.__('%s must be an object', 'jobs'));
+    if (Object.keys(config.jobs).length === 0) fail('jobs', i18n.__('%s must define at least one job', 'jobs'));
+
+    return Object.entries(config.jobs).map(([name, job]) => {
+        const options = { ...defaults, ...validateJobOptions(job, `jobs.${name}`, { file, i18n }) };
+        const missing = REQUIRED_JOB_OPTIONS.find(option => options[option] === undefined);
+        if (missing) fail(`jobs.${name}`, i18n.__('Job %s is missing the required option %s', name, missing));
+        return { name, options };
+    });
+}
+
+/**
+ * Validate the `plugins` list of a config file.
+ *
+ * @param {*} plugins The `plugins` value, undefined when the file has none.
+ * @param {{ file?: string, i18n?: object }} [context]
+ * @returns {{ name: string, options: object, enabled: boolean }[]}
+ * @throws {ConfigError}
+ */
+export function resolvePluginSpecs(plugins, { file, i18n = plainI18n } = {}) {
+    const fail = (key, message) => { throw new ConfigError(message, { file, key }); };
+    if (plugins === undefined) return [];
+    if (!Array.isArray(plugins)) fail('plugins', i18n.__('%s must be a list of package names or { "name", "options" } objects', 'plugins'));
+    return plugins.map((entry, i) => {
+        const key = `plugins[${i}]`;
+        const spec = typeof entry === 'string' ? { name: entry } : entry;
+        if (!isPlainObject(spec)) fail(key, i18n.__('%s must be a package name or a { "name", "options" } object', key));
+        const unknown = Object.keys(spec).find(option => !['name', 'options', 'enabled'].includes(option));
+        if (unknown) fail(`${key}.${unknown}`, i18n.__('%s is not a known option', `${key}.${unknown}`));
+        if (typeof spec.name !== 'string' || spec.name.trim() === '') fail(`${key}.name`, i18n.__('%s must be a non-empty string', `${key}.name`));
+        if (spec.options !== undefined && !isPlainObject(spec.options)) fail(`${key}.options`, i18n.__('%s must be an object', `${key}.options`));
+        if (spec.enabled !== undefined && typeof spec.enabled !== 'boolean') fail(`${key}.enabled`, i18n.__('%s must be true or false', `${key}.enabled`));
+        return { name: spec.name.trim(), options: spec.options ?? {}, enabled: spec.enabled ?? true };
+    });
+}
+
+/**
+ * Pick the jobs named on the command line, in the order given (`all` picks every job, in file order).
+ *
+ * @param {{ name: string }[]} jobs
+ * @param {string[]} names
+ * @param {{ all?: boolean, file?: string, i18n?: object }} [options]
+ * @throws {ConfigError} For an unknown name, or when nothing was selected.
+ */
+export function selectJobs(jobs, names, { all = false, file, i18n = plainI18n } = {}) {
+    const available = jobs.map(job => job.name).join(', ');
+    if (all) return jobs;
+    if (names.length === 0) throw new ConfigError(i18n.__('Name the jobs to run or use --all (available %s)', available), { file });
+    return [...new Set(names)].map(name => {
+        const job = jobs.find(j => j.name === name);
+        if (!job) throw new ConfigError(i18n.__('Unknown job %s (available %s)', name, available), { file, key: `jobs.${name}` });
+        return job;
+    });
+}
@@ -0,0 +1,133 @@
+/**
+ * Conflict handling (`--on-conflict`) for copy-cli.
+ *
+ * A conflict is a target that already exists on disk, or that another source
+ * of the same run has already claimed. Targets are claimed through a
+ * reservation table whose check-and-claim step is synchronous, so two copies
+ * running side by side can never pick the same free name. Sources of one run
+ * that share a target are always told apart by renaming; the strategy decides
+ * what happens to files that were in the destination before the run.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { renderTemplate } from './template.js';
+import { renamedTargetPath } from './layout.js';
+
+// Supported values for --on-conflict
+export const CONFLICT_STRATEGIES = ['overwrite', 'rename', 'skip', 'newer', 'larger', 'ask', 'fail'];
+
+// Answers an `ask` callback may give for a single file
+export const CONFLICT_ANSWERS = ['overwrite', 'rename', 'skip'];
+
+// Name given to the Nth renamed copy, as the `_N` loop always did
+export const DEFAULT_CONFLICT_TEMPLATE = '{name}_{n}.{ext}';
+
+const HASH_TOKEN = /\{hash(\d*)(?::\d*)?\}/;
+
+/**
+ * Check a `--conflict-template`: it must produce a different name for each
+ * attempt (`{n}`) or for each content (`{hash8}`, `{hash:12}`), and stay inside
+ * the target's folder.
+ *
+ * @param {string} template
+ * @returns {boolean}
+ */
+export function isConflictTemplate(template) {
+    return typeof template === 'string'
+        && (template.includes('{n}') || HASH_TOKEN.test(template))
+        && !/[\\/]/.test(template);
+}
+
+/** Tell whether a template needs the hash of the source content. */
+export const templateUsesHash = (template) => HASH_TOKEN.test(template);
+
+/**
+ * Build the name of the Nth renamed copy of a target.
+ *
+ * Tokens: `{name}` (file name without the target extension), `{ext}` (target
+ * extension), `{n}` (attempt, from 1), `{hash8}` / `{hash:N}` (first characters
+ * of the source's content hash). A template without `{n}` gets `_N` added from
+ * the second attempt on, so it can never run out of names.
+ *
+ * @param {string} targetPath  Planned target path.
+ * @param {number} n           Attempt (1, 2, ...).
+ * @param {object} [options]
+ * @param {string} [options.template=DEFAULT_CONFLICT_TEMPLATE]
+ * @param {string} [options.targetExt] Target extension chosen for the file; defaults to the last extension.
+ * @param {string} [options.hash]      Hex content hash, required when the template uses it.
+ * @returns {string}
+ */
+export function conflictTargetPath(targetPath, n, { template = DEFAULT_CONFLICT_TEMPLATE, targetExt, hash = '' } = {}) {
+    const fileName = path.basename(targetPath);
+    const ext = targetExt && fileName.toLowerCase().endsWith(`.${targetExt.toLowerCase()}`) && fileName.length > targetExt.length + 1
+        ? fileName.slice(-targetExt.length)
+        : path.extname(fileName).slice(1);
+    const name = ext ? fileName.slice(0, fileName.length - ext.length - 1) : fileName;
+    let renamed = renderTemplate(template, {
+        name, ext, n,
+        hash: (length) => hash.slice(0, Number(length) || hash.length)
+    }).replace(/\{hash(\d+)\}/g, (match, length) => hash.slice(0, Number(length)));
+    if (!ext) renamed = renamed.replace(/\.$/, ''); // No `name_1.` for files without an extension
+    const renamedPath = path.join(path.dirname(targetPath), renamed);
+    return template.includes('{n}') || n === 1 ? renamedPath : renamedTargetPath(renamedPath, n - 1, ext);
+}
+
+/**
+ * Create the table of targets claimed during one run.
+ * `claim` checks and records in one synchronous step, so it is atomic for every
+ * copy of the run, however many run concurrently.
+ */
+export function createTargetReservations() {
+    const owners = new Map(); // Resolved target -> source that claimed it
+
+    return {
+        /**
+         * Claim a target for a source.
+         * @returns {boolean} false when another source of this run already holds it.
+         */
+        claim(target, source) {
+            const key = path.resolve(target);
+            const owner = owners.get(key);
+            if (owner !== undefined && owner !== source) return false;
+            owners.set(key, source);
+            return true;
+        },
+        /** Give a target up again (e.g. its source was deleted during --watch). */
+        release(target) {
+            owners.delete(path.resolve(target));
+        },
+        has: (target) => owners.has(path.resolve(target))
+    };
+}
+
+/**
+ * Decide what a non-interactive strategy does with a source whose target exists.
+ *
+ * @param {string} strategy One of CONFLICT_STRATEGIES except `ask`.
+ * @param {string} source
+ * @param {string} target
+ * @param {{ size: number, mtimeMs: number }} [sourceStat] Stat of the source, when it is not a file on disk
+ *        (an entry of a source archive).
+ * @returns {Promise<'overwrite'|'rename'|'skip'|'fail'>}
+ */
+export async function decideConflict(strategy, source, target, sourceStat) {
+    switch (strategy) {
+        case 'overwrite':
+        case 'rename':
+        case 'skip':
+        case 'fail':
+            return strategy;
+        case 'newer': {
+            // Replace only with a strictly newer source (to the second, like --sync)
+            const [sourceInfo, targetStat] = await Promise.all([sourceStat ?? fs.stat(source), fs.stat(target)]);
+            return Math.floor(sourceInfo.mtimeMs / 1000) > Math.floor(targetStat.mtimeMs / 1000) ? 'overwrite' : 'skip';
+        }
+        case 'larger': {
+            const [sourceInfo, targetStat] = await Promise.all([sourceStat ?? fs.stat(source), fs.stat(target)]);
+            return sourceInfo.size > targetStat.size ? 'overwrite' : 'skip';
+        }
+        default:
+            throw new Error(`Unknown conflict strategy: ${strategy}`);
+    }
+}
@@ -0,0 +1,1369 @@
+/**
+ * Copy engine behind copy-cli: option checks, search, plan, dry run, copy and watch.
+ *
+ * Nothing in here reads `process.argv`, prompts, draws on the terminal or
+ * exits the process. Invalid options and setup failures are thrown as the
+ * typed errors of ./errors.js; failures of single files are collected in the
+ * result. Progress is reported through an `onProgress` callback, which the
+ * CLI turns into its spinner, progress bar and watch status line.
+ *
+ * Log messages and error messages go through the `i18n` object of the
+ * context (anything with a printf-style `__` method), so the CLI gets them in
+ * the chosen language while library users get plain English by default.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import { format } from 'util';
+import { pipeline } from 'stream/promises';
+import pLimit from 'p-limit';
+import { LAYOUTS, parseExtensionMap, resolveTargetName, resolveTargetPath, renamedTargetPath } from './layout.js';
+import {
+    CONFLICT_STRATEGIES, CONFLICT_ANSWERS, DEFAULT_CONFLICT_TEMPLATE, isConflictTemplate, templateUsesHash,
+    conflictTargetPath, createTargetReservations, decideConflict
+} from './conflict.js';
+import { ARCHIVE_FORMATS, archiveFormatOf, archiveExtension, isArchiveFile, createArchiveSourceReader, createArchiveWriter } from './archive.js';
+import { DEFAULT_RENAME_TEMPLATE, RENAME_TOKENS, CASE_FILTERS, checkRenameTemplate, renameUsesHash, compileRenameSearch, renderRename, sourceRenameVars } from './rename.js';
+import { createHookRegistry } from './hooks.js';
+import { createTransformRegistry, parseTransformSpecs, checkTransformSpecs, buildPipeline, buildStreamPipeline } from './transforms.js';
+import { COMPARE_MODES, compareWithTarget, findOrphans } from './sync.js';
+import { PRESERVE_ATTRIBUTES, SYMLINK_POLICIES, preserveMetadata, copySymlink, compareLink } from './metadata.js';
+import { searchFiles, parseListOption } from './search.js';
+import { parseWhen, createFileFilters, applyFileFilters } from './filters.js';
+import { readFileList, applyFileLists } from './filelist.js';
+import { DEFAULT_HASH_ALGORITHM, isHashAlgorithm, hashFile, hashBuffer, writeManifest } from './checksum.js';
+import { createJournal, createRunId, journaledTargets } from './journal.js';
+import { createCheckpoint, reopenCheckpoint } from './checkpoint.js';
+import { DEFAULT_DEBOUNCE_MS, snapshotFiles, diffSnapshots, watchSources } from './watch.js';
+import { AUTO_CONCURRENCY, parseSize, parseRate, formatBytes, createRateLimiter, createConcurrencyTuner } from './throttle.js';
+import { streamCopy, createByteMeter } from './streaming.js';
+import { OptionsError, SearchError, PlanError, SetupError } from './errors.js';
+
+export const DEFAULT_CONCURRENCY = 5;
+
+// Files larger than this are streamed through a partial file instead of copied in one go
+export const DEFAULT_STREAM_THRESHOLD = 64 * 1024 * 1024;
+
+// Statuses of files whose content was written, as counted by the throughput measures
+const WRITTEN_STATUSES = ['copied', 'renamed', 'updated'];
+
+// Logger used when the caller does not pass one
+const silentLogger = { error() {}, warn() {}, info() {}, verbose() {}, debug() {}, silly() {} };
+// Untranslated messages, formatted like i18n's `__`
+const plainI18n = { __: (phrase, ...args) => format(phrase, ...args) };
+
+/**
+ * @typedef {object} CopyOptions
+ * @property {string|string[]} src        Source folders (comma-separated string or array); zip and tar
+ *           archives are searched through their entries.
+ * @property {string|string[]} ext        Extensions to copy, without the leading dot.
+ * @property {string}  [targetExt]        Output extension; required for extensions `map` does not cover.
+ * @property {string|string[]|object} [map] Per-extension output mapping (see lib/layout.js).
+ * @property {string}  dest               Destination folder, or an archive file (`bundle.zip`, `out.tar.gz`)
+ *           to copy into.
+ * @property {'zip'|'tar'|'tar.gz'} [archive] Copy into an archive of this format (its extension is added
+ *           to `dest` when missing).
+ * @property {boolean} [overwrite=false]  Shorthand for `onConflict: 'overwrite'`.
+ * @property {'overwrite'|'rename'|'skip'|'newer'|'larger'|'ask'|'fail'} [onConflict='rename']
+ *           What to do with a target that already exists (`ask` needs the `resolveConflict` callback).
+ * @property {string}  [conflictTemplate='{name}_{n}.{ext}'] Name of renamed copies (see lib/conflict.js).
+ * @property {string}  [rename]           Template of target names, like `{name|kebab}.{ext}` (see lib/rename.js).
+ * @property {string}  [renameSearch]     Regular expression replaced in every `{name}`.
+ * @property {string}  [renameReplace=''] Replacement for `renameSearch` (`$1` for groups).
+ * @property {'flat'|'mirror'|'prefixed'} [layout='flat']
+ * @property {boolean} [dryRun=false]     Only plan; `runCopy` then writes nothing.
+ * @property {boolean} [sync=false]
+ * @property {'mtime'|'hash'} [compare='mtime']
+ * @property {boolean} [delete=false]     Remove targets whose source is gone (with `sync` or `watch`).
+ * @property {string|string[]} [include]
+ * @property {string|string[]} [exclude]
+ * @property {boolean} [dot=false]
+ * @property {string|string[]} [ignoreFile]
+ * @property {boolean} [gitignore=false]
+ * @property {string|number} [minSize]   Leave out files smaller than this (`1KB`, or bytes).
+ * @property {string|number} [maxSize]   Leave out files larger than this (`50MB`, or bytes).
+ * @property {string}  [newerThan]        Only files modified after a date (`2025-01-31`), a duration ago
+ *           (`7d`, also `s`, `m`, `h` and `w`) or the modification of a reference file.
+ * @property {string}  [olderThan]        Only files modified before, same values as `newerThan`.
+ * @property {string}  [contains]         Only files with a line matching this regular expression.
+ * @property {string}  [filesFrom]        Only files named in this list file (see lib/filelist.js).
+ * @property {object[]} [plan]            Entries of `planCopy` to copy as they are, instead of searching: every
+ *           file keeps the target it was planned with (e.g. the files a user picked from the plan).
+ * @property {string|string[]} [preserve] Source attributes the targets keep: `timestamps`, `mode`, `ownership`
+ *           (see lib/metadata.js).
+ * @property {'follow'|'copy-link'|'skip'} [symlinks='follow'] What to do with symbolic links the search finds.
+ * @property {string|string[]} [transform] Content transforms, in order.
+ * @property {string}  [banner]
+ * @property {boolean} [verify=false]
+ * @property {string}  [hashAlgorithm='sha256']
+ * @property {string}  [checksums]        Checksum manifest to write.
+ * @property {number|'auto'} [concurrency=5] Parallel copies; `auto` adjusts them to the measured throughput.
+ * @property {string|number} [maxRate]    Limit on the bytes written per second by all copies together,
+ *           like `20MB/s` (a number is bytes per second).
+ * @property {string|number} [streamThreshold='64MB'] Files above this size are streamed into a partial
+ *           file that is renamed into place when complete, with progress events along the way.
+ * @property {boolean} [watch=false]      Keep copying changes until the `signal` aborts.
+ * @property {number}  [debounce=300]
+ * @property {string}  [journalDir]       Record the run in this undo journal folder (no journal when omitted).
+ * @property {string}  [checkpointDir]    Save a checkpoint in this folder so an interrupted run can be resumed.
+ * @property {object}  [resume]           Checkpoint from `readCheckpoint` to resume: its plan is copied
+ *           again except for the files already done (pass the checkpoint's `options` along with it).
+ */
+
+/**
+ * @typedef {object} EngineContext
+ * @property {object} [logger]     winston-like logger (`error`, `warn`, `info`, `verbose`, `debug`).
+ * @property {object} [i18n]       Translator with a printf-style `__` method.
+ * @property {object} [hooks]      Registry from `createHookRegistry` (plugins' lifecycle hooks).
+ * @property {object} [transforms] Registry from `createTransformRegistry`.
+ * @property {(event: object) => void} [onProgress] Progress events, see `runCopy`.
+ * @property {(conflict: { source: string, target: string }) => Promise<'overwrite'|'rename'|'skip'>} [resolveConflict]
+ *           Answers `onConflict: 'ask'` for one file. Calls may overlap when copies run concurrently.
+ * @property {AbortSignal} [signal]
+ */
+
+// Fill in the context defaults
+function createContext({ logger = silentLogger, i18n = plainI18n, hooks, transforms, onProgress, resolveConflict, signal } = {}) {
+    return {
+        logger,
+        i18n,
+        hooks: hooks ?? createHookRegistry({ logger, i18n }),
+        transforms: transforms ?? createTransformRegistry(),
+        progress: (event) => onProgress?.(event),
+        resolveConflict,
+        signal
+    };
+}
+
+// Whether anything (file or folder) exists at a path
+const pathExists = (p) => fs.access(p).then(() => true, () => false);
+
+// Split source and extension lists ("a,b c;d" or arrays of those)
+const splitList = (value) => [value ?? []].flat().flatMap(v => String(v).split(/[,;\s]+/)).map(v => v.trim()).filter(Boolean);
+
+/**
+ * Check and resolve options.
+ *
+ * @param {CopyOptions} options
+ * @param {ReturnType<typeof createContext>} context
+ * @throws {OptionsError}
+ */
+function resolveOptions(options, { i18n, transforms, resolveConflict, signal }) {
+    const fail = (option, message) => { throw new OptionsError(message, { option }); };
+    const invalid = (option, value) => fail(option, i18n.__('Invalid value %s for --%s', String(value), option));
+
+    const sources = splitList(options.src);
+    const extensions = splitList(options.ext).map(e => e.replace(/^\./, '')); // `.js` means `js`
+    if (sources.length === 0) fail('src', i18n.__('Missing required option --%s', 'src'));
+    if (extensions.length === 0) fail('ext', i18n.__('Missing required option --%s', 'ext'));
+    if (typeof options.dest !== 'string' || options.dest.trim() === '') fail('dest', i18n.__('Missing required option --%s', 'dest'));
+
+    let extMap;
+    try {
+        extMap = parseExtensionMap(options.map);
+    } catch (mapError) {
+        fail('map', i18n.__('Invalid value provided for --map %s', mapError.message));
+    }
+    const targetExt = options.targetExt == null || options.targetExt === '' ? undefined : String(options.targetExt).trim().replace(/^\./, '');
+    if (targetExt === undefined && extensions.some(e => !extMap.has(e.toLowerCase()))) {
+        fail('targetExt', i18n.__('Missing required option --%s', 'targetExt'));
+    }
+
+    const layout = options.layout ?? 'flat';
+    if (!LAYOUTS.includes(layout)) invalid('layout', layout);
+    const compare = options.compare ?? 'mtime';
+    if (!COMPARE_MODES.includes(compare)) invalid('compare', compare);
+    const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+    if (concurrency !== 'auto' && (!Number.isInteger(concurrency) || concurrency < 1)) invalid('concurrency', concurrency);
+    const maxRate = options.maxRate == null || options.maxRate === '' ? null : parseRate(options.maxRate);
+    if (maxRate === null && options.maxRate != null && options.maxRate !== '') {
+        fail('maxRate', i18n.__('--max-rate must be a rate like 20MB/s, got %s', String(options.maxRate)));
+    }
+    const streamThreshold = parseSize(options.streamThreshold ?? DEFAULT_STREAM_THRESHOLD);
+    if (streamThreshold === null) {
+        fail('streamThreshold', i18n.__('--stream-threshold must be a size like 64MB, got %s', String(options.streamThreshold)));
+    }
+    // Attribute filters, applied to what the glob search found
+    const sizeFilter = (option, flag) => {
+        if (options[option] == null || options[option] === '') return null;
+        const size = parseSize(options[option]);
+        if (size === null) fail(option, i18n.__('--%s must be a size like 50MB, got %s', flag, String(options[option])));
+        return size;
+    };
+    const minSize = sizeFilter('minSize', 'min-size');
+    const maxSize = sizeFilter('maxSize', 'max-size');
+    if (minSize !== null && maxSize !== null && minSize > maxSize) fail('minSize', i18n.__('--min-size is larger than --max-size'));
+    const whenFilter = (option, flag) => {
+        if (options[option] == null || options[option] === '') return null;
+        const when = parseWhen(options[option]);
+        if (when === null) {
+            fail(option, i18n.__('--%s must be a date like 2025-01-31, a duration like 7d or an existing file, got %s', flag, String(options[option])));
+        }
+        return when.time;
+    };
+    const newerThan = whenFilter('newerThan', 'newer-than');
+    const olderThan = whenFilter('olderThan', 'older-than');
+    let contains = null;
+    if (options.contains != null && options.contains !== '') {
+        try {
+            contains = new RegExp(String(options.contains), 'u');
+        } catch (regexError) {
+            fail('contains', i18n.__('Invalid regular expression for --contains: %s', regexError.message));
+        }
+    }
+    // File lists, checked before the attribute filters as they need no file access
+    const fileLists = [];
+    if (options.filesFrom != null && options.filesFrom !== '') {
+        try {
+            fileLists.push({ rule: `--files-from ${options.filesFrom}`, files: new Set(readFileList(String(options.filesFrom))) });
+        } catch (listError) {
+            fail('filesFrom', i18n.__('Cannot read the file list %s: %s', String(options.filesFrom), listError.message));
+        }
+    }
+    const fileFilters = createFileFilters({
+        minSize, maxSize, newerThan, olderThan, contains,
+        labels: Object.fromEntries(['minSize', 'maxSize', 'newerThan', 'olderThan', 'contains']
+            .map(option => [option, `--${option.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)} ${options[option]}`]))
+    });
+
+    // Metadata the targets keep, and what becomes of symbolic links
+    const preserveList = parseListOption(options.preserve).map(attribute => attribute.toLowerCase());
+    const unknownAttribute = preserveList.find(attribute => !PRESERVE_ATTRIBUTES.includes(attribute));
+    if (unknownAttribute) {
+        fail('preserve', i18n.__('Unknown attribute %s in --preserve (available %s)', unknownAttribute, PRESERVE_ATTRIBUTES.join(', ')));
+    }
+    const preserve = Object.fromEntries(PRESERVE_ATTRIBUTES.map(attribute => [attribute, preserveList.includes(attribute)]));
+    const symlinks = options.symlinks ?? 'follow';
+    if (!SYMLINK_POLICIES.includes(symlinks)) invalid('symlinks', symlinks);
+
+    const debounce = options.debounce ?? DEFAULT_DEBOUNCE_MS;
+    if (!(debounce >= 0)) fail('debounce', i18n.__('--debounce must be a number of milliseconds'));
+    const hashAlgorithm = String(options.hashAlgorithm ?? DEFAULT_HASH_ALGORITHM).toLowerCase();
+    if (!isHashAlgorithm(hashAlgorithm)) fail('hashAlgorithm', i18n.__('Unsupported hash algorithm %s', hashAlgorithm));
+
+    const sync = Boolean(options.sync);
+    const watch = Boolean(options.watch);
+    const dryRun = Boolean(options.dryRun);
+    if (options.delete && !sync && !watch) fail('delete', i18n.__('--delete can only be used together with --sync or --watch'));
+    if (watch && dryRun) fail('watch', i18n.__('--watch cannot be combined with --dry-run'));
+    if (watch && !dryRun && !signal) fail('watch', i18n.__('--watch needs an abort signal to stop'));
+    if (options.resume && (dryRun || watch)) fail('resume', i18n.__('--resume cannot be combined with --dry-run or --watch'));
+    if (options.plan != null && !Array.isArray(options.plan)) invalid('plan', options.plan);
+    if (options.plan && (watch || options.resume)) fail('plan', i18n.__('A given plan cannot be combined with --watch or --resume'));
+
+    // An archive destination is named by its extension or by --archive (which adds a missing extension).
+    // An existing folder named like an archive stays a folder.
+    let dest = options.dest;
+    let archiveFormat = options.archive == null || options.archive === '' ? null : String(options.archive).toLowerCase();
+    if (archiveFormat && !ARCHIVE_FORMATS.includes(archiveFormat)) invalid('archive', options.archive);
+    if (archiveFormat && archiveFormatOf(dest) === null) dest = `${dest}.${archiveExtension(archiveFormat)}`;
+    if (archiveFormat && archiveFormatOf(dest) !== archiveFormat) {
+        fail('archive', i18n.__('--archive %s does not match the destination %s', archiveFormat, dest));
+    }
+    if (!archiveFormat && !fsSync.statSync(dest, { throwIfNoEntry: false })?.isDirectory()) archiveFormat = archiveFormatOf(dest);
+    if (archiveFormat) {
+        // Entries are added once to a new archive: nothing to sync, watch, verify or re-read
+        const unsupported = ['sync', 'watch', 'verify', 'checksums'].find(option => options[option]);
+        if (unsupported) fail(unsupported, i18n.__('--%s cannot be used with an archive destination', unsupported));
+        // Entries always keep the modification time and mode, but have no owner or links
+        if (preserve.ownership) fail('preserve', i18n.__('--preserve ownership cannot be used with an archive destination'));
+        if (symlinks === 'copy-link') fail('symlinks', i18n.__('--symlinks copy-link cannot be used with an archive destination'));
+    }
+    const archiveSources = sources.map(source => path.resolve(source)).filter(isArchiveFile);
+    if (archiveSources.length > 0 && (sync || watch)) fail(sync ? 'sync' : 'watch', i18n.__('--%s cannot be used with an archive source', sync ? 'sync' : 'watch'));
+
+    // --overwrite is the old spelling of --on-conflict overwrite
+    const onConflict = options.onConflict ?? (options.overwrite ? 'overwrite' : 'rename');
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) fail('onConflict', i18n.__('Invalid value %s for --%s', String(onConflict), 'on-conflict'));
+    if (options.overwrite && onConflict !== 'overwrite') fail('onConflict', i18n.__('--overwrite cannot be combined with --on-conflict %s', onConflict));
+    if (onConflict === 'ask' && !dryRun && !sync && typeof resolveConflict !== 'function') {
+        fail('onConflict', i18n.__('--on-conflict ask needs an interactive terminal'));
+    }
+    // An existing archive is replaced or renamed as a whole, before any entry is added
+    if (archiveFormat && !['overwrite', 'rename', 'fail'].includes(onConflict)) {
+        fail('onConflict', i18n.__('--on-conflict %s cannot be used with an archive destination', onConflict));
+    }
+    const conflictTemplate = options.conflictTemplate ?? DEFAULT_CONFLICT_TEMPLATE;
+    if (!isConflictTemplate(conflictTemplate)) {
+        fail('conflictTemplate', i18n.__('--conflict-template must contain {n} or a hash token like {hash8}, and no folder separators'));
+    }
+
+    // --rename builds every target name from a template; --rename-search alone edits the usual name
+    let renameSearch = null;
+    if (options.renameSearch != null && options.renameSearch !== '') {
+        try {
+            renameSearch = compileRenameSearch(String(options.renameSearch));
+        } catch (regexError) {
+            fail('renameSearch', i18n.__('Invalid regular expression for --rename-search: %s', regexError.message));
+        }
+    }
+    if (options.renameReplace != null && !renameSearch) fail('renameReplace', i18n.__('--rename-replace needs --rename-search'));
+    const rename = options.rename ?? (renameSearch ? DEFAULT_RENAME_TEMPLATE : null);
+    const renameProblem = rename === null ? null : checkRenameTemplate(rename);
+    if (renameProblem) {
+        const messages = {
+            empty: () => i18n.__('--rename must not be empty'),
+            token: () => i18n.__('Unknown token %s in --rename (available %s)', renameProblem.value, RENAME_TOKENS.map(t => `{${t}}`).join(', ')),
+            filter: () => i18n.__('Unknown filter %s in --rename (available %s)', renameProblem.value, Object.keys(CASE_FILTERS).join(', ')),
+            argument: () => i18n.__('%s in --rename needs a number', renameProblem.value),
+            parent: () => i18n.__('--rename must not lead out of the destination with ..')
+        };
+        fail('rename', messages[renameProblem.problem]());
+    }
+
+    // Resolve the content transforms (--banner alone is enough to add a banner)
+    const transformSpecs = parseTransformSpecs(options.transform);
+    if (options.banner && !transformSpecs.some(t => t.name === 'banner')) transformSpecs.push({ name: 'banner', arg: undefined });
+    const unknownTransform = transformSpecs.find(t => !transforms.has(t.name));
+    if (unknownTransform) {
+        fail('transform', i18n.__('Unknown transform %s (available %s)', unknownTransform.name, transforms.names().join(', ')));
+    }
+    try {
+        checkTransformSpecs(transformSpecs);
+    } catch (transformError) {
+        fail('transform', transformError.message);
+    }
+
+    const resolved = {
+        sources, extensions, targetExt, extMap, dest, layout, compare, concurrency, maxRate, streamThreshold, debounce, hashAlgorithm,
+        sync, watch, dryRun,
+        archive: archiveFormat ? { file: dest, format: archiveFormat } : null,
+        archiveSources,
+        overwrite: onConflict === 'overwrite',
+        onConflict, conflictTemplate,
+        rename, renameSearch, renameReplace: options.renameReplace ?? '',
+        deleteOrphans: Boolean(options.delete),
+        include: parseListOption(options.include),
+        exclude: parseListOption(options.exclude),
+        dot: Boolean(options.dot),
+        ignoreFiles: parseListOption(options.ignoreFile),
+        gitignore: Boolean(options.gitignore),
+        fileLists, fileFilters,
+        preserve, symlinks,
+        transformSpecs,
+        banner: options.banner ?? null,
+        verify: Boolean(options.verify),
+        checksums: options.checksums ?? null,
+        journalDir: options.journalDir ?? null,
+        checkpointDir: options.checkpointDir ?? null,
+        resume: options.resume ?? null,
+        plan: options.plan ?? null
+    };
+    // Options in effect, as recorded in reports and journals
+    resolved.effective = {
+        src: sources.join(','), ext: extensions.join(','), targetExt: targetExt ?? null, map: Object.fromEntries(extMap),
+        dest, archive: archiveFormat, layout, overwrite: resolved.overwrite, onConflict, conflictTemplate,
+        rename, renameSearch: renameSearch?.source ?? null, renameReplace: renameSearch ? resolved.renameReplace : null, dryRun,
+        sync, compare, delete: resolved.deleteOrphans,
+        include: resolved.include, exclude: resolved.exclude, dot: resolved.dot,
+        ignoreFile: resolved.ignoreFiles, gitignore: resolved.gitignore,
+        minSize: minSize === null ? null : options.minSize, maxSize: maxSize === null ? null : options.maxSize,
+        newerThan: newerThan === null ? null : options.newerThan, olderThan: olderThan === null ? null : options.olderThan,
+        contains: contains?.source ?? null, filesFrom: options.filesFrom || null,
+        preserve: PRESERVE_ATTRIBUTES.filter(attribute => preserve[attribute]), symlinks,
+        transform: parseListOption(options.transform), banner: resolved.banner,
+        verify: resolved.verify, hashAlgorithm, checksums: resolved.checksums, concurrency,
+        maxRate: maxRate === null ? null : options.maxRate, streamThreshold, journal: resolved.journalDir != null, watch, debounce
+    };
+    return resolved;
+}
+
+/**
+ * Search the sources and plan every target (shared by the dry run and the real copy).
+ * Plugins may add patterns (beforeSearch), veto files (filterFile) and rewrite targets (transformPath).
+ */
+async function prepare(opts, { hooks, logger, i18n, progress }) {
+    progress({ type: 'search', sources: opts.sources, extensions: opts.extensions });
+    logger.info(i18n.__('Searching for files...'));
+
+    // Let plugins add glob patterns, which are resolved relative to every source root
+    const extraPatterns = (await hooks.collect('beforeSearch', {
+        sources: opts.sources,
+        extensions: opts.extensions,
+        patterns: opts.sources.flatMap(dir => opts.extensions.map(e => path.join(dir, `**/*.${e}`).replace(/\\/g, '/')))
+    })).flat().filter(p => typeof p === 'string' && p.trim().length > 0);
+
+    // Search settings, reused by --watch for every later search
+    const searchOptions = {
+        sources: opts.sources,
+        extensions: opts.extensions,
+        extraPatterns,
+        include: opts.include,
+        exclude: opts.exclude,
+        dot: opts.dot,
+        ignoreFiles: opts.ignoreFiles,
+        gitignore: opts.gitignore,
+        symlinks: opts.symlinks
+    };
+    const globSearch = async () => {
+        try {
+            return await searchFiles(searchOptions);
+        } catch (searchError) {
+            throw new SearchError(searchError.message, { cause: searchError });
+        }
+    };
+    // Size, date and content filters on the glob matches, checking as many files at once as --concurrency copies
+    const filterLimit = pLimit(opts.concurrency === 'auto' ? AUTO_CONCURRENCY.initial : opts.concurrency);
+    const filterFound = async (found, reader) => {
+        const listed = applyFileLists(found.files, opts.fileLists);
+        const { files: kept, excluded: removed, counts } = await applyFileFilters(listed.files, opts.fileFilters, {
+            limit: filterLimit,
+            stat: (file) => reader?.has(file) ? reader.stat(file) : fs.stat(file),
+            read: async (file) => reader?.has(file) ? reader.read(file) : null
+        });
+        return {
+            files: kept, excluded: [...found.excluded, ...listed.excluded, ...removed], patterns: found.patterns,
+            filtered: [...listed.counts, ...counts]
+        };
+    };
+    const search = async () => filterFound(await globSearch(), null); // --watch rescans (never of archive sources)
+
+    // Matches are grouped by source root so that every file remembers which --src folder it came from (needed by --layout)
+    const found = await globSearch();
+    const sourceReader = createSourceReader(opts, found.files); // Entries of archive sources are filtered through it too
+    let files, excluded, patterns, filtered;
+    try {
+        ({ files, excluded, patterns, filtered } = await filterFound(found, sourceReader));
+    } catch (filterError) {
+        await sourceReader?.close();
+        throw filterError;
+    }
+    logger.debug('Glob patterns:', patterns);
+    progress({ type: 'found', files: files.length, excluded: excluded.length });
+    if (excluded.length > 0) {
+        logger.info(i18n.__('%d file(s) excluded by filters.', excluded.length));
+        excluded.forEach(({ file, rule }) => logger.verbose(`Excluded: ${path.relative(process.cwd(), file)} (${rule})`));
+    }
+    filtered.forEach(({ filter, removed }) => logger.info(i18n.__('%s removed %d file(s)', filter, removed)));
+    // Listed files the search did not find (outside the sources, of another extension or gone)
+    const searched = opts.fileLists.length > 0 ? new Set([...found.files, ...found.excluded].map(({ file }) => path.resolve(file))) : null;
+    for (const { rule, files: listedFiles } of opts.fileLists) {
+        const missing = [...listedFiles].filter(file => !searched.has(file));
+        if (missing.length === 0) continue;
+        logger.warn(i18n.__('%d file(s) of %s are not among the files the search found', missing.length, rule));
+        missing.forEach(file => logger.verbose(`Not found: ${path.relative(process.cwd(), file)}`));
+    }
+
+    const reservations = createTargetReservations(); // Targets already given to a source, shared by every copy of the run
+    const runDate = new Date(); // {date} of --rename
+    let renameIndex = 0; // {index} of the last file named by --rename
+
+    // Apply --rename to the planned target of a file, inside the folder its layout gives
+    async function renameTarget(file, root, plannedTarget, targetExt) {
+        const { base } = resolveTargetName(file, { targetExt: opts.targetExt, extMap: opts.extMap });
+        let hash = '';
+        if (renameUsesHash(opts.rename)) {
+            hash = sourceReader?.has(file) ? hashBuffer(await sourceReader.read(file)) : await hashFile(file, DEFAULT_HASH_ALGORITHM);
+        }
+        const renamed = renderRename(opts.rename, {
+            name: opts.renameSearch ? base.replace(opts.renameSearch, opts.renameReplace) : base,
+            ext: targetExt, ...sourceRenameVars(file, root), index: ++renameIndex, date: runDate, hash
+        });
+        if (renamed === '' || renamed.split('/').includes('..')) {
+            throw new PlanError(i18n.__('--rename gives %s an invalid name', path.relative(process.cwd(), file)), { file });
+        }
+        return path.join(path.dirname(plannedTarget), renamed);
+    }
+
+    async function planFiles(foundFiles) {
+        const entries = [];
+        for (const { file, root, link = false } of foundFiles) {
+            const verdicts = await hooks.collect('filterFile', { file, root });
+            if (verdicts.includes(false)) {
+                logger.verbose(`Excluded by plugin filter: ${path.relative(process.cwd(), file)}`);
+                continue;
+            }
+            let plannedTarget, fileTargetExt;
+            try {
+                plannedTarget = resolveTargetPath(file, root, { dest: opts.dest, targetExt: opts.targetExt, extMap: opts.extMap, layout: opts.layout });
+                fileTargetExt = resolveTargetName(file, { targetExt: opts.targetExt, extMap: opts.extMap }).targetExt;
+            } catch (targetError) {
+                // Only reachable for files added by beforeSearch patterns with an extension nobody mapped
+                throw new PlanError(targetError.message, { file, cause: targetError });
+            }
+            if (opts.rename) plannedTarget = await renameTarget(file, root, plannedTarget, fileTargetExt);
+            const hookTarget = await hooks.waterfall('transformPath', 'target', { source: file, root, target: plannedTarget });
+            const target = typeof hookTarget === 'string' && hookTarget.length > 0 ? hookTarget : plannedTarget;
+            // Sync deletions, the journal and undo act on targets, which must stay inside the destination
+            const inDest = path.relative(path.resolve(opts.dest), path.resolve(target));
+            if (inDest === '' || inDest === '..' || inDest.startsWith(`..${path.sep}`) || path.isAbsolute(inDest)) {
+                throw new PlanError(i18n.__('A plugin gives %s the target %s, outside the destination', path.relative(process.cwd(), file), target), { file });
+            }
+            entries.push({ file, root, target, targetExt: fileTargetExt, link });
+        }
+        // A rename template that gives two sources the same target is a mistake to show before copying
+        if (opts.rename) {
+            const counts = new Map();
+            entries.forEach(({ target }) => counts.set(path.resolve(target), (counts.get(path.resolve(target)) ?? 0) + 1));
+            entries.forEach(entry => { entry.duplicate = counts.get(path.resolve(entry.target)) > 1; });
+        }
+        // In sync mode, sources that share a target are told apart at plan time, so each one
+        // keeps the same renamed target on every run instead of piling up new copies
+        if (opts.sync) {
+            for (const entry of entries) {
+                const hash = templateUsesHash(opts.conflictTemplate) ? await hashFile(entry.file, DEFAULT_HASH_ALGORITHM) : '';
+                let candidate = entry.target;
+                for (let n = 1; !reservations.claim(candidate, entry.file); n++) {
+                    candidate = conflictTargetPath(entry.target, n, { template: opts.conflictTemplate, targetExt: entry.targetExt, hash });
+                }
+                entry.target = candidate;
+            }
+        }
+        return entries;
+    }
+
+    let plan;
+    try {
+        plan = await planFiles(files);
+    } catch (planError) {
+        await sourceReader?.close();
+        throw planError;
+    }
+    if (plan.length < files.length) {
+        logger.info(i18n.__('%d file(s) excluded by plugins.', files.length - plan.length));
+    }
+
+    return { files, excluded, filtered, patterns, plan, planFiles, reservations, search, sourceReader };
+}
+
+// Reader for the files that are entries of --src archives (null when there are none)
+const createSourceReader = (opts, files) => opts.archiveSources.length > 0
+    ? createArchiveSourceReader(opts.archiveSources, files.map(({ file }) => file))
+    : null;
+
+// What `prepare` returns, rebuilt from a checkpoint instead of a new search (--resume).
+// Targets written before the interruption stay claimed, so no later file of the run takes them.
+function prepareFromCheckpoint(checkpoint, opts, { logger, i18n }) {
+    const plan = checkpoint.plan;
+    logger.info(i18n.__('Resuming run %s, %d of %d file(s) already done', checkpoint.id, checkpoint.done.size, plan.length));
+    const reservations = createTargetReservations();
+    checkpoint.done.forEach((target, index) => reservations.claim(target, plan[index].file));
+    return {
+        files: plan, excluded: [], filtered: [], patterns: [], plan, planFiles: null, reservations, search: null,
+        sourceReader: createSourceReader(opts, plan.filter((entry, index) => !checkpoint.done.has(index)))
+    };
+}
+
+// What `prepare` returns for the entries of a plan given as an option, copied without a new search.
+// Sync targets were claimed when the plan was made; `rename` duplicates are told again among the given entries.
+function prepareFromPlan(entries, opts) {
+    const plan = entries.map(({ file, root, target, targetExt, link = false }) => ({ file, root, target, targetExt, link }));
+    if (opts.rename) {
+        const counts = new Map();
+        plan.forEach(({ target }) => counts.set(path.resolve(target), (counts.get(path.resolve(target)) ?? 0) + 1));
+        plan.forEach(entry => { entry.duplicate = counts.get(path.resolve(entry.target)) > 1; });
+    }
+    const reservations = createTargetReservations();
+    if (opts.sync) plan.forEach(({ file, target }) => reservations.claim(target, file));
+    return {
+        files: plan, excluded: [], filtered: [], patterns: [], plan, planFiles: null, reservations, search: null,
+        sourceReader: createSourceReader(opts, plan)
+    };
+}
+
+// Per-file records (source, target, size, status, error, duration), as used by reports
+function createRecorder() {
+    const records = [];
+    const record = ({ source, target, size = null, status, error = null, durationMs = null }) => {
+        const entry = {
+            source: source && path.relative(process.cwd(), source),
+            target: target && path.relative(process.cwd(), target),
+            size, status, error, durationMs
+        };
+        records.push(entry);
+        return entry;
+    };
+    return { records, record };
+}
+
+// Targets written by earlier runs, the only files --delete may remove (none without an undo journal)
+async function writtenTargets(opts, { logger, i18n }) {
+    if (!opts.journalDir) {
+        logger.warn(i18n.__('--delete only removes targets recorded in the undo journal, so nothing is deleted without it'));
+        return new Map();
+    }
+    return journaledTargets(opts.journalDir);
+}
+
+// Work out what a real run would do with each planned file, without writing anything
+async function evaluatePlan(opts, prepared, transformPipeline, record, ctx) {
+    const entries = [];
+    const plannedTargets = new Set(); // Targets already claimed by earlier files in this listing
+    const statSource = (file) => prepared.sourceReader?.has(file) ? prepared.sourceReader.stat(file) : statFile(opts, file);
+    const streamTransforms = buildStreamPipeline(opts.transformSpecs, ctx.transforms, { banner: opts.banner, sync: opts.sync });
+    for (const { file, root, target, targetExt, duplicate, link } of prepared.plan) {
+        const sourceStat = await statSource(file);
+        let status = 'copied'; // Status the real run would record for this file
+        let collides = false;
+        let conflict = null; // What the conflict strategy does with this file's target
+        let targetConflict = null; // ...with the target on disk alone, whatever earlier files plan
+        if (opts.sync) {
+            // Sync mode never renames: it reports whether the target is new, changed or unchanged
+            const state = sourceStat.isSymbolicLink?.() ? await compareLink(file, target) : await compareWithTarget(file, target, {
+                compare: opts.compare, transform: transformPipeline, streamTransform: streamTransforms, streamThreshold: opts.streamThreshold,
+                file: { source: file, target, root }
+            });
+            status = state === 'changed' ? 'updated' : state === 'unchanged' ? 'skipped' : 'copied';
+        } else {
+            // A target planned by an earlier file in this run collides just like one already on disk,
+            // but is always renamed: sources of one run never write over each other.
+            // Entries of an archive destination only collide with each other.
+            const planned = plannedTargets.has(target);
+            const exists = !opts.archive && fsSync.existsSync(target);
+            collides = planned || exists;
+            plannedTargets.add(target);
+            if (exists) targetConflict = opts.onConflict === 'ask' ? 'ask' : await decideConflict(opts.onConflict, file, target, sourceStat);
+            conflict = planned ? 'rename' : targetConflict;
+            status = CONFLICT_STATUSES[conflict] ?? 'copied';
+        }
+        entries.push({ file, root, target, targetExt, size: sourceStat.size, status, collides, conflict, targetConflict, duplicate: Boolean(duplicate), link: Boolean(link) });
+        record({ source: file, target, size: sourceStat.size, status });
+    }
+    const orphans = opts.sync && opts.deleteOrphans
+        ? await findOrphans(opts.dest, prepared.plan.map(({ target }) => target), await writtenTargets(opts, ctx))
+        : [];
+    orphans.forEach(orphan => record({ target: orphan, status: 'deleted' }));
+    return { entries, orphans };
+}
+
+// Stat of a source file on disk: with --symlinks copy-link a link is copied as a link, so it is not followed
+const statFile = (opts, file) => opts.symlinks === 'copy-link' ? fs.lstat(file) : fs.stat(file);
+
+// Status a real run records for each conflict decision (an `ask` stays open until the real run)
+const CONFLICT_STATUSES = { overwrite: 'copied', rename: 'renamed', skip: 'skipped', fail: 'failed' };
+
+// Count records per status
+function countStatuses(entries, orphans) {
+    const totals = { total: entries.length, copied: 0, renamed: 0, updated: 0, skipped: 0, deleted: orphans.length, failed: 0 };
+    entries.forEach(({ status }) => { totals[status]++; });
+    return totals;
+}
+
+// The archive destination of a dry run, and whether an archive is already there
+const describeArchive = async ({ archive }) => archive && { ...archive, exists: await pathExists(archive.file) };
+
+// Transform specs as given on the command line (`eol=lf`)
+const describeTransforms = (specs) => specs.map(t => t.arg === undefined ? t.name : `${t.name}=${t.arg}`);
+
+/**
+ * Search and plan a copy without writing anything (what `--dry-run` shows).
+ *
+ * @param {CopyOptions} options
+ * @param {EngineContext} [context]
+ * @returns {Promise<{
+ *   options: object,
+ *   archive: { file: string, format: string, exists: boolean }|null,
+ *   patterns: string[],
+ *   transforms: string[],
+ *   entries: {
+ *     file: string, root: string, target: string, targetExt: string, size: number,
+ *     status: 'copied'|'renamed'|'updated'|'skipped'|'failed', collides: boolean,
+ *     conflict: 'overwrite'|'rename'|'skip'|'fail'|'ask'|null, targetConflict: 'overwrite'|'rename'|'skip'|'fail'|'ask'|null,
+ *     duplicate: boolean, link: boolean
+ *   }[],
+ *   excluded: { file: string, root: string, rule: string }[],
+ *   filtered: { filter: string, removed: number }[],
+ *   orphans: string[],
+ *   totals: object
+ * }>} `status` is what a real run would record; `collides` tells that the target exists
+ *     (or is planned for an earlier file) and `conflict` what `onConflict` makes of it (`ask`
+ *     files are listed as copied), `targetConflict` what it makes of the target on disk alone, without
+ *     the files planned earlier (what a file gets when those are not copied). `filtered` counts the
+ *     files each size, date or content filter removed (they are in `excluded` too). `duplicate` marks files that `rename` gives the same target as
+ *     another file, which a real run refuses. `link` marks symbolic links, and with `symlinks: 'follow'` the files
+ *     found through one. `orphans` are the targets `delete` would remove. With an archive
+ *     destination, targets are `<archive>/<entry>` paths and only collide with each other.
+ * @throws {OptionsError|SearchError|PlanError}
+ */
+export async function planCopy(options, context = {}) {
+    const ctx = createContext(context);
+    const opts = resolveOptions({ ...options, watch: false }, ctx);
+    const prepared = opts.plan ? prepareFromPlan(opts.plan, opts) : await prepare(opts, ctx);
+    const transformPipeline = buildPipeline(opts.transformSpecs, ctx.transforms, { banner: opts.banner, sync: opts.sync });
+    let evaluated;
+    try {
+        evaluated = await evaluatePlan(opts, prepared, transformPipeline, () => {}, ctx);
+    } finally {
+        await prepared.sourceReader?.close();
+    }
+    const { entries, orphans } = evaluated;
+    return {
+        options: opts.effective,
+        archive: await describeArchive(opts),
+        patterns: prepared.patterns,
+        transforms: describeTransforms(opts.transformSpecs),
+        entries,
+        excluded: prepared.excluded, filtered: prepared.filtered,
+        orphans,
+        totals: countStatuses(entries, orphans)
+    };
+}
+
+/**
+ * Run a copy: search, plan, copy (or only plan, with `dryRun`), and with `watch` keep
+ * copying changes until `signal` aborts.
+ *
+ * Progress events passed to `onProgress`:
+ * - `{ type: 'search', sources, extensions }` and `{ type: 'found', files, excluded }` around the search,
+ * - `{ type: 'start', total, done, bytesTotal, bytesDone, concurrency }` before copying (`done` and `bytesDone` count the files of
+ *   a resumed run finished earlier), then `{ type: 'file', record, done, total, bytesDone, bytesTotal, concurrency }` per planned
+ *   file (`concurrency` is the current number of workers, which `concurrency: 'auto'` changes as the copy goes),
+ * - `{ type: 'stream', file, target, size, bytes, finished }` while a file above `streamThreshold` is copied (source bytes
+ *   read so far, at most every 100 ms, and once more with `finished` when it succeeded, failed or was cancelled),
+ * - `{ type: 'watch', sources, totals }` once watching, then `{ type: 'batch', changed, removed, totals }` per burst of changes.
+ *
+ * Aborting `signal` lets running copies finish and skips the files not started yet
+ * (`aborted` is then true in the result); it is the normal way to end a watch session.
+ * Large files being streamed are cancelled instead: their partial file is removed and,
+ * like the files not started, they are left out of the result.
+ * With `checkpointDir`, the checkpoint of an aborted run, or of a run where some files
+ * failed, is kept (`checkpoint` in the result) so that the run can be resumed with the
+ * `resume` option, which copies the files not done and tries the failed ones again.
+ *
+ * @param {CopyOptions} options
+ * @param {EngineContext} [context]
+ * @returns {Promise<{
+ *   runId: string|null, dryRun: boolean, aborted: boolean, checkpoint: string|null, resumed: number,
+ *   options: object, transforms: string[], archive: { file: string, format: string, exists?: boolean }|null,
+ *   plan: object[], excluded: object[], filtered: object[], orphans: string[], files: object[],
+ *   totals: { total: number, copied: number, renamed: number, updated: number, skipped: number, deleted: number, failed: number },
+ *   errors: { file: string, error: string }[], startedAt: number, durationMs: number
+ * }>} For a dry run, `plan` holds the entries of `planCopy` and `files` what the run would record.
+ *     `checkpoint` is the id to resume an aborted run, or one with failed files, with; `resumed` counts the files a resumed
+ *     run found already done (they are not in `files` or `totals`). `archive` is the archive written
+ *     (possibly renamed when the destination existed); a dry run tells whether it `exists`.
+ * @throws {OptionsError|SearchError|PlanError|SetupError} A `PlanError` also when `rename` gives several files the same target.
+ */
+export async function runCopy(options, context = {}) {
+    const startedAt = Date.now();
+    const ctx = createContext(context);
+    const { logger, i18n, hooks, progress, signal } = ctx;
+    const opts = resolveOptions(options, ctx);
+    const transformPipeline = buildPipeline(opts.transformSpecs, ctx.transforms, { banner: opts.banner, sync: opts.sync });
+    const streamTransforms = buildStreamPipeline(opts.transformSpecs, ctx.transforms, { banner: opts.banner, sync: opts.sync }); // null when a transform cannot stream
+    const { records, record } = createRecorder();
+    const errors = [];
+    let journal = null;
+    let checkpoint = null;
+    let keptCheckpoint = null; // Id of the checkpoint left for --resume
+    let sourceReader = null; // Entries of --src archives
+
+    // Run the onComplete hooks, then assemble the result
+    const complete = async (totals, extra) => {
+        await sourceReader?.close();
+        const result = {
+            runId: journal?.runId ?? null,
+            dryRun: opts.dryRun,
+            aborted: Boolean(signal?.aborted),
+            checkpoint: keptCheckpoint,
+            resumed: opts.resume ? opts.resume.done.size : 0,
+            options: opts.effective,
+            transforms: describeTransforms(opts.transformSpecs),
+            archive: null,
+            ...extra,
+            files: records,
+            totals: { total: 0, copied: 0, renamed: 0, updated: 0, skipped: 0, deleted: 0, failed: 0, ...totals },
+            errors,
+            startedAt,
+            durationMs: Date.now() - startedAt
+        };
+        // The summary handed to onComplete hooks (counts, errors and plugin failures)
+        await hooks.collect('onComplete', { ...result.totals, errors, dryRun: opts.dryRun, durationMs: result.durationMs, pluginErrors: hooks.failures });
+        return result;
+    };
+
+    // --- Dry Run ---
+    if (opts.dryRun) {
+        const prepared = opts.plan ? prepareFromPlan(opts.plan, opts) : await prepare(opts, ctx);
+        sourceReader = prepared.sourceReader;
+        const { entries, orphans } = await evaluatePlan(opts, prepared, transformPipeline, record, ctx);
+        return complete(countStatuses(entries, orphans), { plan: entries, excluded: prepared.excluded, filtered: prepared.filtered, orphans, archive: await describeArchive(opts) });
+    }
+
+    // Ensure the destination directory (or the folder of the archive) exists, create if necessary
+    const destDir = opts.archive ? path.dirname(opts.archive.file) : opts.dest;
+    try {
+        logger.info(i18n.__('Ensuring destination directory exists: %s', destDir));
+        await fs.mkdir(destDir, { recursive: true });
+    } catch (destError) {
+        throw new SetupError(i18n.__('Failed to create destination directory: %s', destDir), { cause: destError });
+    }
+
+    const prepared = opts.resume ? prepareFromCheckpoint(opts.resume, opts, ctx)
+        : opts.plan ? prepareFromPlan(opts.plan, opts)
+        : await prepare(opts, ctx);
+    const { plan, planFiles, reservations } = prepared;
+    sourceReader = prepared.sourceReader;
+    const duplicates = plan.filter(entry => entry.duplicate);
+    if (duplicates.length > 0) {
+        await sourceReader?.close();
+        throw new PlanError(i18n.__('--rename gives %d files the same target, such as %s', duplicates.length, path.relative(process.cwd(), duplicates[0].target)), { file: duplicates[0].file });
+    }
+    if (plan.length === 0 && !opts.watch) {
+        logger.warn(i18n.__('No files found matching the specified criteria. Nothing to copy.'));
+        return complete({}, { plan, excluded: prepared.excluded, filtered: prepared.filtered, orphans: [] });
+    }
+
+    // --- Undo Journal ---
+    // Real runs record every target they create or overwrite (backing up overwritten
+    // files first) so that `copy-cli undo` can roll them back
+    if (opts.journalDir) {
+        try {
+            journal = await createJournal({ journalDir: opts.journalDir, options: opts.effective });
+            logger.info(i18n.__('Recording run %s in the undo journal', journal.runId));
+        } catch (journalError) {
+            throw new SetupError(i18n.__('Failed to start the undo journal'), { cause: journalError });
+        }
+    }
+
+    // --- Checkpoint (--resume) ---
+    // The plan is saved before copying and every finished file is added as it completes.
+    // A watch session is always ended by aborting, and an archive cannot be added to later,
+    // so neither has anything to resume.
+    if (opts.resume) {
+        checkpoint = reopenCheckpoint(opts.resume);
+    } else if (opts.checkpointDir && !opts.watch && !opts.archive) {
+        try {
+            checkpoint = await createCheckpoint({ checkpointDir: opts.checkpointDir, id: journal?.runId ?? createRunId(), options: opts.effective, plan });
+        } catch (checkpointError) {
+            throw new SetupError(i18n.__('Failed to save the checkpoint'), { cause: checkpointError });
+        }
+    }
+    const finishedEarlier = opts.resume ? opts.resume.done : new Map(); // Plan index -> target, from the interrupted run
+
+    // --- Archive Destination ---
+    // An archive that already exists is replaced or renamed as a whole; entries are then
+    // added one after another, so the archive lists them in plan order
+    let archiveWriter = null;
+    let archiveFile = null; // Archive being written, `opts.archive.file` unless that name was taken
+    if (opts.archive) {
+        const { format } = opts.archive;
+        for (let n = 0; !archiveWriter; n++) {
+            const candidate = n === 0 ? opts.archive.file : renamedTargetPath(opts.archive.file, n, archiveExtension(format));
+            const exists = await pathExists(candidate);
+            if (exists && opts.onConflict === 'rename') continue;
+            if (exists && opts.onConflict === 'fail') {
+                throw new SetupError(i18n.__('Target already exists: %s', path.relative(process.cwd(), candidate)));
+            }
+            try {
+                if (journal && exists) await journal.beforeWrite(candidate, opts.sources[0]);
+                archiveWriter = await createArchiveWriter(candidate, format, { exclusive: !exists });
+            } catch (archiveError) {
+                if (archiveError.code === 'EEXIST') { n--; continue; } // Created meanwhile: decide again
+                throw new SetupError(i18n.__('Failed to create the archive %s', candidate), { cause: archiveError });
+            }
+            archiveFile = candidate;
+            if (journal && !exists) await journal.created(candidate, opts.sources[0]);
+        }
+        logger.info(i18n.__('Writing archive %s', archiveFile));
+    }
+
+    // --- File Copy Execution ---
+    // Entries are added to an archive one at a time. With --concurrency auto the tuner resizes the
+    // pool as files finish; with --max-rate every copy goes through one shared rate limiter.
+    const tuner = opts.concurrency === 'auto' && !opts.archive ? createConcurrencyTuner() : null;
+    const limit = pLimit(opts.archive ? 1 : tuner ? tuner.concurrency : opts.concurrency);
+    const rateLimiter = opts.maxRate ? createRateLimiter(opts.maxRate) : null;
+    if (tuner) logger.info(i18n.__('Starting copy process with concurrency=auto, %d to begin with', tuner.concurrency));
+    else logger.info(i18n.__('Starting copy process with concurrency=%d', opts.concurrency));
+    if (rateLimiter) logger.info(i18n.__('Copies are limited to %s per second', formatBytes(rateLimiter.rate)));
+
+    // Run one copy within the concurrency limit, and let the tuner see how it went
+    const limited = (copy) => limit(async () => {
+        const fileRecord = await copy();
+        const written = WRITTEN_STATUSES.includes(fileRecord?.status);
+        if (fileRecord && tuner?.fileDone({ bytes: written ? fileRecord.size ?? 0 : 0, failed: fileRecord.status === 'failed' })) {
+            limit.concurrency = tuner.concurrency;
+            logger.verbose(i18n.__('Concurrency adjusted to %d (%s per second)', tuner.concurrency, formatBytes(tuner.throughput)));
+        }
+        return fileRecord;
+    });
+
+    let processedCount = 0; // Files handed to copyPlannedFile (the plan, plus later changes with --watch)
+    let copiedCount = 0; // Counter for successfully copied files
+    let renamedCount = 0; // Counter for files copied under a `_N` name because the target existed
+    let updatedCount = 0; // Counter for changed files re-copied by --sync or --watch
+    let skippedCount = 0; // Counter for files skipped by --sync or beforeCopy hooks
+    let deletedCount = 0; // Counter for orphaned targets removed by --delete
+    const manifestEntries = new Map(); // Target path -> hash of every target in the destination, for --checksums
+    const sessionEntries = new Map(); // Source -> plan entry with the target it was written to, so --watch updates that same target
+    const totals = () => ({
+        total: processedCount, copied: copiedCount, renamed: renamedCount, updated: updatedCount,
+        skipped: skippedCount, deleted: deletedCount, failed: errors.length
+    });
+
+    // Sources are files on disk, or entries of a --src archive (read whole, they are never streamed)
+    const statSource = (file) => sourceReader?.has(file) ? sourceReader.stat(file) : statFile(opts, file);
+    const readArchivedSource = (file) => sourceReader?.has(file) ? sourceReader.read(file) : null;
+
+    // Hash of the source for `{hash}` conflict templates
+    const templateHash = async (file, content) => !templateUsesHash(opts.conflictTemplate) ? ''
+        : content ? hashBuffer(content, DEFAULT_HASH_ALGORITHM) : hashFile(file, DEFAULT_HASH_ALGORITHM);
+
+    // A resumed run takes back the targets changed since its checkpoint was saved: files the
+    // interrupted run left half-written, which its checkpoint does not count as done
+    const resumedAt = opts.resume ? Date.parse(opts.resume.createdAt) : null;
+    const isLeftOver = async (candidate) => resumedAt !== null && Math.floor((await fs.lstat(candidate)).ctimeMs) > resumedAt;
+
+    /**
+     * Pick the target of a planned file under the conflict strategy, and claim it.
+     * A target claimed by another source of this run is never written over: the file is renamed.
+     * `content` and `sourceStat` are given for entries of a source archive.
+     * @returns {Promise<{ action: 'new'|'overwrite'|'skip'|'fail', target: string, leftOver?: boolean }>}
+     *          `new` when the target is free; `leftOver` when it is this run's own, left by the interrupted run.
+     */
+    async function claimTarget({ file, target, targetExt }, content, sourceStat) {
+        const hash = await templateHash(file, content);
+        let strategy = opts.onConflict;
+        let candidate = target;
+        for (let n = 1; ; n++) {
+            if (reservations.claim(candidate, file)) {
+                if (!(await pathExists(candidate))) return { action: 'new', target: candidate };
+                if (await isLeftOver(candidate)) return { action: 'overwrite', target: candidate, leftOver: true };
+                const action = strategy === 'ask' ? await askConflict(file, candidate) : await decideConflict(strategy, file, candidate, sourceStat);
+                if (action !== 'rename') return { action, target: candidate };
+                strategy = 'rename'; // Once renaming, keep looking for a free name
+            }
+            candidate = conflictTargetPath(target, n, { template: opts.conflictTemplate, targetExt, hash });
+        }
+    }
+
+    // Let the caller decide about one existing target (--on-conflict ask)
+    async function askConflict(source, target) {
+        const answer = await ctx.resolveConflict({ source, target });
+        if (!CONFLICT_ANSWERS.includes(answer)) throw new Error(i18n.__('Invalid answer %s for an existing target', String(answer)));
+        return answer;
+    }
+
+    /**
+     * Write the (transformed) source to its target; `exclusive` fails with EEXIST instead of replacing a file.
+     * `sourceContent` is the content of a source archive entry. Files above --stream-threshold are streamed.
+     * @returns {Promise<{ content?: Buffer, hash?: string|null }|null>} What was written, when it differs from
+     *          the source or was hashed on the way: the content written from memory, or the hash of a stream.
+     */
+    async function writeTarget(file, root, targetPath, exclusive, sourceContent, size) {
+        const flag = exclusive ? 'wx' : 'w';
+        if (!sourceContent && size > opts.streamThreshold) {
+            if (!transformPipeline || streamTransforms) return streamTarget(file, root, targetPath, exclusive, size);
+            warnUnstreamable();
+        }
+        if (transformPipeline) {
+            const content = await transformPipeline(sourceContent ?? await fs.readFile(file), { source: file, target: targetPath, root });
+            await writeContent(targetPath, content, flag);
+            return { content };
+        }
+        if (sourceContent) {
+            await writeContent(targetPath, sourceContent, flag);
+            return { content: sourceContent };
+        }
+        if (rateLimiter) {
+            // Streamed through the limiter into a partial file, so a failed copy leaves no truncated target
+            await streamCopy(file, targetPath, { exclusive, rateLimiter });
+            return null;
+        }
+        await fs.copyFile(file, targetPath, exclusive ? fs.constants.COPYFILE_EXCL : 0);
+        return null;
+    }
+
+    // Write content held in memory, within --max-rate
+    async function writeContent(targetPath, content, flag) {
+        if (rateLimiter) await rateLimiter.take(content.length);
+        await fs.writeFile(targetPath, content, { flag });
+    }
+
+    // Stream a large file into place, reporting its progress. Aborting `signal` cancels it.
+    async function streamTarget(file, root, targetPath, exclusive, size) {
+        let bytes = 0;
+        const report = (finished) => progress({ type: 'stream', file, target: targetPath, size, bytes, finished });
+        report(false);
+        try {
+            return await streamCopy(file, targetPath, {
+                exclusive,
+                transforms: streamTransforms ? streamTransforms({ source: file, target: targetPath, root }) : [],
+                rateLimiter,
+                hashAlgorithm: opts.verify || opts.checksums ? opts.hashAlgorithm : null,
+                signal,
+                onProgress: (read) => {
+                    bytes = read;
+                    report(false);
+                }
+            });
+        } finally {
+            report(true);
+        }
+    }
+
+    // Give a written target the attributes of its source (--preserve). Sync mode always keeps the times,
+    // so the next run sees the target as unchanged. A refused ownership is said once per run.
+    let ownershipWarned = false;
+    async function keepMetadata(targetPath, sourceStat, link) {
+        const kept = await preserveMetadata(targetPath, sourceStat, { ...opts.preserve, timestamps: opts.preserve.timestamps || opts.sync, link });
+        if (kept.ownership || ownershipWarned) return;
+        ownershipWarned = true;
+        logger.warn(i18n.__('This user cannot give files another owner, so the targets keep their owner (--preserve ownership)'));
+    }
+
+    // A plugin transform without a streaming form makes large files load into memory (said once per run)
+    let unstreamableWarned = false;
+    function warnUnstreamable() {
+        if (unstreamableWarned) return;
+        unstreamableWarned = true;
+        const names = opts.transformSpecs.map(t => t.name).filter(name => !ctx.transforms.getStream(name));
+        logger.warn(i18n.__('Transform %s cannot stream, so large files are read into memory', names.join(', ')));
+    }
+
+    /**
+     * Copy one planned file: sync check, beforeCopy/afterCopy hooks, conflict handling,
+     * transforms, verification and journaling. Failures are recorded in `errors`, never thrown.
+     * With `replace`, the entry's target is written over instead of renamed (used by --watch
+     * for a target this session already produced).
+     * @returns {Promise<object|null>} The file's record, or null for a streamed copy cancelled by `signal`.
+     */
+    async function copyPlannedFile(entry, { replace = false } = {}) {
+        const { file, root, target } = entry;
+        processedCount++;
+        const sourceRelative = path.relative(process.cwd(), file); // For logging purposes
+        let targetPath = target; // Planned target, may still be renamed on collision
+        const fileStartedAt = performance.now(); // Per-file duration for reports
+        const elapsed = () => Math.round(performance.now() - fileStartedAt);
+        let size = null;
+        try {
+            const sourceStat = await statSource(file);
+            size = sourceStat.size;
+            const link = sourceStat.isSymbolicLink?.() ?? false; // Only with --symlinks copy-link, which copies the link itself
+            // In sync mode, targets that are already up to date are left alone
+            let syncState = null;
+            if (opts.sync) {
+                syncState = link ? await compareLink(file, targetPath) : await compareWithTarget(file, targetPath, {
+                    compare: opts.compare, transform: transformPipeline, streamTransform: streamTransforms, streamThreshold: opts.streamThreshold,
+                    file: { source: file, target: targetPath, root }
+                });
+                if (syncState === 'unchanged') {
+                    // An unchanged target is still part of the destination's manifest
+                    if (opts.checksums && !link) manifestEntries.set(path.resolve(targetPath), await hashFile(targetPath, opts.hashAlgorithm));
+                    sessionEntries.set(file, entry);
+                    skippedCount++;
+                    logger.verbose(`Unchanged, skipped: ${sourceRelative}`);
+                    await hooks.collect('afterCopy', { source: file, target: targetPath, status: 'skipped' });
+                    return record({ source: file, target: targetPath, size, status: 'skipped', durationMs: elapsed() });
+                }
+            }
+
+            // A beforeCopy hook returning false skips this file
+            if ((await hooks.collect('beforeCopy', { source: file, target: targetPath })).includes(false)) {
+                skippedCount++;
+                logger.verbose(`Skipped by plugin: ${sourceRelative}`);
+                await hooks.collect('afterCopy', { source: file, target: targetPath, status: 'skipped' });
+                return record({ source: file, target: targetPath, size, status: 'skipped', durationMs: elapsed() });
+            }
+
+            // Mirrored layouts may need sub-folders inside the destination
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
+            const sourceContent = await readArchivedSource(file);
+
+            // Perform the actual file copy operation: byte-for-byte unless transforms are selected
+            let written = null; // Content written from memory or hash of a stream, which is what --verify must compare against
+            while (true) {
+                // Apply --on-conflict to an existing target (sync mode and replaced targets
+                // always write to their planned target)
+                let exclusive = false; // The target was free when claimed: never replace what appears there since
+                let leftOver = false; // The target is what the interrupted run had begun writing
+                if (!opts.sync && !replace) {
+                    const claim = await claimTarget(entry, sourceContent, sourceStat);
+                    if (claim.action === 'skip') {
+                        skippedCount++;
+                        logger.verbose(`Target exists, skipped: ${sourceRelative}`);
+                        await hooks.collect('afterCopy', { source: file, target: claim.target, status: 'skipped' });
+                        return record({ source: file, target: claim.target, size, status: 'skipped', durationMs: elapsed() });
+                    }
+                    targetPath = claim.target;
+                    if (claim.action === 'fail') throw new Error(i18n.__('Target already exists: %s', path.relative(process.cwd(), targetPath)));
+                    exclusive = claim.action === 'new';
+                    leftOver = Boolean(claim.leftOver);
+                }
+                // Back up an existing target before it is written over (a half-written leftover is not worth keeping)
+                if (journal && !exclusive && !leftOver) await journal.beforeWrite(targetPath, file);
+                try {
+                    if (link) await copySymlink(file, targetPath, { exclusive });
+                    else written = await writeTarget(file, root, targetPath, exclusive, sourceContent, size);
+                } catch (writeError) {
+                    // Another program created the free name meanwhile: resolve the conflict again
+                    if (exclusive && writeError.code === 'EEXIST') continue;
+                    throw writeError;
+                }
+                // A new target has nothing to back up, and is only journaled once it is surely ours
+                if (journal && (exclusive || leftOver)) await journal.created(targetPath, file);
+                break;
+            }
+            // Hash the target once for --verify and --checksums (a streamed file was hashed as it was written,
+            // which is enough for --checksums; --verify still reads the target back). Links have no content of their own.
+            if ((opts.verify || opts.checksums) && !link) {
+                const targetHash = !opts.verify && written?.hash ? written.hash : await hashFile(targetPath, opts.hashAlgorithm);
+                if (opts.verify) {
+                    const expectedHash = written?.hash ?? (written?.content ? hashBuffer(written.content, opts.hashAlgorithm) : await hashFile(file, opts.hashAlgorithm));
+                    if (expectedHash !== targetHash) {
+                        throw new Error(i18n.__('Checksum mismatch after copy (%s)', opts.hashAlgorithm));
+                    }
+                }
+                if (opts.checksums) manifestEntries.set(path.resolve(targetPath), targetHash);
+            }
+            await keepMetadata(targetPath, sourceStat, link);
+            sessionEntries.set(file, { ...entry, target: targetPath });
+            const status = syncState === 'changed' || (replace && !opts.sync) ? 'updated' : targetPath !== target ? 'renamed' : 'copied';
+            if (status === 'updated') updatedCount++; else if (status === 'renamed') renamedCount++; else copiedCount++;
+            logger.verbose(`${status === 'updated' ? 'Updated' : 'Copied'}: ${sourceRelative} -> ${path.relative(process.cwd(), targetPath)}`);
+            await hooks.collect('afterCopy', { source: file, target: targetPath, status });
+            return record({ source: file, target: targetPath, size, status, durationMs: elapsed() });
+
+        } catch (copyError) {
+            // A large file cancelled by `signal` is left out, like the files not started yet
+            if (copyError.name === 'AbortError' && signal?.aborted) {
+                processedCount--;
+                logger.info(i18n.__('Copy of %s cancelled', sourceRelative));
+                return null;
+            }
+            // Handle errors during individual file copy
+            logger.error(i18n.__('Error copying file %s:'), sourceRelative, copyError);
+            errors.push({ file: sourceRelative, error: copyError.message || copyError });
+            await hooks.collect('afterCopy', { source: file, target: targetPath, status: 'failed', error: copyError });
+            return record({ source: file, target: targetPath, size, status: 'failed', error: String(copyError.message || copyError), durationMs: elapsed() });
+        }
+    }
+
+    /**
+     * Add one planned file to the archive destination: beforeCopy/afterCopy hooks, renaming of
+     * entries that share a name, and transforms. Failures are recorded in `errors`, never thrown.
+     * @returns {Promise<object>} The file's record, whose target is `<archive>/<entry>`.
+     */
+    async function copyIntoArchive(entry) {
+        const { file, root, target, targetExt } = entry;
+        processedCount++;
+        const sourceRelative = path.relative(process.cwd(), file);
+        const entryTarget = (planned) => path.join(archiveFile, path.relative(opts.archive.file, planned));
+        let targetPath = entryTarget(target);
+        const fileStartedAt = performance.now();
+        const elapsed = () => Math.round(performance.now() - fileStartedAt);
+        let size = null;
+        let stream = null;
+        try {
+            const sourceStat = await statSource(file);
+            size = sourceStat.size;
+            if ((await hooks.collect('beforeCopy', { source: file, target: targetPath })).includes(false)) {
+                skippedCount++;
+                logger.verbose(`Skipped by plugin: ${sourceRelative}`);
+                await hooks.collect('afterCopy', { source: file, target: targetPath, status: 'skipped' });
+                return record({ source: file, target: targetPath, size, status: 'skipped', durationMs: elapsed() });
+            }
+
+            // Entries only collide with each other: the later source gets a renamed entry
+            let content = await readArchivedSource(file);
+            const hash = await templateHash(file, content);
+            let planned = target;
+            for (let n = 1; !reservations.claim(planned, file); n++) {
+                planned = conflictTargetPath(target, n, { template: opts.conflictTemplate, targetExt, hash });
+            }
+            targetPath = entryTarget(planned);
+
+            // Transformed content is added from memory, plain files are streamed from disk
+            if (transformPipeline) content = await transformPipeline(content ?? await fs.readFile(file), { source: file, target: targetPath, root });
+            if (!content) {
+                const handle = await fs.open(file); // Opened first, so an unreadable file never starts an entry
+                stream = handle.createReadStream();
+            }
+            let entryContent = content ?? stream;
+            if (rateLimiter && content) await rateLimiter.take(content.length);
+            // A large entry reports its progress, and streamed entries go through the rate limit
+            const stages = [];
+            let entryBytes = 0;
+            const reportEntry = (finished) => progress({ type: 'stream', file, target: targetPath, size, bytes: entryBytes, finished });
+            if (stream && size > opts.streamThreshold) {
+                reportEntry(false);
+                stages.push(createByteMeter((bytes) => {
+                    entryBytes = bytes;
+                    reportEntry(false);
+                }));
+            }
+            if (stream && rateLimiter) stages.push(rateLimiter.stream());
+            if (stages.length > 0) {
+                entryContent = stages.at(-1);
+                pipeline(stream, ...stages).catch(() => {}); // A read error reaches the archive writer through the last stage
+            }
+            const entryName = path.relative(opts.archive.file, planned).replace(/\\/g, '/');
+            try {
+                await archiveWriter.add(entryName, entryContent, { size, mtime: sourceStat.mtime, mode: sourceStat.mode });
+            } finally {
+                if (stream && size > opts.streamThreshold) reportEntry(true);
+            }
+
+            const status = planned !== target ? 'renamed' : 'copied';
+            if (status === 'renamed') renamedCount++; else copiedCount++;
+            logger.verbose(`Copied: ${sourceRelative} -> ${path.relative(process.cwd(), targetPath)}`);
+            await hooks.collect('afterCopy', { source: file, target: targetPath, status });
+            return record({ source: file, target: targetPath, size, status, durationMs: elapsed() });
+        } catch (copyError) {
+            stream?.destroy(); // Not added after all: close the file
+            logger.error(i18n.__('Error copying file %s:'), sourceRelative, copyError);
+            errors.push({ file: sourceRelative, error: copyError.message || copyError });
+            await hooks.collect('afterCopy', { source: file, target: targetPath, status: 'failed', error: copyError });
+            return record({ source: file, target: targetPath, size, status: 'failed', error: String(copyError.message || copyError), durationMs: elapsed() });
+        }
+    }
+
+    // Remove a destination file whose source is gone (--delete)
+    async function deleteTarget(orphan) {
+        const orphanRelative = path.relative(process.cwd(), orphan);
+        try {
+            if (journal) await journal.beforeDelete(orphan);
+            await fs.unlink(orphan);
+            deletedCount++;
+            manifestEntries.delete(path.resolve(orphan));
+            record({ target: orphan, status: 'deleted' });
+            logger.verbose(`Deleted: ${orphanRelative}`);
+        } catch (deleteError) {
+            logger.error(i18n.__('Error deleting file %s', orphanRelative), deleteError);
+            errors.push({ file: orphanRelative, error: deleteError.message || deleteError });
+            record({ target: orphan, status: 'failed', error: String(deleteError.message || deleteError) });
+        }
+    }
+
+    // A resumed run's manifest still lists the files copied before the interruption
+    if (opts.checksums) {
+        for (const target of finishedEarlier.values()) {
+            if (await pathExists(target)) manifestEntries.set(path.resolve(target), await hashFile(target, opts.hashAlgorithm));
+        }
+    }
+
+    // Source sizes, so progress is told in bytes as well as in files
+    const sizes = await Promise.all(plan.map(({ file }) => statSource(file).then(stat => stat.size, () => 0)));
+    const bytesTotal = sizes.reduce((sum, size) => sum + size, 0);
+    let bytesDone = [...finishedEarlier.keys()].reduce((sum, index) => sum + (sizes[index] ?? 0), 0);
+
+    // Copy every planned file within the concurrency limit; files not started when `signal` aborts are left out.
+    // Failed files are not checkpointed, and keep the checkpoint, so resuming tries them again.
+    progress({ type: 'start', total: plan.length, done: finishedEarlier.size, bytesTotal, bytesDone, concurrency: limit.concurrency });
+    let done = finishedEarlier.size;
+    let checkpointFailed = false;
+    await Promise.all(plan.map((entry, index) => finishedEarlier.has(index) ? null : limited(async () => {
+        if (signal?.aborted) return null;
+        const fileRecord = opts.archive ? await copyIntoArchive(entry) : await copyPlannedFile(entry);
+        if (!fileRecord) return null; // Cancelled
+        if (checkpoint && fileRecord.status !== 'failed') {
+            await checkpoint.done(index, fileRecord.target).catch((checkpointError) => {
+                if (!checkpointFailed) logger.error(i18n.__('Failed to update the checkpoint'), checkpointError);
+                checkpointFailed = true;
+            });
+        }
+        bytesDone += sizes[index];
+        progress({ type: 'file', record: fileRecord, done: ++done, total: plan.length, bytesDone, bytesTotal, concurrency: limit.concurrency });
+        return fileRecord;
+    })));
+
+    // Complete the archive (an aborted run still gets a valid archive of the files added so far).
+    // A broken archive is removed: its entries cannot be trusted.
+    if (archiveWriter) {
+        try {
+            await archiveWriter.finish();
+            logger.info(i18n.__('Archive written to %s', archiveFile));
+        } catch (archiveError) {
+            await archiveWriter.abort();
+            logger.error(i18n.__('Failed to write the archive %s', archiveFile), archiveError);
+            errors.push({ file: path.relative(process.cwd(), archiveFile), error: archiveError.message || archiveError });
+            archiveWriter = null; // No archive in the result
+        }
+    }
+
+    // --- Remove Orphans (--sync --delete) ---
+    if (opts.sync && opts.deleteOrphans && !signal?.aborted) {
+        const orphans = await findOrphans(opts.dest, plan.map(({ target }) => target), await writtenTargets(opts, ctx));
+        for (const orphan of orphans) await deleteTarget(orphan);
+    }
+
+    // --- Watch Mode (--watch) ---
+    // Keep watching the source folders until `signal` aborts. Each burst of events triggers a new search
+    // that is compared with the previous one: added and changed files go through copyPlannedFile
+    // (same filters, hooks, naming rules and concurrency limit) and, with --delete, the targets
+    // of removed sources are deleted.
+    if (opts.watch && !signal.aborted) {
+        let snapshot = await snapshotFiles(prepared.files);
+        const rescan = async () => {
+            const next = await snapshotFiles((await prepared.search()).files);
+            const { changed, removed } = diffSnapshots(snapshot, next);
+            snapshot = next;
+            if (changed.length === 0 && removed.length === 0) return;
+            logger.info(i18n.__('Changes detected, %d file(s) changed and %d removed', changed.length, removed.length));
+
+            // Sources copied earlier in the session overwrite their own target; new ones are planned like the initial files
+            const known = changed.filter(({ file }) => sessionEntries.has(file));
+            const added = await planFiles(changed.filter(({ file }) => !sessionEntries.has(file)));
+            await Promise.all([
+                ...known.map(({ file }) => limited(() => copyPlannedFile(sessionEntries.get(file), { replace: true }))),
+                ...added.map(entry => limited(() => copyPlannedFile(entry)))
+            ]);
+            if (opts.deleteOrphans) {
+                for (const { file } of removed) {
+                    const entry = sessionEntries.get(file);
+                    if (!entry || fsSync.existsSync(file)) continue; // Only left out by a filter now: its target stays
+                    sessionEntries.delete(file);
+                    reservations.release(entry.target);
+                    if (fsSync.existsSync(entry.target)) await deleteTarget(entry.target);
+                }
+            }
+            progress({ type: 'batch', changed: changed.length, removed: removed.length, totals: totals() });
+        };
+
+        let watcher;
+        try {
+            watcher = watchSources(opts.sources, {
+                debounceMs: opts.debounce,
+                onChange: rescan,
+                onError: (watchError) => logger.error(i18n.__('Error while watching for changes'), watchError)
+            });
+        } catch (watchError) {
+            throw new SetupError(i18n.__('Cannot watch the source folders'), { cause: watchError });
+        }
+        progress({ type: 'watch', sources: opts.sources, totals: totals() });
+        // Run until aborted; a change being copied at that moment is finished first
+        await new Promise(resolve => signal.aborted ? resolve() : signal.addEventListener('abort', resolve, { once: true }));
+        await watcher.close();
+    }
+
+    // --- Checksum Manifest (--checksums) ---
+    if (opts.checksums) {
+        try {
+            await writeManifest(opts.checksums, [...manifestEntries].map(([file, hash]) => ({ file, hash })));
+            logger.info(i18n.__('Checksum manifest written to %s', opts.checksums));
+        } catch (manifestError) {
+            logger.error(i18n.__('Failed to write checksum manifest %s', opts.checksums), manifestError);
+            errors.push({ file: opts.checksums, error: manifestError.message || manifestError });
+        }
+    }
+
+    // Keep the checkpoint of an interrupted run, or of a run with failed files, for --resume;
+    // a run that copied everything has no further use for it
+    if (checkpoint) {
+        try {
+            if ((signal?.aborted && done < plan.length) || totals().failed > 0) {
+                await checkpoint.close();
+                keptCheckpoint = checkpoint.id;
+            } else {
+                await checkpoint.remove();
+            }
+        } catch (checkpointError) {
+            logger.error(i18n.__('Failed to update the checkpoint'), checkpointError);
+        }
+    }
+
+    if (journal) {
+        try {
+            await journal.finish(totals());
+        } catch (journalError) {
+            logger.error(i18n.__('Failed to finish the undo journal'), journalError);
+        }
+    }
+
+    return complete(totals(), {
+        plan, excluded: prepared.excluded, filtered: prepared.filtered, orphans: [],
+        archive: archiveWriter && { file: archiveFile, format: opts.archive.format }
+    });
+}
@@ -0,0 +1,80 @@
+/**
+ * Error classes thrown by the copy-cli API.
+ *
+ * Every error carries a stable `code` so callers can react to the kind of
+ * failure without parsing (possibly translated) messages. Failures of single
+ * files are not thrown: they are reported in the run result instead.
+ */
+
+/** Base class of all copy-cli errors. */
+export class CopyCliError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.code]
+     * @param {unknown} [details.cause]
+     */
+    constructor(message, { code = 'ECOPYCLI', cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/** An option is missing, has an invalid value or conflicts with another option. */
+export class OptionsError extends CopyCliError {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.option] Name of the offending option (e.g. `map`).
+     * @param {unknown} [details.cause]
+     */
+    constructor(message, { option, cause } = {}) {
+        super(message, { code: 'EOPTIONS', cause });
+        this.option = option;
+    }
+}
+
+/** The file search failed (unreadable source or ignore file, invalid pattern...). */
+export class SearchError extends CopyCliError {
+    constructor(message, { cause } = {}) {
+        super(message, { code: 'ESEARCH', cause });
+    }
+}
+
+/** A found file could not be given a target (e.g. an extension nobody mapped). */
+export class PlanError extends CopyCliError {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.file] Source file that could not be planned.
+     * @param {unknown} [details.cause]
+     */
+    constructor(message, { file, cause } = {}) {
+        super(message, { code: 'EPLAN', cause });
+        this.file = file;
+    }
+}
+
+/** A config file cannot be read, is not valid JSON(C) or holds an invalid value. */
+export class ConfigError extends CopyCliError {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.file] Config file.
+     * @param {string} [details.key]  Path of the offending key (e.g. `jobs.docs.layout`).
+     * @param {unknown} [details.cause]
+     */
+    constructor(message, { file, key, cause } = {}) {
+        super(message, { code: 'ECONFIG', cause });
+        this.file = file;
+        this.key = key;
+    }
+}
+
+/** The destination, the undo journal or the watchers could not be set up. */
+export class SetupError extends CopyCliError {
+    constructor(message, { cause } = {}) {
+        super(message, { code: 'ESETUP', cause });
+    }
+}
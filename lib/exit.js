@@ -0,0 +1,68 @@
+/**
+ * Exit codes of the copy-cli command, and how run results map to them.
+ *
+ * Scripts and CI jobs can tell the outcome of a run from the exit code alone:
+ *
+ * | Code  | Meaning                                                              |
+ * | ----- | -------------------------------------------------------------------- |
+ * | `0`   | Success (a watch session that was stopped, a dry run that found files) |
+ * | `1`   | Total failure: every file failed, or the run could not start         |
+ * | `2`   | Invalid arguments or config (including a missing required option)    |
+ * | `3`   | Nothing matched the search                                           |
+ * | `4`   | Partial failure: some files failed, the others were copied           |
+ * | `130` | Cancelled (Ctrl+C, or the confirmation was declined)                 |
+ */
+
+import { OptionsError, ConfigError } from './errors.js';
+
+export const EXIT_CODES = Object.freeze({
+    SUCCESS: 0,
+    FAILURE: 1,
+    INVALID_ARGS: 2,
+    NOTHING_MATCHED: 3,
+    PARTIAL_FAILURE: 4,
+    CANCELLED: 130
+});
+
+/**
+ * Exit code for an error that stopped a run before it copied anything.
+ *
+ * @param {Error} error
+ * @returns {number} `INVALID_ARGS` for option and config errors, else `FAILURE`.
+ */
+export function exitCodeOfError(error) {
+    return error instanceof OptionsError || error instanceof ConfigError ? EXIT_CODES.INVALID_ARGS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Exit code for the result of `runCopy`.
+ *
+ * @param {object} result
+ * @returns {number}
+ */
+export function exitCodeOfRun(result) {
+    const watch = result.options.watch; // Ending a watch session with Ctrl+C is its normal end
+    if (result.aborted && !watch) return EXIT_CODES.CANCELLED;
+    if (result.plan.length === 0 && !watch) return EXIT_CODES.NOTHING_MATCHED;
+    if (result.errors.length === 0) return EXIT_CODES.SUCCESS;
+    // Files a resumed run finished earlier count as done
+    const handled = result.resumed + result.totals.total;
+    return result.totals.failed < handled ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Exit code for the outcome of `runJobs`: the jobs' own codes, combined.
+ *
+ * @param {{ jobs: { result: object|null, error: Error|null }[] }} outcome
+ * @returns {number} `CANCELLED` if any job was cancelled, `SUCCESS` when no job failed (some may
+ *   have matched nothing), `NOTHING_MATCHED` when none matched anything, `FAILURE` when every
+ *   job failed entirely, else `PARTIAL_FAILURE`.
+ */
+export function exitCodeOfJobs(outcome) {
+    const codes = outcome.jobs.map(({ result, error }) => error ? exitCodeOfError(error) : exitCodeOfRun(result));
+    if (codes.includes(EXIT_CODES.CANCELLED)) return EXIT_CODES.CANCELLED;
+    if (codes.every(code => code === EXIT_CODES.NOTHING_MATCHED)) return EXIT_CODES.NOTHING_MATCHED;
+    if (codes.every(code => code === EXIT_CODES.SUCCESS || code === EXIT_CODES.NOTHING_MATCHED)) return EXIT_CODES.SUCCESS;
+    if (codes.every(code => code === EXIT_CODES.FAILURE || code === EXIT_CODES.INVALID_ARGS)) return EXIT_CODES.FAILURE;
+    return EXIT_CODES.PARTIAL_FAILURE;
+}
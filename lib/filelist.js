@@ -0,0 +1,86 @@
+/**
+ * File lists of `--files-from`: one path per line, as saved by the review step
+ * (`--review`) or written by hand.
+ *
+ *     # Files picked for the docs copy
+ *     src/index.js
+ *     src/lib/engine.js
+ *
+ * Blank lines and lines starting with `#` are skipped. Relative paths start
+ * from the folder of the list file, so a list keeps working from another
+ * working directory. A list only narrows the search: listed files the search
+ * does not find are not copied.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Parse the text of a file list.
+ *
+ * @param {string} text
+ * @param {string} baseDir Folder relative paths start from.
+ * @returns {string[]} Absolute paths, in list order without repeats.
+ */
+export function parseFileList(text, baseDir) {
+    const files = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'))
+        .map(line => path.resolve(baseDir, line));
+    return [...new Set(files)];
+}
+
+/**
+ * Read a file list.
+ *
+ * @param {string} file
+ * @returns {string[]} Absolute paths (see `parseFileList`).
+ */
+export function readFileList(file) {
+    return parseFileList(fs.readFileSync(file, 'utf8'), path.dirname(path.resolve(file)));
+}
+
+/**
+ * Write a file list that `--files-from` reads back as the same files.
+ *
+ * @param {string} file
+ * @param {string[]} files
+ * @param {object} [options]
+ * @param {string} [options.comment] First line of the list, after a `#`.
+ * @returns {Promise<void>}
+ */
+export async function writeFileList(file, files, { comment } = {}) {
+    const baseDir = path.dirname(path.resolve(file));
+    const lines = files.map(f => path.relative(baseDir, path.resolve(f)).split(path.sep).join('/'));
+    if (comment) lines.unshift(`# ${comment}`);
+    await fs.promises.mkdir(baseDir, { recursive: true });
+    await fs.promises.writeFile(file, `${lines.join('\n')}\n`);
+}
+
+/**
+ * Keep the files found by the search that every list names.
+ *
+ * @param {{ file: string, root: string }[]} files
+ * @param {{ rule: string, files: Set<string> }[]} lists Absolute paths, and how each list is named in reports.
+ * @returns {{
+ *   files: { file: string, root: string }[],
+ *   excluded: { file: string, root: string, rule: string }[],
+ *   counts: { filter: string, removed: number }[]
+ * }} Like `applyFileFilters` of lib/filters.js.
+ */
+export function applyFileLists(files, lists) {
+    const counts = lists.map(({ rule }) => ({ filter: rule, removed: 0 }));
+    if (lists.length === 0) return { files, excluded: [], counts };
+    const kept = [];
+    const excluded = [];
+    for (const found of files) {
+        const index = lists.findIndex(list => !list.files.has(path.resolve(found.file)));
+        if (index === -1) {
+            kept.push(found);
+        } else {
+            counts[index].removed++;
+            excluded.push({ ...found, rule: lists[index].rule });
+        }
+    }
+    return { files: kept, excluded, counts };
+}
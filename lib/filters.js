@@ -0,0 +1,143 @@
+/**
+ * Attribute filters of the file search: `--min-size`/`--max-size`,
+ * `--newer-than`/`--older-than` and `--contains`.
+ *
+ * They run on the files the glob search kept (see lib/search.js), as they need
+ * to look at each file: the size and date filters stat it, `--contains` reads
+ * it. The cheap filters come first and a file removed by one filter is not
+ * tried by the next, so every file is read at most once and each filter counts
+ * the files it removed itself.
+ *
+ * `--contains` reads files line by line, so a large file is never held in
+ * memory and the search stops at the first matching line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+
+// Units of durations like `7d`, in milliseconds
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i;
+// `2025-01-31`, optionally with a time: `2025-01-31T08:30`, `2025-01-31 08:30:15`, `2025-01-31T08:30:00Z`
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?))?$/;
+
+/**
+ * Parse the point in time of `--newer-than` and `--older-than`: a date (local
+ * time unless a zone is given), a duration back from now, or a reference file
+ * whose modification time is used.
+ *
+ * @param {string} value
+ * @param {object} [options]
+ * @param {number} [options.now] Milliseconds since the epoch that durations count back from.
+ * @returns {{ time: number, kind: 'duration'|'date'|'file' }|null} Milliseconds since the epoch,
+ *   or null when the value is none of the three.
+ */
+export function parseWhen(value, { now = Date.now() } = {}) {
+    const text = String(value ?? '').trim();
+    if (text === '') return null;
+    const duration = DURATION_PATTERN.exec(text);
+    if (duration) return { time: now - Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()], kind: 'duration' };
+    const date = DATE_PATTERN.exec(text);
+    if (date) {
+        const [, year, month, day, time] = date;
+        const local = new Date(Number(year), Number(month) - 1, Number(day));
+        if (local.getMonth() !== Number(month) - 1 || local.getDate() !== Number(day)) return null; // 2025-02-30 would roll over into March
+        const parsed = time ? Date.parse(`${year}-${month}-${day}T${time}`) : local.getTime();
+        return Number.isNaN(parsed) ? null : { time: parsed, kind: 'date' };
+    }
+    const stat = fs.statSync(path.resolve(text), { throwIfNoEntry: false });
+    return stat ? { time: stat.mtimeMs, kind: 'file' } : null;
+}
+
+/**
+ * Build the filters of a search, in the order they are applied.
+ *
+ * @param {object} settings
+ * @param {number|null} [settings.minSize]  Smallest size kept, in bytes.
+ * @param {number|null} [settings.maxSize]  Largest size kept, in bytes.
+ * @param {number|null} [settings.newerThan] Keep files modified after this time (ms since the epoch).
+ * @param {number|null} [settings.olderThan] Keep files modified before this time.
+ * @param {RegExp|null} [settings.contains] Keep files with a line matching this expression.
+ * @param {Record<string, string>} [settings.labels] How each filter is named in reports, e.g. `--min-size 1KB`.
+ * @returns {{ rule: string, stat?: (stat: fs.Stats) => boolean, content?: RegExp }[]}
+ */
+export function createFileFilters({ minSize = null, maxSize = null, newerThan = null, olderThan = null, contains = null, labels = {} }) {
+    const filters = [];
+    if (minSize !== null) filters.push({ rule: labels.minSize ?? '--min-size', stat: (stat) => stat.size >= minSize });
+    if (maxSize !== null) filters.push({ rule: labels.maxSize ?? '--max-size', stat: (stat) => stat.size <= maxSize });
+    if (newerThan !== null) filters.push({ rule: labels.newerThan ?? '--newer-than', stat: (stat) => stat.mtimeMs > newerThan });
+    if (olderThan !== null) filters.push({ rule: labels.olderThan ?? '--older-than', stat: (stat) => stat.mtimeMs < olderThan });
+    if (contains !== null) filters.push({ rule: labels.contains ?? '--contains', content: contains });
+    return filters;
+}
+
+// Whether a line of the content matches; the stream is closed as soon as one does
+async function containsMatch(stream, expression) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (expression.test(line)) return true;
+        }
+        return false;
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Apply the filters to the files found by the search.
+ *
+ * A file that cannot be stat'ed or read is kept: the copy then reports why it failed.
+ *
+ * @param {{ file: string, root: string }[]} files
+ * @param {ReturnType<typeof createFileFilters>} filters
+ * @param {object} io
+ * @param {(task: () => Promise<any>) => Promise<any>} io.limit Runs the checks, e.g. a p-limit with `--concurrency`.
+ * @param {(file: string) => Promise<fs.Stats|{ size: number, mtimeMs: number }>} [io.stat]
+ * @param {(file: string) => Promise<Buffer|null>} [io.read] Content of files that are not on disk (archive entries), else null.
+ * @returns {Promise<{
+ *   files: { file: string, root: string }[],
+ *   excluded: { file: string, root: string, rule: string }[],
+ *   counts: { filter: string, removed: number }[]
+ * }>} Kept files in their original order, the removed ones with their filter, and how many each filter removed.
+ */
+export async function applyFileFilters(files, filters, { limit, stat = (file) => fs.promises.stat(file), read = async () => null }) {
+    const counts = filters.map(({ rule }) => ({ filter: rule, removed: 0 }));
+    if (filters.length === 0) return { files, excluded: [], counts };
+
+    // Index of the filter that removes a file, or -1 to keep it
+    const check = async (file) => {
+        let fileStat = null;
+        for (const [index, filter] of filters.entries()) {
+            try {
+                if (filter.stat) {
+                    fileStat ??= await stat(file);
+                    if (!filter.stat(fileStat)) return index;
+                } else {
+                    const content = await read(file);
+                    const stream = content ? Readable.from([content]) : fs.createReadStream(file);
+                    if (!await containsMatch(stream, filter.content)) return index;
+                }
+            } catch {
+                return -1;
+            }
+        }
+        return -1;
+    };
+    const verdicts = await Promise.all(files.map(({ file }) => limit(() => check(file))));
+
+    const kept = [];
+    const excluded = [];
+    files.forEach((found, i) => {
+        if (verdicts[i] === -1) {
+            kept.push(found);
+        } else {
+            counts[verdicts[i]].removed++;
+            excluded.push({ ...found, rule: filters[verdicts[i]].rule });
+        }
+    });
+    return { files: kept, excluded, counts };
+}
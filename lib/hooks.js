@@ -0,0 +1,93 @@
+/**
+ * Plugin lifecycle hooks for copy-cli.
+ *
+ * Plugins receive a `hooks` object in their `install` context and register
+ * handlers with `hooks.on(name, handler, { order })`. Handlers may be async.
+ * They run one after another, sorted by `order` (lower first, default 100)
+ * and then by registration order, so the result never depends on timing.
+ *
+ * A handler that throws is logged against its plugin's name and treated as
+ * if it had returned nothing; the copy run itself carries on.
+ */
+
+// Lifecycle hooks, in the order they are reached during a run
+export const HOOK_NAMES = ['beforeSearch', 'filterFile', 'transformPath', 'beforeCopy', 'afterCopy', 'onComplete'];
+
+const DEFAULT_ORDER = 100;
+
+/**
+ * Create the hook registry shared by all plugins of one run.
+ *
+ * @param {{ logger: import('winston').Logger, i18n: object }} context
+ */
+export function createHookRegistry({ logger, i18n }) {
+    const handlers = new Map(HOOK_NAMES.map(name => [name, []]));
+    const failures = []; // { plugin, hook, error } for every handler that threw
+    let registered = 0;  // Tie-breaker keeping registration order for equal `order` values
+
+    /**
+     * Registration API handed to a single plugin, so every handler is tied to its plugin's name.
+     * @param {string} pluginName
+     */
+    function forPlugin(pluginName) {
+        return {
+            on(hookName, handler, { order = DEFAULT_ORDER } = {}) {
+                if (!handlers.has(hookName)) {
+                    throw new Error(`Unknown hook "${hookName}". Available hooks: ${HOOK_NAMES.join(', ')}`);
+                }
+                if (typeof handler !== 'function') {
+                    throw new TypeError(`Handler for hook "${hookName}" must be a function`);
+                }
+                const list = handlers.get(hookName);
+                list.push({ plugin: pluginName, handler, order, seq: registered++ });
+                list.sort((a, b) => a.order - b.order || a.seq - b.seq);
+            }
+        };
+    }
+
+    // Call one handler, turning a thrown error into a logged failure
+    async function invoke(entry, hookName, payload) {
+        try {
+            return await entry.handler(payload);
+        } catch (error) {
+            failures.push({ plugin: entry.plugin, hook: hookName, error: error?.message || String(error) });
+            logger.error(i18n.__('Plugin %s failed in hook %s', entry.plugin, hookName), error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Run every handler of a hook and collect the values they returned (undefined is dropped).
+     * @returns {Promise<Array>}
+     */
+    async function collect(hookName, payload) {
+        const results = [];
+        for (const entry of handlers.get(hookName)) {
+            const result = await invoke(entry, hookName, payload);
+            if (result !== undefined) results.push(result);
+        }
+        return results;
+    }
+
+    /**
+     * Run a hook as a waterfall: each handler sees the value produced by the previous one
+     * in `payload[key]` and may return a replacement.
+     * @returns {Promise<*>} The final value.
+     */
+    async function waterfall(hookName, key, payload) {
+        let value = payload[key];
+        for (const entry of handlers.get(hookName)) {
+            const result = await invoke(entry, hookName, { ...payload, [key]: value });
+            if (result !== undefined) value = result;
+        }
+        return value;
+    }
+
+    return {
+        forPlugin,
+        collect,
+        waterfall,
+        has: (hookName) => handlers.get(hookName).length > 0,
+        failures
+    };
+}
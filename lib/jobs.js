@@ -0,0 +1,100 @@
+/**
+ * Running several copy jobs (`copy-cli run <job...>`).
+ *
+ * Jobs run one after another by default, or all at once with `parallel`. A job
+ * that cannot start (invalid options, unreadable source...) is reported as
+ * failed and the other jobs still run.
+ *
+ * Each job picks its target names on its own, so parallel jobs must not write
+ * into the same destination: a job whose destination is, contains or lies in
+ * that of an earlier job fails instead of running alongside it.
+ */
+
+import path from 'path';
+import { format } from 'util';
+import { runCopy } from './engine.js';
+import { CopyCliError, OptionsError } from './errors.js';
+
+const EMPTY_TOTALS = { total: 0, copied: 0, renamed: 0, updated: 0, skipped: 0, deleted: 0, failed: 0 };
+
+// Whether two destinations are the same folder (or archive), or one lies inside the other
+function destinationsOverlap(a, b) {
+    const inside = (child, parent) => {
+        const relative = path.relative(path.resolve(parent), path.resolve(child));
+        return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    };
+    return inside(a, b) || inside(b, a);
+}
+
+/**
+ * Find the jobs that write into the destination of an earlier job (dry runs write nothing).
+ *
+ * @param {{ name: string, options: import('./engine.js').CopyOptions }[]} jobs
+ * @returns {Map<string, string>} Name of each such job -> name of the earlier job.
+ */
+function overlappingJobs(jobs) {
+    const overlaps = new Map();
+    const writers = jobs.filter(({ options }) => typeof options.dest === 'string' && options.dest !== '' && !options.dryRun);
+    writers.forEach((job, index) => {
+        const earlier = writers.slice(0, index).find(other => destinationsOverlap(job.options.dest, other.options.dest));
+        if (earlier) overlaps.set(job.name, earlier.name);
+    });
+    return overlaps;
+}
+
+/**
+ * Run jobs and sum up their results.
+ *
+ * @param {{ name: string, options: import('./engine.js').CopyOptions }[]} jobs
+ * @param {object} [settings]
+ * @param {boolean} [settings.parallel=false] Start every job at once instead of one after another. A job
+ *        that writes into the destination of an earlier one then fails with an `OptionsError` (see `overlappingJobs`).
+ * @param {object} [context] Engine context shared by all jobs (see `runCopy`), plus:
+ * @param {(job: { name: string }) => void} [context.onJobStart]
+ * @param {(job: { name: string, result: object|null, error: Error|null, durationMs: number }) => void} [context.onJobEnd]
+ * @returns {Promise<{
+ *   jobs: { name: string, result: object|null, error: Error|null, durationMs: number }[],
+ *   totals: { total: number, copied: number, renamed: number, updated: number, skipped: number, deleted: number, failed: number },
+ *   failedJobs: number
+ * }>} Jobs in the order given. Progress events of parallel jobs carry the job's `name` as `job`.
+ */
+export async function runJobs(jobs, { parallel = false } = {}, context = {}) {
+    const { onJobStart, onJobEnd, onProgress, ...engineContext } = context;
+    const i18n = engineContext.i18n ?? { __: (phrase, ...args) => format(phrase, ...args) };
+    const overlaps = parallel ? overlappingJobs(jobs) : new Map();
+
+    const runJob = async ({ name, options }) => {
+        onJobStart?.({ name });
+        const startedAt = Date.now();
+        let result = null;
+        let error = null;
+        try {
+            if (overlaps.has(name)) {
+                throw new OptionsError(i18n.__('Job %s writes into the destination of job %s, so they cannot run in parallel', name, overlaps.get(name)), { option: 'dest' });
+            }
+            result = await runCopy(options, {
+                ...engineContext,
+                onProgress: onProgress && ((event) => onProgress({ ...event, job: name }))
+            });
+        } catch (jobError) {
+            if (!(jobError instanceof CopyCliError)) throw jobError; // A bug, not a job problem
+            error = jobError;
+        }
+        const outcome = { name, result, error, durationMs: Date.now() - startedAt };
+        onJobEnd?.(outcome);
+        return outcome;
+    };
+
+    const outcomes = [];
+    if (parallel) {
+        outcomes.push(...await Promise.all(jobs.map(runJob)));
+    } else {
+        for (const job of jobs) outcomes.push(await runJob(job));
+    }
+
+    const totals = { ...EMPTY_TOTALS };
+    for (const { result } of outcomes) {
+        if (result) Object.keys(totals).forEach(key => { totals[key] += result.totals[key]; });
+    }
+    return { jobs: outcomes, totals, failedJobs: outcomes.filter(o => o.error || o.result.errors.length > 0).length };
+}
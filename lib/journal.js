@@ -0,0 +1,229 @@
+/**
+ * Undo journal for copy-cli runs.
+ *
+ * Every real copy run gets a folder `<journalDir>/<runId>/` holding:
+ * - `run.json`:       metadata (options, start/finish times, totals, status),
+ * - `entries.ndjson`: one line per change, appended as it happens so that an
+ *                     interrupted run can still be undone,
+ * - `backups/`:       copies of files taken just before they were overwritten or deleted
+ *                     (a symbolic link is backed up as a link to the same path).
+ *
+ * `undoRun` walks the entries backwards: created targets are removed and
+ * backed-up files are put back where they were.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+const RUN_FILE = 'run.json';
+const ENTRIES_FILE = 'entries.ndjson';
+const BACKUPS_DIR = 'backups';
+
+/**
+ * Create a sortable, unique run id such as `20250101-120000-1a2b`.
+ * @param {Date} [date]
+ */
+export function createRunId(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// A link counts as present even when what it points to is missing
+async function fileExists(file) {
+    try {
+        await fs.lstat(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Start the journal of a run.
+ *
+ * @param {object} params
+ * @param {string} params.journalDir Folder holding all run journals.
+ * @param {object} params.options    Options in effect, kept for `history`.
+ * @param {string} [params.runId]
+ */
+export async function createJournal({ journalDir, options, runId = createRunId() }) {
+    const runDir = path.join(journalDir, runId);
+    const backupsDir = path.join(runDir, BACKUPS_DIR);
+    await fs.mkdir(backupsDir, { recursive: true });
+
+    const meta = { runId, cwd: process.cwd(), startedAt: new Date().toISOString(), finishedAt: null, status: 'running', options, totals: null };
+    const writeMeta = () => fs.writeFile(path.join(runDir, RUN_FILE), JSON.stringify(meta, null, 2) + '\n');
+    await writeMeta();
+
+    let backupCount = 0;
+    // Appends are queued so entries keep the order in which changes happened
+    let appendQueue = Promise.resolve();
+    const append = (entry) => {
+        appendQueue = appendQueue.then(() => fs.appendFile(path.join(runDir, ENTRIES_FILE), JSON.stringify(entry) + '\n'));
+        return appendQueue;
+    };
+    // Copy a file into the backups folder and return the backup's path; a link is copied as a link
+    const backUp = async (file) => {
+        const backup = path.join(backupsDir, `${++backupCount}${path.extname(file)}`);
+        if ((await fs.lstat(file)).isSymbolicLink()) {
+            await fs.symlink(await fs.readlink(file), backup);
+        } else {
+            await fs.copyFile(file, backup);
+        }
+        return backup;
+    };
+
+    return {
+        runId,
+        /**
+         * Prepare a write to `target`: back the target up if it exists, and record the change.
+         * Must be called right before the target is written.
+         */
+        async beforeWrite(target, source) {
+            const absolute = path.resolve(target);
+            if (await fileExists(absolute)) {
+                await append({ action: 'overwritten', target: absolute, source: path.resolve(source), backup: await backUp(absolute) });
+            } else {
+                await append({ action: 'created', target: absolute, source: path.resolve(source), backup: null });
+            }
+        },
+        /** Record a target this run has just created (written exclusively, so nothing was replaced). */
+        async created(target, source) {
+            await append({ action: 'created', target: path.resolve(target), source: path.resolve(source), backup: null });
+        },
+        /** Back up and record a file that is about to be deleted. */
+        async beforeDelete(target) {
+            const absolute = path.resolve(target);
+            await append({ action: 'deleted', target: absolute, source: null, backup: await backUp(absolute) });
+        },
+        /** Store the final totals and mark the run as complete. */
+        async finish(totals) {
+            await appendQueue;
+            meta.finishedAt = new Date().toISOString();
+            meta.status = 'complete';
+            meta.totals = totals;
+            await writeMeta();
+        }
+    };
+}
+
+async function readRun(journalDir, runId) {
+    const runDir = path.join(journalDir, runId);
+    const meta = JSON.parse(await fs.readFile(path.join(runDir, RUN_FILE), 'utf8'));
+    let entries = [];
+    try {
+        entries = (await fs.readFile(path.join(runDir, ENTRIES_FILE), 'utf8'))
+            .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // A run that changed nothing has no entries file
+    }
+    return { meta, entries, runDir };
+}
+
+/**
+ * List journaled runs, newest first.
+ *
+ * @param {string} journalDir
+ * @returns {Promise<object[]>} The `run.json` metadata of every run, plus `changes` (number of entries).
+ */
+export async function listRuns(journalDir) {
+    let ids;
+    try {
+        ids = await fs.readdir(journalDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const runs = [];
+    for (const id of ids.sort().reverse()) {
+        try {
+            const { meta, entries } = await readRun(journalDir, id);
+            runs.push({ ...meta, changes: entries.length });
+        } catch {
+            // Not a journal folder (or a damaged one): leave it out of the history
+        }
+    }
+    return runs;
+}
+
+/**
+ * Targets that journaled runs wrote and that are still theirs: created or overwritten
+ * by a run that was not undone, and not deleted by a later one.
+ *
+ * @param {string} journalDir
+ * @returns {Promise<Map<string, string>>} Absolute target -> absolute source it was written from.
+ */
+export async function journaledTargets(journalDir) {
+    const targets = new Map();
+    const runs = (await listRuns(journalDir)).filter(run => run.status !== 'undone').reverse(); // Oldest first
+    for (const { runId } of runs) {
+        let entries;
+        try {
+            ({ entries } = await readRun(journalDir, runId));
+        } catch {
+            continue; // Removed or damaged meanwhile
+        }
+        for (const { action, target, source } of entries) {
+            if (action === 'deleted') targets.delete(target);
+            else if (source) targets.set(target, source);
+        }
+    }
+    return targets;
+}
+
+/**
+ * Undo a run: remove the targets it created and restore the files it overwrote or deleted.
+ *
+ * @param {string} journalDir
+ * @param {string} [runId] Defaults to the most recent complete run. When no run is complete, the most
+ *   recent run that has not been undone yet (still running, interrupted or partially undone).
+ * @returns {Promise<{ runId: string, status: string, removed: number, restored: number, failures: { target: string, error: string }[] }>}
+ *   `status` is the status the run had before this undo, `'complete'` unless the run was cut short or undone in part.
+ * @throws {Error} When there is no such run or it was already undone.
+ */
+export async function undoRun(journalDir, runId) {
+    if (!runId) {
+        const runs = (await listRuns(journalDir)).filter(run => run.status !== 'undone');
+        const latest = runs.find(run => run.status === 'complete') ?? runs[0];
+        if (!latest) throw new Error('No run to undo');
+        runId = latest.runId;
+    }
+    let run;
+    try {
+        run = await readRun(journalDir, runId);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`Unknown run: ${runId}`);
+        throw error;
+    }
+    const { meta, entries, runDir } = run;
+    if (meta.status === 'undone') throw new Error(`Run ${runId} has already been undone`);
+
+    const result = { runId, status: meta.status, removed: 0, restored: 0, failures: [] };
+    for (const entry of [...entries].reverse()) {
+        try {
+            if (entry.action === 'created') {
+                await fs.rm(entry.target, { force: true });
+                result.removed++;
+            } else {
+                await fs.mkdir(path.dirname(entry.target), { recursive: true });
+                // Whatever is there now is replaced, not written through when it is a link
+                await fs.rm(entry.target, { force: true });
+                if ((await fs.lstat(entry.backup)).isSymbolicLink()) {
+                    await fs.symlink(await fs.readlink(entry.backup), entry.target);
+                } else {
+                    await fs.copyFile(entry.backup, entry.target);
+                }
+                result.restored++;
+            }
+        } catch (error) {
+            result.failures.push({ target: entry.target, error: error.message || String(error) });
+        }
+    }
+
+    meta.status = result.failures.length > 0 ? 'partially-undone' : 'undone';
+    meta.undoneAt = new Date().toISOString();
+    await fs.writeFile(path.join(runDir, RUN_FILE), JSON.stringify(meta, null, 2) + '\n');
+    return result;
+}
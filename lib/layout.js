@@ -0,0 +1,137 @@
+/**
+ * Destination layout helpers for copy-cli.
+ *
+ * Every place that needs to know where a source file ends up (the dry-run
+ * listing, the collision check and the real copy) goes through these
+ * functions, so the three can never disagree about a target path.
+ */
+
+import path from 'path';
+
+// Supported values for --layout
+export const LAYOUTS = ['flat', 'mirror', 'prefixed'];
+
+// --map value that keeps a file's original extension
+export const KEEP_EXTENSION = 'keep';
+
+const EXTENSION_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+
+/**
+ * Parse the `--map` option into a Map of lower-cased source extension -> target extension.
+ *
+ * Accepts `ts:txt,md:markdown,js:keep` strings (also repeated, as an array) and
+ * `{ "ts": "txt" }` objects from config files. `keep` leaves the extension unchanged.
+ *
+ * @param {string|string[]|Record<string, string>|undefined} value
+ * @returns {Map<string, string>}
+ * @throws {Error} When an entry is not a valid `source:target` pair.
+ */
+export function parseExtensionMap(value) {
+    const map = new Map();
+    if (value == null) return map;
+    const pairs = typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value)
+        : [value].flat().flatMap(v => String(v).split(/[,;\s]+/)).filter(Boolean).map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator === -1) throw new Error(`Invalid extension mapping "${entry}" (expected source:target)`);
+            return [entry.slice(0, separator), entry.slice(separator + 1)];
+        });
+    for (const [rawSource, rawTarget] of pairs) {
+        const source = String(rawSource).trim().replace(/^\./, '');
+        const target = String(rawTarget ?? '').trim().replace(/^\./, '');
+        if (!EXTENSION_PATTERN.test(source) || !EXTENSION_PATTERN.test(target)) {
+            throw new Error(`Invalid extension mapping "${rawSource}:${rawTarget}"`);
+        }
+        map.set(source.toLowerCase(), target);
+    }
+    return map;
+}
+
+/**
+ * Split a file name into its base name and the extension that selects the target extension.
+ * The longest `--map` key the name ends with wins (so `d.ts` beats `ts`); otherwise the last extension is used.
+ *
+ * @param {string} file
+ * @param {Map<string, string>} extMap
+ * @returns {{ base: string, ext: string }} `ext` without the dot, in its original case.
+ */
+function splitExtension(file, extMap) {
+    const name = path.basename(file);
+    const lower = name.toLowerCase();
+    const key = [...extMap.keys()]
+        .filter(k => lower.endsWith(`.${k}`) && lower.length > k.length + 1)
+        .sort((a, b) => b.length - a.length)[0];
+    if (key) return { base: name.slice(0, -(key.length + 1)), ext: name.slice(-key.length) };
+    const ext = path.extname(name);
+    return { base: path.basename(name, ext), ext: ext.slice(1) };
+}
+
+/**
+ * Choose the target extension of a file: its `--map` entry, or `--targetExt` for unmapped extensions.
+ *
+ * @param {string} file
+ * @param {{ targetExt?: string, extMap?: Map<string, string> }} options
+ * @returns {{ base: string, targetExt: string }}
+ * @throws {Error} When the extension is unmapped and there is no --targetExt.
+ */
+export function resolveTargetName(file, { targetExt, extMap = new Map() }) {
+    const { base, ext } = splitExtension(file, extMap);
+    const mapped = extMap.get(ext.toLowerCase());
+    if (mapped === KEEP_EXTENSION) return { base, targetExt: ext };
+    if (mapped) return { base, targetExt: mapped };
+    if (!targetExt) throw new Error(`No target extension for "${path.basename(file)}": add it to --map or set --targetExt`);
+    return { base, targetExt };
+}
+
+/**
+ * Compute the directory (relative to the destination) a file is copied into.
+ *
+ * - `flat`:     everything lands directly in the destination folder.
+ * - `mirror`:   the folder structure below the source root is kept.
+ * - `prefixed`: like `mirror`, with the source root's name as a top-level folder.
+ *
+ * @param {string} file   Absolute path of the source file.
+ * @param {string} root   Source root (as given to --src) the file was found in.
+ * @param {string} layout One of LAYOUTS.
+ * @returns {string} Relative directory, '' for the destination itself.
+ */
+export function relativeTargetDir(file, root, layout = 'flat') {
+    if (layout === 'flat') return '';
+    const relativeDir = path.dirname(path.relative(path.resolve(root), file));
+    const mirrored = relativeDir === '.' ? '' : relativeDir;
+    if (layout === 'mirror') return mirrored;
+    if (layout === 'prefixed') return path.join(path.basename(path.resolve(root)), mirrored);
+    throw new Error(`Unknown layout: ${layout}`);
+}
+
+/**
+ * Compute the planned target path of a source file, before any collision handling.
+ *
+ * @param {string} file Absolute path of the source file.
+ * @param {string} root Source root the file was found in.
+ * @param {{ dest: string, targetExt?: string, extMap?: Map<string, string>, layout?: string }} options
+ * @returns {string} Target path inside `dest`.
+ */
+export function resolveTargetPath(file, root, { dest, targetExt, extMap, layout = 'flat' }) {
+    const name = resolveTargetName(file, { targetExt, extMap });
+    return path.join(dest, relativeTargetDir(file, root, layout), `${name.base}.${name.targetExt}`);
+}
+
+/**
+ * Build the `_N` variant of a target path used when the original name is taken.
+ * The suffix is added in the same folder, so mirrored layouts stay mirrored, and
+ * in front of the target extension, so multi-part extensions (`d.ts`) stay intact.
+ *
+ * @param {string} targetPath  Planned target path.
+ * @param {number} i           Collision counter (1, 2, ...).
+ * @param {string} [targetExt] Target extension chosen for the file; defaults to the last extension.
+ * @returns {string}
+ */
+export function renamedTargetPath(targetPath, i, targetExt) {
+    const name = path.basename(targetPath);
+    const ext = targetExt && name.toLowerCase().endsWith(`.${targetExt.toLowerCase()}`) && name.length > targetExt.length + 1
+        ? name.slice(-(targetExt.length + 1))
+        : path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    return path.join(path.dirname(targetPath), `${base}_${i}${ext}`);
+}
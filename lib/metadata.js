@@ -0,0 +1,89 @@
+/**
+ * File metadata and symbolic links: `--preserve` and `--symlinks`.
+ *
+ * `--preserve` carries attributes of each source over to its target once the
+ * content is written, whichever way it was written (copied, transformed,
+ * streamed, rate limited or under a renamed name):
+ *
+ * - `timestamps`: access and modification times
+ * - `mode`: permission bits, including setuid, setgid and sticky
+ * - `ownership`: owner and group, which usually needs root; when the system
+ *   refuses, the targets keep the owner of the process and the run says so
+ *
+ * `--symlinks` decides what happens to symbolic links the search finds:
+ *
+ * - `follow` (default): copy the file a link points to, and search the folders
+ *   that links point to
+ * - `copy-link`: recreate the link at the target with the same link text
+ *   (so a relative link resolves relative to the target), and leave linked
+ *   folders out of the search
+ * - `skip`: leave links out of the search
+ */
+
+import fs from 'fs/promises';
+
+export const PRESERVE_ATTRIBUTES = ['timestamps', 'mode', 'ownership'];
+export const SYMLINK_POLICIES = ['follow', 'copy-link', 'skip'];
+
+/**
+ * Give a written target the attributes of its source.
+ *
+ * Ownership comes first, as changing it may clear the setuid bits, and the
+ * times come last, as the other changes may touch them.
+ *
+ * @param {string} target
+ * @param {import('fs').Stats|{ mtime: Date, mode: number, atime?: Date, uid?: number, gid?: number }} sourceStat
+ *   Stat of the source (entries of a source archive have no owner and access time).
+ * @param {object} preserve
+ * @param {boolean} [preserve.timestamps]
+ * @param {boolean} [preserve.mode]
+ * @param {boolean} [preserve.ownership]
+ * @param {boolean} [preserve.link] The target is a symbolic link: its own attributes change, not its file's
+ *   (a link has no mode of its own on most systems).
+ * @returns {Promise<{ ownership: boolean }>} Whether the ownership was kept; false when the system refused it.
+ */
+export async function preserveMetadata(target, sourceStat, { timestamps = false, mode = false, ownership = false, link = false } = {}) {
+    let ownershipKept = true;
+    if (ownership && sourceStat.uid !== undefined) {
+        try {
+            await (link ? fs.lchown : fs.chown)(target, sourceStat.uid, sourceStat.gid);
+        } catch (chownError) {
+            if (chownError.code !== 'EPERM') throw chownError;
+            ownershipKept = false;
+        }
+    }
+    if (mode && !link) await fs.chmod(target, sourceStat.mode & 0o7777);
+    if (timestamps) await (link ? fs.lutimes : fs.utimes)(target, sourceStat.atime ?? sourceStat.mtime, sourceStat.mtime);
+    return { ownership: ownershipKept };
+}
+
+/**
+ * Recreate a symbolic link at the target, with the link text of the source.
+ *
+ * @param {string} source A symbolic link.
+ * @param {string} target
+ * @param {object} [options]
+ * @param {boolean} [options.exclusive=false] Fail with EEXIST instead of replacing an existing target.
+ * @returns {Promise<string>} The link text.
+ */
+export async function copySymlink(source, target, { exclusive = false } = {}) {
+    const linkText = await fs.readlink(source);
+    if (!exclusive) await fs.rm(target, { force: true });
+    await fs.symlink(linkText, target);
+    return linkText;
+}
+
+/**
+ * Sync state of a link copied with `--symlinks copy-link`: the target is up to
+ * date when it is a link with the same link text.
+ *
+ * @param {string} source
+ * @param {string} target
+ * @returns {Promise<'new'|'changed'|'unchanged'>}
+ */
+export async function compareLink(source, target) {
+    const targetStat = await fs.lstat(target).catch(() => null);
+    if (!targetStat) return 'new';
+    if (!targetStat.isSymbolicLink()) return 'changed';
+    return await fs.readlink(target) === await fs.readlink(source) ? 'unchanged' : 'changed';
+}
@@ -0,0 +1,203 @@
+/**
+ * Plugin discovery and loading for copy-cli.
+ *
+ * A plugin is an ES module exporting an `install` function (sync or async).
+ * `install` receives the run context: the logger, i18n, the parsed arguments,
+ * the plugin's own hook registration API, the transform registry and the
+ * plugin's options from the config file. A plugin that fails to load never
+ * stops the run.
+ *
+ * Plugins are found, and loaded, in this order:
+ *
+ * 1. `bundled`: the `plugins` folder of the copy-cli installation
+ * 2. `user`: the `plugins` folder of the user config directory (see `userConfigDir`)
+ * 3. `project`: the `.copy-cli/plugins` folder of the working directory, only with
+ *    `--project-plugins` or for the plugins the config file names, as a checkout
+ *    that is not trusted must not run its own code
+ * 4. `config`: the `plugins` list of the config file, npm packages or paths
+ *    relative to the config file:
+ *
+ *        "plugins": ["copy-cli-plugin-foo", { "name": "./tools/stamp.js", "options": { "format": "iso" } }]
+ *
+ *    An entry naming a plugin found in a folder (`timestamp-plugin`) only sets
+ *    its options, or turns it off with `"enabled": false`.
+ *
+ * The files of a folder load in name order, so hooks with the same `order` run
+ * in a stable sequence.
+ */
+
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import fg from 'fast-glob';
+
+export const PLUGIN_SOURCES = ['bundled', 'user', 'project', 'config'];
+
+// Folder of project plugins, relative to the working directory
+export const PROJECT_PLUGINS_DIR = path.join('.copy-cli', 'plugins');
+
+/**
+ * The copy-cli folder of the user's configuration: `%APPDATA%\copy-cli` on
+ * Windows, else `$XDG_CONFIG_HOME/copy-cli` or `~/.config/copy-cli`.
+ *
+ * @param {object} [system] Defaults to the running process.
+ * @param {Record<string, string|undefined>} [system.env]
+ * @param {string} [system.platform]
+ * @param {string} [system.home]
+ * @returns {string}
+ */
+export function userConfigDir({ env = process.env, platform = process.platform, home = os.homedir() } = {}) {
+    if (platform === 'win32') return path.join(env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'copy-cli');
+    return path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'copy-cli');
+}
+
+// Entry point of a package export: the `import` form first, as plugins are ES modules
+function exportTarget(target) {
+    if (typeof target === 'string' || target === null) return target;
+    if (Array.isArray(target)) return target.map(exportTarget).find(Boolean) ?? null;
+    const condition = ['import', 'node', 'default'].find(key => key in target);
+    return condition ? exportTarget(target[condition]) : null;
+}
+
+/**
+ * Find the entry file of an npm package, looking in the `node_modules` folders
+ * above each of the given folders in turn.
+ *
+ * @param {string} name
+ * @param {string[]} fromDirs
+ * @returns {string|null}
+ */
+function resolvePackage(name, fromDirs) {
+    for (const dir of fromDirs) {
+        const require = createRequire(path.join(dir, 'package.json'));
+        try {
+            return require.resolve(name);
+        } catch (resolveError) {
+            if (resolveError.code !== 'ERR_PACKAGE_PATH_NOT_EXPORTED') continue;
+            // An ES module-only package has no `require` entry point: use its `import` one
+            const packageDir = require.resolve.paths(name).map(p => path.join(p, name)).find(p => fs.existsSync(path.join(p, 'package.json')));
+            if (!packageDir) continue;
+            const { exports } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+            const entry = exportTarget(typeof exports === 'object' && exports !== null && '.' in exports ? exports['.'] : exports);
+            if (entry) return path.join(packageDir, entry);
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the plugins of a run, in load order.
+ *
+ * @param {object} where
+ * @param {{ dir: string, source: string, listedOnly?: boolean }[]} [where.folders] Folders searched for `*.js` / `*.mjs`
+ *   plugins. Those of a `listedOnly` folder are found but disabled unless `specs` names them.
+ * @param {{ name: string, options?: object, enabled?: boolean }[]} [where.specs] `plugins` of the config file.
+ * @param {string|null} [where.configDir]  Folder of the config file, which relative paths in `specs` start from.
+ * @param {string[]} [where.resolveFrom]   Folders whose `node_modules` are searched for packages, in order.
+ * @param {object} context
+ * @param {import('winston').Logger} context.logger
+ * @param {object} context.i18n
+ * @returns {Promise<{ name: string, source: string, file: string|null, options: object, enabled: boolean, error: string|null }[]>}
+ *   `file` is null, with the reason in `error`, for a package that cannot be found.
+ */
+export async function findPlugins({ folders = [], specs = [], configDir = null, resolveFrom = [] }, { logger, i18n }) {
+    const plugins = [];
+    const seen = new Set(); // A folder given twice (the project being the copy-cli folder) loads once
+    for (const { dir, source, listedOnly = false } of folders) {
+        let files;
+        try {
+            files = (await fg(path.join(dir, '*.{js,mjs}').replace(/\\/g, '/'))).sort();
+        } catch (pluginSearchError) {
+            logger.error(i18n.__('Error searching for plugins:'), pluginSearchError);
+            continue;
+        }
+        logger.info(i18n.__('Searching for plugins in: %s', dir));
+        for (const file of files.map(f => path.resolve(f)).filter(f => !seen.has(f))) {
+            seen.add(file);
+            plugins.push({
+                name: path.basename(file), source, file, options: {}, enabled: !listedOnly,
+                error: listedOnly ? i18n.__('Not loaded without --project-plugins or an entry in the config file') : null
+            });
+        }
+    }
+
+    for (const { name, options = {}, enabled = true } of specs) {
+        // Options for a plugin of a folder, named with or without its extension
+        const found = plugins.filter(plugin => plugin.source !== 'config' && [plugin.name, plugin.name.replace(/\.m?js$/, '')].includes(name));
+        if (found.length > 0) {
+            found.forEach(plugin => Object.assign(plugin, { options, enabled, error: null }));
+            continue;
+        }
+        const isPath = path.isAbsolute(name) || name.startsWith('.');
+        const file = isPath ? path.resolve(configDir ?? process.cwd(), name) : resolvePackage(name, resolveFrom);
+        const missing = !file || (isPath && !fs.existsSync(file));
+        plugins.push({
+            name, source: 'config', file: missing ? null : file, options, enabled,
+            error: missing ? i18n.__(isPath ? 'Cannot find plugin file %s' : 'Cannot find package %s', name) : null
+        });
+    }
+
+    if (plugins.length === 0) logger.info(i18n.__('No plugins found.'));
+    else logger.info(i18n.__('Found plugins: %s', plugins.map(plugin => plugin.name).join(', ')));
+    return plugins;
+}
+
+/**
+ * Load and install plugins found by `findPlugins`.
+ *
+ * @param {Awaited<ReturnType<typeof findPlugins>>} plugins
+ * @param {object} context
+ * @param {import('winston').Logger} context.logger
+ * @param {object} context.i18n
+ * @param {object} context.argv       Parsed command line arguments.
+ * @param {object} context.hooks      Registry from `createHookRegistry`.
+ * @param {object} context.transforms Registry from `createTransformRegistry`.
+ * @param {boolean} [context.enabled=true] False (`--no-plugins`) loads none of them.
+ * @returns {Promise<{ name: string, source: string, file: string|null, status: 'loaded'|'no-install'|'failed'|'disabled', error: string|null }[]>}
+ */
+export async function installPlugins(plugins, { logger, i18n, argv, hooks, transforms, enabled = true }) {
+    const results = [];
+    for (const { name, source, file, options, enabled: pluginEnabled, error } of plugins) {
+        const result = (status, message = null) => results.push({ name, source, file, status, error: message });
+        if (!enabled || !pluginEnabled) {
+            logger.info(i18n.__('Plugin disabled: %s', name));
+            result('disabled', enabled ? error : null);
+            continue;
+        }
+        if (!file) {
+            logger.error(i18n.__('Failed to load or execute plugin: %s', name), error);
+            result('failed', error);
+            continue;
+        }
+        try {
+            const mod = await import(pathToFileURL(file).href);
+            if (typeof mod.install !== 'function') {
+                logger.warn(i18n.__('Plugin file found but no install function exported: %s', name));
+                result('no-install');
+                continue;
+            }
+            // Promise.resolve handles both sync and async install functions
+            await Promise.resolve(mod.install({ logger, i18n, argv, hooks: hooks.forPlugin(name), transforms, options }));
+            logger.info(i18n.__('Plugin loaded successfully: %s', name));
+            result('loaded');
+        } catch (pluginError) {
+            // A broken plugin is logged and skipped; the run carries on without it
+            logger.error(i18n.__('Failed to load or execute plugin: %s', name), pluginError);
+            result('failed', pluginError?.message || String(pluginError));
+        }
+    }
+    return results;
+}
+
+/**
+ * Load every `*.js` / `*.mjs` plugin of a single folder.
+ *
+ * @param {string} pluginsDir
+ * @param {Parameters<typeof installPlugins>[1]} context
+ * @returns {ReturnType<typeof installPlugins>}
+ */
+export async function loadPlugins(pluginsDir, context) {
+    return installPlugins(await findPlugins({ folders: [{ dir: pluginsDir, source: 'bundled' }] }, context), context);
+}
@@ -0,0 +1,138 @@
+/**
+ * Rename templates for target file names (`--rename`, `--rename-search`).
+ *
+ * A template builds the target name of every file from tokens:
+ *
+ *     {name}            source name without its extension (after --rename-search)
+ *     {ext}             target extension (from --targetExt or --map)
+ *     {dir}             source folder relative to its --src root ('' at the root)
+ *     {parent}          name of the source's folder
+ *     {index}           position of the file in the plan, from 1 ({index:3} pads to 001)
+ *     {date}            date of the run, {date:YYYYMMDD} with YYYY YY MM DD HH mm ss
+ *     {hash}            start of the source's sha256 ({hash:12} for 12 characters, 8 by default)
+ *
+ * Case filters follow a `|`, and can be chained: `{name|kebab}`, `{parent|snake|upper}`.
+ * A template may contain `/` to create sub-folders, but never `..`.
+ */
+
+import path from 'path';
+
+// Template used when only --rename-search is given
+export const DEFAULT_RENAME_TEMPLATE = '{name}.{ext}';
+
+export const RENAME_TOKENS = ['name', 'ext', 'dir', 'parent', 'index', 'date', 'hash'];
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_HASH_LENGTH = 8;
+
+// `{token}`, `{token:argument}`, each optionally followed by `|filter`s
+const TOKEN_PATTERN = /\{(\w+)(?::([^}|]*))?((?:\|\w+)*)\}/g;
+
+// Words of a name: split on separators and on lower-to-upper case changes (`fooBar` -> foo, Bar)
+const words = (text) => text.replace(/(\p{Ll}|\p{N})(\p{Lu})/gu, '$1 $2').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+export const CASE_FILTERS = {
+    lower: (text) => text.toLowerCase(),
+    upper: (text) => text.toUpperCase(),
+    kebab: (text) => words(text).map(w => w.toLowerCase()).join('-'),
+    snake: (text) => words(text).map(w => w.toLowerCase()).join('_'),
+    camel: (text) => words(text).map((w, i) => i === 0 ? w.toLowerCase() : capitalize(w)).join(''),
+    pascal: (text) => words(text).map(capitalize).join('')
+};
+
+/**
+ * Format a date with YYYY, YY, MM, DD, HH, mm and ss placeholders, in local time.
+ *
+ * @param {Date} date
+ * @param {string} [format='YYYY-MM-DD']
+ * @returns {string}
+ */
+export function formatRenameDate(date, format = DEFAULT_DATE_FORMAT) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = {
+        YYYY: String(date.getFullYear()), YY: String(date.getFullYear()).slice(-2), MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()), HH: pad(date.getHours()), mm: pad(date.getMinutes()), ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (part) => parts[part]);
+}
+
+/**
+ * Check a `--rename` template.
+ *
+ * @param {string} template
+ * @returns {{ problem: 'empty'|'token'|'filter'|'argument'|'parent', value?: string }|null}
+ *          What is wrong (the offending token or filter as `value`), or null for a valid template.
+ */
+export function checkRenameTemplate(template) {
+    if (typeof template !== 'string' || template.trim() === '') return { problem: 'empty' };
+    for (const [match, token, arg, filters] of template.matchAll(TOKEN_PATTERN)) {
+        if (!RENAME_TOKENS.includes(token)) return { problem: 'token', value: match };
+        const unknownFilter = filters.split('|').filter(Boolean).find(f => !Object.prototype.hasOwnProperty.call(CASE_FILTERS, f));
+        if (unknownFilter) return { problem: 'filter', value: unknownFilter };
+        if (arg !== undefined && (token === 'index' || token === 'hash') && !/^\d+$/.test(arg)) return { problem: 'argument', value: match };
+    }
+    if (template.split(/[\\/]/).includes('..')) return { problem: 'parent' };
+    return null;
+}
+
+/** Tell whether a template needs the content hash of every source. */
+export const renameUsesHash = (template) => [...template.matchAll(TOKEN_PATTERN)].some(([, token]) => token === 'hash');
+
+/**
+ * Compile `--rename-search` into a global regular expression.
+ *
+ * @param {string} search Regular expression, as typed (no surrounding slashes).
+ * @returns {RegExp}
+ * @throws {SyntaxError} For an invalid expression.
+ */
+export const compileRenameSearch = (search) => new RegExp(search, 'gu');
+
+/**
+ * Render the target name of one file.
+ *
+ * @param {string} template
+ * @param {object} vars
+ * @param {string} vars.name   Source name without extension.
+ * @param {string} vars.ext    Target extension.
+ * @param {string} vars.dir    Source folder relative to the root, with forward slashes.
+ * @param {string} vars.parent Name of the source's folder.
+ * @param {number} vars.index  Position in the plan, from 1.
+ * @param {Date}   vars.date   Date of the run.
+ * @param {string} [vars.hash] Hex content hash, when the template uses it.
+ * @returns {string} Relative path of the target inside its layout folder, with forward slashes.
+ */
+export function renderRename(template, { name, ext, dir, parent, index, date, hash = '' }) {
+    const values = {
+        name: () => name,
+        ext: () => ext,
+        dir: () => dir,
+        parent: () => parent,
+        index: (width) => String(index).padStart(Number(width) || 0, '0'),
+        date: (format) => formatRenameDate(date, format || DEFAULT_DATE_FORMAT),
+        hash: (length) => hash.slice(0, Number(length) || DEFAULT_HASH_LENGTH)
+    };
+    const rendered = template.replace(TOKEN_PATTERN, (match, token, arg, filters) => {
+        const value = values[token](arg);
+        // Filters apply to every folder of {dir} separately, so the folders stay
+        return filters.split('|').filter(Boolean)
+            .reduce((text, filter) => text.split('/').map(CASE_FILTERS[filter]).join('/'), value);
+    });
+    // An empty {dir} or {ext} must not leave `//`, a leading `/` or a trailing dot behind
+    return rendered.replace(/\\/g, '/').replace(/\/{2,}/g, '/').replace(/^\//, '').replace(/\.+$/, '');
+}
+
+/**
+ * The values a template is rendered with, for a source file found below a root.
+ *
+ * @param {string} file Absolute path of the source.
+ * @param {string} root Source root it was found in.
+ * @returns {{ dir: string, parent: string }}
+ */
+export function sourceRenameVars(file, root) {
+    const relativeDir = path.dirname(path.relative(path.resolve(root), file));
+    return {
+        dir: relativeDir === '.' ? '' : relativeDir.replace(/\\/g, '/'),
+        parent: path.basename(path.dirname(file))
+    };
+}
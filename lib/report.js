@@ -0,0 +1,142 @@
+/**
+ * Machine-readable run reports for copy-cli (`--report`, `--json`).
+ *
+ * A report holds one record per file (source, target, size, status, error,
+ * duration), the totals per status and the options that were in effect.
+ * It can be written as JSON, CSV (one row per file) or NDJSON (one line per
+ * file followed by a summary line).
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+
+// Supported values for --report-format
+export const REPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Every status a file record can have; each file is counted under exactly one of them
+export const FILE_STATUSES = ['copied', 'renamed', 'updated', 'skipped', 'deleted', 'failed'];
+
+// Statuses of the files a run wrote, whose sizes add up to `totals.bytes`
+const WRITTEN_STATUSES = new Set(['copied', 'renamed', 'updated']);
+
+const CSV_COLUMNS = ['source', 'target', 'size', 'status', 'error', 'durationMs'];
+
+/**
+ * Guess the report format from the report file's extension, defaulting to JSON.
+ *
+ * @param {string} file
+ * @returns {'json'|'csv'|'ndjson'}
+ */
+export function inferReportFormat(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+    return 'json';
+}
+
+/**
+ * Assemble the report object.
+ *
+ * @param {object} run
+ * @param {object[]} run.files   File records ({ source, target, size, status, error, durationMs }).
+ * @param {object}   run.options Options in effect.
+ * @param {number}   run.startedAt  Epoch milliseconds.
+ * @param {string}   run.version    copy-cli version.
+ * @param {boolean}  run.dryRun
+ */
+export function buildReport({ files, options, startedAt, version, dryRun }) {
+    const finishedAt = Date.now();
+    const totals = { files: files.length, bytes: 0 };
+    FILE_STATUSES.forEach(status => { totals[status] = 0; });
+    for (const record of files) {
+        totals[record.status] = (totals[record.status] ?? 0) + 1;
+        if (WRITTEN_STATUSES.has(record.status)) totals.bytes += record.size ?? 0;
+    }
+    return {
+        tool: 'copy-cli',
+        version,
+        cwd: process.cwd(),
+        dryRun,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        options,
+        totals,
+        files
+    };
+}
+
+/**
+ * Combine the reports of several jobs (`copy-cli run`) into one. Every file record
+ * gets the name of its job, and `totals` adds up all jobs.
+ *
+ * @param {object} run
+ * @param {{ name: string, report: ReturnType<typeof buildReport>|null, error: string|null }[]} run.jobs
+ *        `report` is null for a job that could not start; `error` says why.
+ * @param {number}  run.startedAt Epoch milliseconds.
+ * @param {string}  run.version
+ * @param {boolean} run.dryRun
+ */
+export function buildJobsReport({ jobs, startedAt, version, dryRun }) {
+    const files = jobs.flatMap(({ name, report }) => (report?.files ?? []).map(file => ({ job: name, ...file })));
+    const { totals } = buildReport({ files, options: null, startedAt, version, dryRun });
+    const finishedAt = Date.now();
+    return {
+        tool: 'copy-cli',
+        version,
+        cwd: process.cwd(),
+        dryRun,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        jobs: jobs.map(({ name, report, error }) => ({
+            name, error, options: report?.options ?? null, totals: report?.totals ?? null, durationMs: report?.durationMs ?? null
+        })),
+        totals,
+        files
+    };
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a report.
+ *
+ * @param {ReturnType<typeof buildReport>} report
+ * @param {'json'|'csv'|'ndjson'} format
+ * @returns {string}
+ */
+export function formatReport(report, format) {
+    switch (format) {
+        case 'csv': {
+            // CSV only has room for the per-file rows; totals and options live in the other formats.
+            // Reports of several jobs start every row with the job's name.
+            const columns = report.jobs ? ['job', ...CSV_COLUMNS] : CSV_COLUMNS;
+            return [columns.join(','), ...report.files.map(f => columns.map(c => csvField(f[c])).join(','))].join('\n') + '\n';
+        }
+        case 'ndjson': {
+            const { files, ...summary } = report;
+            return [...files.map(f => JSON.stringify({ type: 'file', ...f })), JSON.stringify({ type: 'summary', ...summary })].join('\n') + '\n';
+        }
+        case 'json':
+            return JSON.stringify(report, null, 2) + '\n';
+        default:
+            throw new Error(`Unknown report format: ${format}`);
+    }
+}
+
+/**
+ * Write a report file, creating its folder if needed.
+ *
+ * @param {string} file
+ * @param {ReturnType<typeof buildReport>} report
+ * @param {'json'|'csv'|'ndjson'} format
+ */
+export async function writeReport(file, report, format) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, formatReport(report, format));
+}
@@ -0,0 +1,201 @@
+/**
+ * Review step of `--review`: after the search, the planned files are listed by
+ * source folder so the user can check which ones to copy before anything is
+ * written.
+ *
+ * - up and down move, space checks or unchecks a file, or every shown file of a
+ *   folder on its folder line; ctrl+a does the same for every shown file
+ * - typing filters the list on source and target paths, escape clears the filter
+ * - enter confirms the checked files, which are all that the copy then copies
+ *
+ * Each file shows its planned target and how an existing target would be
+ * handled, as the dry run does. A target planned for an earlier file is only
+ * taken when that file is checked too, so those labels follow the selection.
+ * The copy then runs the checked entries of the plan as they are (the `plan`
+ * option of `runCopy`), so every file gets the target shown here.
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import figures from '@inquirer/figures';
+import { createPrompt, useState, useKeypress, usePrefix, usePagination, makeTheme, isEnterKey, isSpaceKey } from '@inquirer/core';
+
+/**
+ * Group the entries of a plan by the folder of their source file.
+ *
+ * @param {{ file: string, target: string }[]} entries Plan entries (`planCopy`), with any other fields they carry.
+ * @param {object} [options]
+ * @param {string} [options.cwd] Folder the shown paths are relative to.
+ * @returns {{ folder: string, entries: { file: string, source: string, target: string, entry: object }[] }[]}
+ *   Folders in name order, and their files in plan order; `source` and `target` are the shown paths.
+ */
+export function groupPlanEntries(entries, { cwd = process.cwd() } = {}) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const source = path.relative(cwd, path.resolve(entry.file));
+        const folder = path.dirname(source);
+        if (!groups.has(folder)) groups.set(folder, { folder, entries: [] });
+        groups.get(folder).entries.push({ file: entry.file, source, target: path.relative(cwd, path.resolve(entry.target)), entry });
+    }
+    return [...groups.values()].sort((a, b) => a.folder.localeCompare(b.folder));
+}
+
+/**
+ * Lines of the review list for a filter: each folder with a shown file, followed by its shown files.
+ *
+ * @param {ReturnType<typeof groupPlanEntries>} groups
+ * @param {string} [filter] Case-insensitive text the source or target path contains.
+ * @returns {({ type: 'folder', folder: string, files: string[] }|{ type: 'file', file: string, item: object })[]}
+ *   `files` are the shown files of the folder.
+ */
+export function reviewRows(groups, filter = '') {
+    const text = filter.trim().toLowerCase();
+    const rows = [];
+    for (const { folder, entries } of groups) {
+        const shown = text === '' ? entries : entries.filter(({ source, target }) => `${source}\n${target}`.toLowerCase().includes(text));
+        if (shown.length === 0) continue;
+        rows.push({ type: 'folder', folder, files: shown.map(({ file }) => file) });
+        shown.forEach(item => rows.push({ type: 'file', file: item.file, item }));
+    }
+    return rows;
+}
+
+/**
+ * Plan entries as they would be with only the checked files copied: a target
+ * taken by an earlier file, or shared with another file by `--rename`, only
+ * counts when that other file is checked. Unchecked files are shown as they
+ * would be if checked.
+ *
+ * @param {{ file: string, target: string, conflict: string|null, targetConflict?: string|null, duplicate?: boolean }[]} entries
+ *   Entries of `planCopy`.
+ * @param {Set<string>} selected
+ * @param {object} [options]
+ * @param {boolean} [options.rename=false] The plan was made with `--rename`, which refuses files with the same target.
+ * @returns {Map<string, object>} The entry of each file, with `collides`, `conflict` and `duplicate` updated.
+ */
+export function selectionEntries(entries, selected, { rename = false } = {}) {
+    const key = (entry) => path.resolve(entry.target);
+    const counts = new Map();
+    entries.filter(({ file }) => selected.has(file)).forEach(entry => counts.set(key(entry), (counts.get(key(entry)) ?? 0) + 1));
+    const claimed = new Set(); // Targets of the checked files so far, in plan order
+    return new Map(entries.map(entry => {
+        const others = (counts.get(key(entry)) ?? 0) - (selected.has(entry.file) ? 1 : 0);
+        const planned = claimed.has(key(entry));
+        if (selected.has(entry.file)) claimed.add(key(entry));
+        if (entry.targetConflict === undefined) return [entry.file, entry]; // Not an entry of planCopy: shown as it is
+        const conflict = planned ? 'rename' : entry.targetConflict;
+        return [entry.file, { ...entry, collides: planned || entry.targetConflict !== null, conflict, duplicate: rename && others > 0 }];
+    }));
+}
+
+/**
+ * Check files, or uncheck them when all of them are checked already.
+ *
+ * @param {Set<string>} selected
+ * @param {string[]} files
+ * @returns {Set<string>} A new selection.
+ */
+export function toggleFiles(selected, files) {
+    const next = new Set(selected);
+    const allSelected = files.every(file => selected.has(file));
+    files.forEach(file => allSelected ? next.delete(file) : next.add(file));
+    return next;
+}
+
+/**
+ * The review prompt. Resolves with the checked files, in plan order.
+ *
+ * @type {import('@inquirer/core').Prompt<string[], {
+ *   message: string,
+ *   entries: { file: string, target: string }[],
+ *   rename?: boolean,
+ *   describe?: (entry: object) => string,
+ *   texts: { help: string, selected: (count: number, total: number) => string, noMatch: string, nothingSelected: string },
+ *   pageSize?: number
+ * }>}
+ *   `rename` tells that the plan was made with `--rename` (see `selectionEntries`).
+ *   `describe` returns the status shown after a file's target; `texts` are the translated
+ *   help line, count of checked files, and the messages for an empty list and an empty selection.
+ */
+export const reviewPrompt = createPrompt((config, done) => {
+    const { entries, rename = false, describe = () => '', texts, pageSize = 15 } = config;
+    const theme = makeTheme();
+    const [status, setStatus] = useState('idle');
+    const [groups] = useState(() => groupPlanEntries(entries));
+    const [selected, setSelected] = useState(() => new Set(entries.map(({ file }) => file)));
+    const [filter, setFilter] = useState('');
+    const [active, setActive] = useState(0);
+    const [error, setError] = useState(null);
+    const prefix = usePrefix({ status, theme });
+
+    const rows = reviewRows(groups, filter);
+    const current = rows[Math.min(active, rows.length - 1)];
+    const shownFiles = rows.filter(row => row.type === 'file').map(row => row.file);
+    const selectionView = selectionEntries(entries, selected, { rename });
+
+    useKeypress((key, rl) => {
+        // Keys that are not typed text leave the filter as it was
+        const keepFilter = () => {
+            rl.clearLine(0);
+            rl.write(filter);
+        };
+        setError(null);
+        if (isEnterKey(key)) {
+            if (selected.size === 0) {
+                keepFilter(); // Enter cleared the line
+                setError(texts.nothingSelected);
+                return;
+            }
+            setStatus('done');
+            done(entries.map(({ file }) => file).filter(file => selected.has(file)));
+        } else if (key.name === 'up' || key.name === 'down') {
+            if (rows.length > 0) setActive(Math.max(0, Math.min(rows.length - 1, active + (key.name === 'up' ? -1 : 1))));
+        } else if (isSpaceKey(key)) {
+            keepFilter();
+            if (current) setSelected(toggleFiles(selected, current.type === 'folder' ? current.files : [current.file]));
+        } else if (key.ctrl && key.name === 'a') {
+            keepFilter();
+            setSelected(toggleFiles(selected, shownFiles));
+        } else if (key.name === 'escape') {
+            rl.clearLine(0);
+            setFilter('');
+            setActive(0);
+        } else if (rl.line !== filter) {
+            setFilter(rl.line);
+            setActive(0);
+        }
+    });
+
+    const message = theme.style.message(config.message, status);
+    if (status === 'done') return `${prefix} ${message} ${theme.style.answer(texts.selected(selected.size, entries.length))}`;
+
+    const checkbox = (files) => {
+        const count = files.filter(file => selected.has(file)).length;
+        if (count === files.length) return chalk.green(figures.circleFilled);
+        return count === 0 ? figures.circle : chalk.yellow(figures.circleDouble);
+    };
+    const page = usePagination({
+        items: rows,
+        active: Math.min(active, Math.max(0, rows.length - 1)),
+        pageSize,
+        loop: false,
+        renderItem({ item, isActive }) {
+            const cursor = isActive ? theme.style.highlight(figures.pointer) : ' ';
+            if (item.type === 'folder') {
+                const group = groups.find(g => g.folder === item.folder);
+                const count = group.entries.filter(({ file }) => selected.has(file)).length;
+                return `${cursor} ${checkbox(item.files)} ${chalk.bold(`${item.folder}${path.sep}`)} ${chalk.gray(`(${count}/${group.entries.length})`)}`;
+            }
+            const { source, target } = item.item;
+            const label = describe(selectionView.get(item.file));
+            return `${cursor}   ${checkbox([item.file])} ${chalk.blue(path.basename(source))} → ${chalk.green(target)}${label ? ` ${label}` : ''}`;
+        }
+    });
+    const lines = [
+        rows.length > 0 ? page : chalk.yellow(texts.noMatch),
+        chalk.cyan(texts.selected(selected.size, entries.length)),
+        theme.style.help(texts.help)
+    ];
+    if (error) lines.push(theme.style.error(error));
+    return [`${prefix} ${message} ${theme.style.highlight(filter)}`, lines.join('\n')];
+});
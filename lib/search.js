@@ -0,0 +1,195 @@
+/**
+ * File search for copy-cli.
+ *
+ * fast-glob finds every file with one of the requested extensions below each
+ * source root. The matches are then passed through the include/exclude globs,
+ * any `--ignore-file` rules and (optionally) the `.gitignore` files found in
+ * the source roots. Filtering happens after the glob search so that every
+ * excluded file can be reported together with the rule that excluded it.
+ *
+ * A source that is a zip or tar archive is searched through its entries,
+ * which are reported as `<archive>/<entry>` paths (see lib/archive.js).
+ *
+ * Symbolic links are handled by `--symlinks` (see lib/metadata.js): followed
+ * links are searched like any folder and their files are marked as found
+ * through a link; otherwise linked folders are not searched and links are
+ * found as they are, to be copied as links or left out.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import fg from 'fast-glob';
+import ignore from 'ignore';
+import picomatch from 'picomatch';
+import { isArchiveFile, listArchiveEntries } from './archive.js';
+
+// Always left out of the search, like before filters existed
+const DEFAULT_IGNORE = ['**/node_modules/**'];
+
+// Paths handed to matchers use forward slashes on every platform
+const toPosix = (p) => p.replace(/\\/g, '/');
+
+/**
+ * Flatten repeatable, comma-separated list options (`--exclude a --exclude b,c`).
+ *
+ * @param {string|string[]|undefined} values
+ * @returns {string[]}
+ */
+export function parseListOption(values) {
+    return [values ?? []].flat().flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// Compile a list of globs into { glob, test } matchers
+function compileGlobs(globs, dot) {
+    return globs.map(glob => ({ glob, test: picomatch(glob, { dot, nocase: true }) }));
+}
+
+// Read gitignore-style rules from a file, keeping the non-empty, non-comment lines
+async function readIgnoreRules(file) {
+    const content = await fs.readFile(file, 'utf8');
+    return content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+}
+
+/**
+ * Load every `.gitignore` below a source root.
+ * @returns {Promise<{ dir: string, file: string, matcher: object }[]>} Sorted shallowest first.
+ */
+async function loadGitignores(root, dot) {
+    const found = await fg('**/.gitignore', { cwd: root, dot: true, absolute: true, ignore: DEFAULT_IGNORE });
+    const gitignores = [];
+    for (const file of found.sort()) {
+        // With --dot off, .gitignore files inside dot-folders cannot apply to anything we copy
+        if (!dot && path.relative(root, file).split(path.sep).slice(0, -1).some(part => part.startsWith('.'))) continue;
+        gitignores.push({ dir: path.dirname(file), file, matcher: ignore().add(await readIgnoreRules(file)) });
+    }
+    return gitignores.sort((a, b) => a.dir.length - b.dir.length);
+}
+
+/**
+ * Search the source roots and apply the filters.
+ *
+ * @param {object} options
+ * @param {string[]} options.sources          Source roots (as given to --src).
+ * @param {string[]} options.extensions       Extensions to match, without the dot.
+ * @param {string[]} [options.extraPatterns]  Additional globs relative to every root (beforeSearch hooks).
+ * @param {string[]} [options.include]        If given, files must match at least one of these globs.
+ * @param {string[]} [options.exclude]        Files matching any of these globs are left out.
+ * @param {boolean}  [options.dot]            Include dotfiles and files in dot-folders.
+ * @param {string[]} [options.ignoreFiles]    Gitignore-style files whose rules apply to every root.
+ * @param {boolean}  [options.gitignore]      Honor `.gitignore` files found inside each root (not inside archives).
+ * @param {'follow'|'copy-link'|'skip'} [options.symlinks='follow'] What to do with symbolic links.
+ * @returns {Promise<{
+ *   files: { file: string, root: string, link?: true }[],
+ *   excluded: { file: string, root: string, rule: string }[],
+ *   patterns: string[]
+ * }>} `link` marks a file that is a symbolic link, or that was found through one.
+ */
+export async function searchFiles({
+    sources, extensions, extraPatterns = [], include = [], exclude = [], dot = false, ignoreFiles = [], gitignore = false, symlinks = 'follow'
+}) {
+    const includeMatchers = compileGlobs(include, true);
+    const excludeMatchers = compileGlobs(exclude, true);
+    // --ignore-file rules, one matcher per file so the report can name the file
+    const ignoreFileMatchers = [];
+    for (const file of ignoreFiles) {
+        ignoreFileMatchers.push({ file, matcher: ignore().add(await readIgnoreRules(file)) });
+    }
+
+    const files = [];
+    const excluded = [];
+    const allPatterns = [];
+    const seen = new Set(); // A file reachable from overlapping roots is only copied once
+
+    for (const root of sources) {
+        const rootAbs = path.resolve(root);
+        const patterns = [
+            ...extensions.map(e => toPosix(path.join(root, `**/*.${e}`))),
+            ...extraPatterns.map(p => toPosix(path.join(root, p)))
+        ];
+        allPatterns.push(...patterns);
+
+        if (isArchiveFile(rootAbs)) {
+            // Entries are matched against the same globs, relative to the archive
+            const matchesSearch = picomatch([...extensions.map(e => `**/*.${e}`), ...extraPatterns], { dot, nocase: true, ignore: DEFAULT_IGNORE });
+            const entries = (await listArchiveEntries(rootAbs)).filter(({ name }) => matchesSearch(name));
+            for (const file of entries.map(({ name }) => path.join(rootAbs, name)).sort()) {
+                const rule = findExclusionRule(file, rootAbs, { includeMatchers, excludeMatchers, ignoreFileMatchers, gitignores: [] });
+                if (rule) excluded.push({ file, root, rule });
+                else files.push({ file, root });
+            }
+            continue;
+        }
+
+        const follow = symlinks === 'follow';
+        const matches = await fg(patterns, {
+            dot,                       // Dotfiles (like .env) only with --dot
+            onlyFiles: follow,         // Ensure we only get files, not directories (links are kept below when not followed)
+            followSymbolicLinks: follow,
+            objectMode: true,          // Dirents tell links apart when they are not followed
+            absolute: true,            // Get absolute paths for easier handling later
+            caseSensitiveMatch: false, // More user-friendly on Windows/macOS
+            ignore: DEFAULT_IGNORE     // Commonly ignored directory
+        });
+        const gitignores = gitignore ? await loadGitignores(rootAbs, dot) : [];
+        // A followed link shows in the real path of the files found through it (a missing root has no files)
+        const realRoot = follow ? await fs.realpath(rootAbs).catch((realpathError) => {
+            if (realpathError.code === 'ENOENT') return rootAbs;
+            throw realpathError;
+        }) : rootAbs;
+        const foundThroughLink = async (file) => path.relative(realRoot, await fs.realpath(file).catch(() => file)) !== path.relative(rootAbs, file);
+
+        const entries = matches
+            .filter(({ dirent }) => follow || dirent.isFile() || dirent.isSymbolicLink())
+            .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)); // Sorted so plans (and --sync renames) are stable between runs
+        for (const { path: file, dirent } of entries) {
+            if (seen.has(file)) continue;
+            seen.add(file);
+            const link = follow ? await foundThroughLink(file) : dirent.isSymbolicLink();
+            const rule = link && symlinks === 'skip' ? '--symlinks skip'
+                : findExclusionRule(file, rootAbs, { includeMatchers, excludeMatchers, ignoreFileMatchers, gitignores });
+            if (rule) {
+                excluded.push({ file, root, rule });
+            } else {
+                files.push(link ? { file, root, link } : { file, root });
+            }
+        }
+    }
+    return { files, excluded, patterns: allPatterns };
+}
+
+/**
+ * Decide whether a file is filtered out.
+ * Globs are tried against the path relative to the source root and relative to the working directory.
+ *
+ * @returns {string|null} Description of the rule that excluded the file, or null to keep it.
+ */
+function findExclusionRule(file, rootAbs, { includeMatchers, excludeMatchers, ignoreFileMatchers, gitignores }) {
+    const fromRoot = toPosix(path.relative(rootAbs, file));
+    const fromCwd = toPosix(path.relative(process.cwd(), file));
+    const matchesGlob = (m) => m.test(fromRoot) || m.test(fromCwd);
+
+    if (includeMatchers.length > 0 && !includeMatchers.some(matchesGlob)) {
+        return `--include (${includeMatchers.map(m => m.glob).join(', ')})`;
+    }
+    const excludedBy = excludeMatchers.find(matchesGlob);
+    if (excludedBy) return `--exclude ${excludedBy.glob}`;
+
+    for (const { file: ignoreFile, matcher } of ignoreFileMatchers) {
+        const result = matcher.checkIgnore(fromRoot);
+        if (result.ignored) return `${ignoreFile} (${result.rule.pattern})`;
+    }
+
+    // Nested .gitignore files override their parents, as in git: the deepest verdict wins
+    let verdict = null;
+    for (const { dir, file: gitignoreFile, matcher } of gitignores) {
+        const relative = path.relative(dir, file);
+        if (relative.startsWith('..')) continue; // This .gitignore lives in another branch of the tree
+        const result = matcher.checkIgnore(toPosix(relative));
+        if (result.ignored) {
+            verdict = `${toPosix(path.relative(process.cwd(), gitignoreFile))} (${result.rule.pattern})`;
+        } else if (result.unignored) {
+            verdict = null;
+        }
+    }
+    return verdict;
+}
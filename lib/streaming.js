@@ -0,0 +1,131 @@
+/**
+ * Streaming copies of large files (`--stream-threshold`).
+ *
+ * The content flows from the source through the content transforms, the rate
+ * limit and a hash into a partial file next to the target, which is renamed
+ * into place once it is complete. The target therefore never exists
+ * half-written: a failed or cancelled copy only leaves the partial file, and
+ * that is removed before the error is passed on.
+ *
+ * Partial files are hidden and named after their target with a random part
+ * (`.video.mkv.1a2b3c4d.copy-cli-partial`), so leftovers of a crash are easy to
+ * recognize and never collide with each other.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export const PARTIAL_SUFFIX = '.copy-cli-partial';
+
+// Progress of a streaming file is reported at most this often
+const PROGRESS_INTERVAL_MS = 100;
+
+// Errors of volumes without hard links, where an exclusive rename falls back to check-then-rename
+const NO_LINK_CODES = ['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EXDEV'];
+
+/**
+ * Name of a new partial file for a target, in the target's folder.
+ *
+ * @param {string} target
+ * @returns {string}
+ */
+export function partialPathFor(target) {
+    return path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}${PARTIAL_SUFFIX}`);
+}
+
+/**
+ * A pass-through stream counting the bytes that flow through it.
+ *
+ * @param {(bytes: number) => void} onProgress Bytes so far, at most every 100 ms.
+ * @returns {Transform}
+ */
+export function createByteMeter(onProgress) {
+    let bytes = 0;
+    let reportedAt = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            const now = performance.now();
+            if (now - reportedAt >= PROGRESS_INTERVAL_MS) {
+                reportedAt = now;
+                onProgress(bytes);
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            onProgress(bytes);
+            callback();
+        }
+    });
+}
+
+// Move a complete partial file to its target; `exclusive` never replaces a file that exists by then
+async function placeFile(partial, target, exclusive) {
+    if (!exclusive) {
+        await fs.rename(partial, target);
+        return;
+    }
+    try {
+        await fs.link(partial, target); // Fails with EEXIST instead of replacing
+        await fs.unlink(partial);
+    } catch (linkError) {
+        if (!NO_LINK_CODES.includes(linkError.code)) throw linkError;
+        if (await fs.access(target).then(() => true, () => false)) {
+            throw Object.assign(new Error(`EEXIST: file already exists, ${target}`), { code: 'EEXIST', path: target });
+        }
+        await fs.rename(partial, target);
+    }
+}
+
+/**
+ * Stream a file to its target through a partial file.
+ *
+ * @param {string} source
+ * @param {string} target
+ * @param {object} [options]
+ * @param {boolean} [options.exclusive=false]  Fail with EEXIST instead of replacing an existing target.
+ * @param {Transform[]} [options.transforms]    Content transforms, in order.
+ * @param {{ stream: () => Transform }|null} [options.rateLimiter] Shared `--max-rate` limiter.
+ * @param {string|null} [options.hashAlgorithm] Hash the content written with this algorithm.
+ * @param {AbortSignal} [options.signal]         Aborting stops the copy (with an AbortError).
+ * @param {(bytes: number) => void} [options.onProgress] Source bytes read so far.
+ * @returns {Promise<{ hash: string|null }>} Hex digest of the content written, when hashed.
+ */
+export async function streamCopy(source, target, { exclusive = false, transforms = [], rateLimiter = null, hashAlgorithm = null, signal, onProgress = () => {} } = {}) {
+    const input = await fs.open(source); // Opened first, so an unreadable source leaves nothing behind
+    let mode;
+    try {
+        ({ mode } = await input.stat());
+    } catch (statError) {
+        await input.close();
+        throw statError;
+    }
+    const hash = hashAlgorithm ? crypto.createHash(hashAlgorithm) : null;
+    const hasher = hash && new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+    const partial = partialPathFor(target);
+    try {
+        await pipeline(
+            input.createReadStream(),
+            createByteMeter(onProgress),
+            ...transforms,
+            ...(rateLimiter ? [rateLimiter.stream()] : []),
+            ...(hasher ? [hasher] : []),
+            fsSync.createWriteStream(partial, { flags: 'wx', mode: mode & 0o777 }),
+            { signal }
+        );
+        await placeFile(partial, target, exclusive);
+    } catch (copyError) {
+        await fs.rm(partial, { force: true });
+        throw copyError;
+    }
+    return { hash: hash ? hash.digest('hex') : null };
+}
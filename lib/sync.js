@@ -0,0 +1,87 @@
+/**
+ * Incremental copy (`--sync`) helpers for copy-cli.
+ *
+ * A planned copy is compared with its target to decide whether it is new,
+ * changed or unchanged. The default comparison looks at size and
+ * modification time (to the second, like rsync); `--compare hash` compares
+ * content hashes instead. Targets written in sync mode get the source's
+ * mtime so that the next run can recognise them as unchanged.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { hashFile, hashBuffer } from './checksum.js';
+
+// Supported values for --compare
+export const COMPARE_MODES = ['mtime', 'hash'];
+
+// Whether anything (a file, or a link even to nothing) exists at a path
+const pathExists = (p) => fs.lstat(p).then(() => true, () => false);
+
+/**
+ * Compare a source with its planned target.
+ *
+ * @param {string} source
+ * @param {string} target
+ * @param {object} options
+ * @param {'mtime'|'hash'} [options.compare='mtime']
+ * @param {((content: Buffer, file: object) => Promise<Buffer>)|null} [options.transform]
+ *        Content transform pipeline. Transformed output has a different size than its
+ *        source, so `mtime` mode then ignores sizes and `hash` mode hashes the transformed content.
+ * @param {((file: object) => import('stream').Transform[])|null} [options.streamTransform]
+ *        Streaming form of the pipeline (`buildStreamPipeline`), used for sources above `streamThreshold`.
+ * @param {number} [options.streamThreshold=Infinity] Sources above this size are hashed as a stream instead
+ *        of being read into memory, when the pipeline has a streaming form.
+ * @param {object} [options.file] File context passed to the transform pipeline.
+ * @returns {Promise<'new'|'changed'|'unchanged'>}
+ */
+export async function compareWithTarget(source, target, { compare = 'mtime', transform = null, streamTransform = null, streamThreshold = Infinity, file = {} } = {}) {
+    let targetStat;
+    try {
+        targetStat = await fs.stat(target);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 'new';
+        throw error;
+    }
+
+    if (compare === 'hash') {
+        let sourceHash;
+        if (!transform) {
+            sourceHash = await hashFile(source);
+        } else if (streamTransform && (await fs.stat(source)).size > streamThreshold) {
+            sourceHash = await hashFile(source, undefined, { transforms: streamTransform(file) });
+        } else {
+            sourceHash = hashBuffer(await transform(await fs.readFile(source), file));
+        }
+        return sourceHash === await hashFile(target) ? 'unchanged' : 'changed';
+    }
+
+    const sourceStat = await fs.stat(source);
+    const sameSize = transform != null || sourceStat.size === targetStat.size;
+    const sameTime = Math.floor(sourceStat.mtimeMs / 1000) === Math.floor(targetStat.mtimeMs / 1000);
+    return sameSize && sameTime ? 'unchanged' : 'changed';
+}
+
+/**
+ * Find destination files that no planned copy produces any more and whose source is
+ * gone (for `--delete`). Only targets that copy-cli wrote itself, as recorded by the
+ * undo journal, are considered: a target whose source still exists (but was left out
+ * by a filter, say) and unrelated files that happen to live in the destination are
+ * never touched.
+ *
+ * @param {string} dest
+ * @param {Iterable<string>} plannedTargets Target paths of the current plan.
+ * @param {Map<string, string>} written     Targets written by earlier runs -> their source (see `journaledTargets`).
+ * @returns {Promise<string[]>} Absolute paths of orphaned files.
+ */
+export async function findOrphans(dest, plannedTargets, written) {
+    const root = path.resolve(dest);
+    const keep = new Set([...plannedTargets].map(t => path.resolve(t)));
+    const orphans = [];
+    for (const [target, source] of written) {
+        if (keep.has(target) || !target.startsWith(root + path.sep)) continue;
+        if (!(await pathExists(target)) || await pathExists(source)) continue;
+        orphans.push(target);
+    }
+    return orphans.sort();
+}
@@ -0,0 +1,44 @@
+/**
+ * Minimal `{token}` template rendering for copy-cli.
+ *
+ * Tokens look like `{name}` or `{name:argument}`. A variable can be a plain
+ * value or a function receiving the argument. Unknown tokens are left as-is
+ * so that a typo stays visible in the output instead of silently vanishing.
+ */
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+
+/**
+ * Render a template string.
+ *
+ * @param {string} template
+ * @param {Record<string, *|((arg?: string) => *)>} vars
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+    return template.replace(TOKEN_PATTERN, (match, name, arg) => {
+        if (!Object.prototype.hasOwnProperty.call(vars, name)) return match;
+        const value = vars[name];
+        return String(typeof value === 'function' ? value(arg) : value);
+    });
+}
+
+/**
+ * Turn the escape sequences users type on the command line (`\n`, `\t`)
+ * into the characters they stand for.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function unescapeTemplate(text) {
+    return text.replace(/\\([nt\\])/g, (match, ch) => ({ n: '\n', t: '\t', '\\': '\\' })[ch]);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time.
+ * @param {Date} date
+ */
+export function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
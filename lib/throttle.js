@@ -0,0 +1,179 @@
+/**
+ * Throughput control for copies: byte sizes and rates as typed on the command
+ * line, the `--max-rate` bandwidth limit and the adaptive worker count of
+ * `--concurrency auto`.
+ *
+ * The rate limiter is shared by every worker of a run, so the limit applies to
+ * the bytes written by all of them together. Data passes through it in slices
+ * of at most a tenth of a second's worth, so even a very low limit keeps the
+ * copy moving steadily instead of in long bursts.
+ *
+ * The tuner adjusts the number of workers once per measuring window: while the
+ * throughput rises it keeps stepping in the same direction, when it falls it
+ * steps back, and a window with failures halves the count (busy or flaky
+ * volumes often fail under too many parallel writes).
+ */
+
+import { Transform } from 'stream';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Byte units of sizes and rates; KB, MB and GB are counted in powers of 1024, like KiB, MiB and GiB
+const UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(?:([kmg])(?:i?b)?|b)?$/i;
+
+// Adaptive concurrency: bounds, measuring window, and the change in throughput that counts as a change
+export const AUTO_CONCURRENCY = { initial: 4, min: 1, max: 32 };
+const TUNE_WINDOW_MS = 1000;
+const TUNE_TOLERANCE = 0.05;
+const MAX_ERROR_RATE = 0.1;
+
+const SLICES_PER_SECOND = 10;
+const MIN_SLICE = 1024;
+
+/**
+ * Parse a byte size like `64MB`, `512k`, `1.5 GiB` or a plain number of bytes.
+ *
+ * @param {string|number} value
+ * @returns {number|null} Bytes (rounded down), or null when the value is not a size.
+ */
+export function parseSize(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+    const match = SIZE_PATTERN.exec(String(value ?? '').trim());
+    return match ? Math.floor(Number(match[1]) * UNITS[(match[2] ?? 'b').toLowerCase()]) : null;
+}
+
+/**
+ * Parse a byte rate like `20MB/s`, `512k`, `1.5 GiB/s` or a plain number of bytes per second.
+ *
+ * @param {string|number} value
+ * @returns {number|null} Bytes per second, or null when the value is not a rate above zero.
+ */
+export function parseRate(value) {
+    const rate = parseSize(typeof value === 'number' ? value : String(value ?? '').trim().replace(/\/s$/i, ''));
+    return rate > 0 ? rate : null;
+}
+
+/**
+ * Format a byte count for people: `512 B`, `1.5 KB`, `20.0 MB`.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${Math.round(value)} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Create a bandwidth limit shared by all workers of a run.
+ *
+ * @param {number} bytesPerSecond
+ * @returns {{
+ *   rate: number,
+ *   take: (bytes: number) => Promise<void>,
+ *   stream: () => Transform
+ * }} `take` resolves once `bytes` may be written; `stream` returns a pass-through stream that
+ *    holds data back to the rate.
+ */
+export function createRateLimiter(bytesPerSecond) {
+    const slice = Math.max(MIN_SLICE, Math.floor(bytesPerSecond / SLICES_PER_SECOND));
+    let nextFree = 0; // Time at which the bytes reserved so far have all had their turn
+
+    // Reserve the next turn for `bytes`, and wait for it
+    const reserve = (bytes) => {
+        const now = performance.now();
+        const start = Math.max(nextFree, now);
+        nextFree = start + bytes / bytesPerSecond * 1000;
+        return start > now ? sleep(start - now) : Promise.resolve();
+    };
+    const take = async (bytes) => {
+        for (let offset = 0; offset < bytes; offset += slice) await reserve(Math.min(slice, bytes - offset));
+    };
+
+    return {
+        rate: bytesPerSecond,
+        take,
+        stream: () => new Transform({
+            transform(chunk, encoding, callback) {
+                (async () => {
+                    for (let offset = 0; offset < chunk.length; offset += slice) {
+                        const part = chunk.subarray(offset, offset + slice);
+                        await reserve(part.length);
+                        this.push(part);
+                    }
+                })().then(() => callback(), callback);
+            }
+        })
+    };
+}
+
+/**
+ * Create the worker count tuner of `--concurrency auto`.
+ *
+ * @param {object} [options]
+ * @param {number} [options.initial=4]
+ * @param {number} [options.min=1]
+ * @param {number} [options.max=32]
+ * @param {number} [options.windowMs=1000] How long throughput is measured between two adjustments.
+ * @param {() => number} [options.now] Clock in milliseconds (for tests).
+ * @returns {{
+ *   readonly concurrency: number,
+ *   readonly throughput: number|null,
+ *   fileDone: (file: { bytes?: number, failed?: boolean }) => boolean
+ * }} `fileDone` is called for every finished file and tells whether the worker count changed;
+ *    `throughput` is the bytes per second of the last full window.
+ */
+export function createConcurrencyTuner({
+    initial = AUTO_CONCURRENCY.initial, min = AUTO_CONCURRENCY.min, max = AUTO_CONCURRENCY.max,
+    windowMs = TUNE_WINDOW_MS, now = () => performance.now()
+} = {}) {
+    const clamp = (n) => Math.min(max, Math.max(min, n));
+    let concurrency = clamp(initial);
+    let direction = 1; // Step of the next adjustment while throughput keeps rising
+    let previousRate = null; // Throughput of the previous window
+    let windowStart = now();
+    let windowBytes = 0;
+    let windowFiles = 0;
+    let windowFailed = 0;
+
+    return {
+        get concurrency() {
+            return concurrency;
+        },
+        get throughput() {
+            return previousRate;
+        },
+        fileDone({ bytes = 0, failed = false }) {
+            windowBytes += bytes;
+            windowFiles++;
+            if (failed) windowFailed++;
+            const elapsed = now() - windowStart;
+            if (elapsed < windowMs) return false;
+
+            const rate = windowBytes / elapsed * 1000;
+            const before = concurrency;
+            if (windowFailed / windowFiles > MAX_ERROR_RATE) {
+                // Back off hard, then probe upwards again from there
+                concurrency = clamp(Math.floor(concurrency / 2));
+                direction = 1;
+            } else if (previousRate === null || rate > previousRate * (1 + TUNE_TOLERANCE)) {
+                concurrency = clamp(concurrency + direction);
+            } else if (rate < previousRate * (1 - TUNE_TOLERANCE)) {
+                direction = -direction;
+                concurrency = clamp(concurrency + direction);
+            }
+            previousRate = rate;
+            windowStart = now();
+            windowBytes = 0;
+            windowFiles = 0;
+            windowFailed = 0;
+            return concurrency !== before;
+        }
+    };
+}
@@ -0,0 +1,311 @@
+/**
+ * Content transform pipeline for copy-cli.
+ *
+ * A transform is a function `(content, context) => newContent` where
+ * `content` is a Buffer and the result may be a Buffer or a string (written
+ * as UTF-8). Transforms may be async. They are selected with `--transform`
+ * using `name` or `name=argument` specs and run in the order given.
+ *
+ * Files copied without any transform keep using the fast `fs.copyFile` path;
+ * the pipeline is only involved when at least one transform is selected.
+ *
+ * Files too large to hold in memory are streamed instead. Every built-in has a
+ * streaming form giving the same output; a plugin transform can provide one
+ * with `register(name, fn, { stream })`, where `stream(context)` returns a
+ * Transform stream. Without it, large files it applies to are read whole.
+ */
+
+import path from 'path';
+import fsSync from 'fs';
+import { Transform } from 'stream';
+import { renderTemplate, unescapeTemplate, formatDate } from './template.js';
+
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const CR = 0x0d;
+const LF = 0x0a;
+const LINE_ENDINGS = { lf: Buffer.from([LF]), crlf: Buffer.from([CR, LF]) };
+
+// Encodings Node.js can write natively (decoding also accepts anything TextDecoder knows)
+const WRITABLE_ENCODINGS = new Map([
+    ['utf8', 'utf8'], ['utf-8', 'utf8'],
+    ['utf16le', 'utf16le'], ['utf-16le', 'utf16le'],
+    ['latin1', 'latin1'], ['iso-8859-1', 'latin1'],
+    ['ascii', 'ascii']
+]);
+
+// --- Built-in transforms ---
+const BUILTIN_TRANSFORMS = {
+    /** Remove a leading UTF-8 byte order mark. */
+    'strip-bom': (content) => (
+        content.subarray(0, UTF8_BOM.length).equals(UTF8_BOM) ? content.subarray(UTF8_BOM.length) : content
+    ),
+
+    /**
+     * Normalize line endings: `eol=lf` (default) or `eol=crlf`. Works on the bytes, so any
+     * ASCII-compatible encoding (UTF-8, Latin-1, Windows-1252...) is kept as it is.
+     */
+    eol: (content, { arg = 'lf' }) => convertLineEndings(content, eolStyle(arg)),
+
+    /**
+     * Prepend the `--banner` template. Variables: {source}, {name}, {target}, {date}, {datetime}.
+     * A BOM, if present, is kept in front of the banner. With `--sync` the date is the source's
+     * modification time, so an unchanged source always gives the same content.
+     */
+    banner: (content, { source, target, options }) => {
+        if (!options.banner) throw new Error('The banner transform needs a --banner template');
+        const now = options.sync ? fsSync.statSync(source).mtime : new Date();
+        const banner = renderTemplate(unescapeTemplate(options.banner), {
+            source: toDisplayPath(source),
+            name: path.basename(source),
+            target: toDisplayPath(target),
+            date: formatDate(now),
+            datetime: now.toISOString()
+        });
+        const hasBom = content.subarray(0, UTF8_BOM.length).equals(UTF8_BOM);
+        const body = hasBom ? content.subarray(UTF8_BOM.length) : content;
+        return Buffer.concat([hasBom ? UTF8_BOM : Buffer.alloc(0), Buffer.from(banner, 'utf8'), body]);
+    },
+
+    /** Convert text encoding: `encoding=<from>:<to>`, or `encoding=<to>` for UTF-8 input. */
+    encoding: (content, { arg }) => {
+        const { from, writable } = encodingPair(arg);
+        return Buffer.from(new TextDecoder(from).decode(content), writable);
+    }
+};
+
+// --- Streaming forms of the built-ins ---
+const BUILTIN_STREAM_TRANSFORMS = {
+    'strip-bom': (context) => headTransform(UTF8_BOM.length, (head) => BUILTIN_TRANSFORMS['strip-bom'](head, context)),
+
+    eol: ({ arg = 'lf' }) => {
+        const style = eolStyle(arg);
+        let pendingCr = false; // A chunk ending with \r may continue with \n
+        const convert = (chunk, last) => {
+            let pending = pendingCr ? Buffer.concat([Buffer.from([CR]), chunk]) : chunk;
+            pendingCr = !last && pending.at(-1) === CR;
+            if (pendingCr) pending = pending.subarray(0, -1);
+            return convertLineEndings(pending, style);
+        };
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                callback(null, convert(chunk, false));
+            },
+            flush(callback) {
+                callback(null, convert(Buffer.alloc(0), true));
+            }
+        });
+    },
+
+    banner: (context) => headTransform(UTF8_BOM.length, (head) => BUILTIN_TRANSFORMS.banner(head, context)),
+
+    encoding: ({ arg }) => {
+        const { from, writable } = encodingPair(arg);
+        const decoder = new TextDecoder(from);
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), writable));
+            },
+            flush(callback) {
+                callback(null, Buffer.from(decoder.decode(), writable));
+            }
+        });
+    }
+};
+
+function eolStyle(arg) {
+    const style = arg.toLowerCase();
+    if (style !== 'lf' && style !== 'crlf') {
+        throw new Error(`Unsupported line ending "${arg}" (expected lf or crlf)`);
+    }
+    return style;
+}
+
+// \r\n, \r and \n all become the line ending of `style`
+function convertLineEndings(content, style) {
+    const parts = [];
+    let start = 0;
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] !== CR && content[i] !== LF) continue;
+        parts.push(content.subarray(start, i), LINE_ENDINGS[style]);
+        if (content[i] === CR && content[i + 1] === LF) i++;
+        start = i + 1;
+    }
+    if (start === 0) return content;
+    parts.push(content.subarray(start));
+    return Buffer.concat(parts);
+}
+
+// `encoding=<from>:<to>` or `encoding=<to>`: the decoder label and the Node.js encoding to write
+function encodingPair(arg) {
+    if (!arg) throw new Error('The encoding transform needs a target, e.g. encoding=latin1:utf8');
+    const [from, to] = arg.includes(':') ? arg.split(':') : ['utf8', arg];
+    const writable = WRITABLE_ENCODINGS.get(to.toLowerCase());
+    if (!writable) {
+        throw new Error(`Cannot write encoding "${to}" (supported: ${[...new Set(WRITABLE_ENCODINGS.values())].join(', ')})`);
+    }
+    try {
+        new TextDecoder(from);
+    } catch {
+        throw new Error(`Cannot read encoding "${from}"`);
+    }
+    return { from: from.toLowerCase(), writable };
+}
+
+// A stream that hands its first `length` bytes (fewer for a shorter file) to `edit`,
+// then passes the rest through untouched
+function headTransform(length, edit) {
+    let head = Buffer.alloc(0);
+    let passing = false;
+    const release = (stream) => {
+        passing = true;
+        const edited = edit(head);
+        stream.push(Buffer.isBuffer(edited) ? edited : Buffer.from(String(edited), 'utf8'));
+    };
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (passing) return callback(null, chunk);
+            head = Buffer.concat([head, chunk]);
+            if (head.length < length) return callback();
+            try {
+                release(this);
+            } catch (error) {
+                return callback(error);
+            }
+            callback();
+        },
+        flush(callback) {
+            try {
+                if (!passing) release(this);
+            } catch (error) {
+                return callback(error);
+            }
+            callback();
+        }
+    });
+}
+
+// Paths in banners are shown relative to the working directory, with forward slashes
+function toDisplayPath(file) {
+    return path.relative(process.cwd(), file).replace(/\\/g, '/');
+}
+
+/**
+ * Parse `--transform` values into specs. Accepts repeated options and comma-separated lists.
+ *
+ * @param {string|string[]|undefined} values
+ * @returns {{ name: string, arg: string|undefined }[]}
+ */
+export function parseTransformSpecs(values) {
+    return [values ?? []].flat()
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean)
+        .map(spec => {
+            const eq = spec.indexOf('=');
+            return eq === -1
+                ? { name: spec, arg: undefined }
+                : { name: spec.slice(0, eq).trim(), arg: spec.slice(eq + 1).trim() };
+        });
+}
+
+// Checks of the built-in transforms' arguments, run once before any file is copied
+const BUILTIN_ARGUMENT_CHECKS = {
+    eol: ({ arg = 'lf' }) => eolStyle(arg),
+    encoding: ({ arg }) => encodingPair(arg)
+};
+
+/**
+ * Check the arguments of the built-in transforms among specs, so a wrong one is refused
+ * before the copy instead of failing every file.
+ *
+ * @param {{ name: string, arg?: string }[]} specs
+ * @throws {Error} Saying what is wrong with the first invalid argument.
+ */
+export function checkTransformSpecs(specs) {
+    for (const spec of specs) {
+        try {
+            BUILTIN_ARGUMENT_CHECKS[spec.name]?.(spec);
+        } catch (error) {
+            throw new Error(`Transform "${spec.name}": ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Create the transform registry for one run, pre-filled with the built-ins.
+ * Plugins receive `transforms.register(name, fn)` in their install context.
+ */
+export function createTransformRegistry() {
+    const transforms = new Map(Object.entries(BUILTIN_TRANSFORMS));
+    const streamTransforms = new Map(Object.entries(BUILTIN_STREAM_TRANSFORMS));
+
+    return {
+        /**
+         * @param {string} name
+         * @param {(content: Buffer, context: object) => Buffer|string|Promise<Buffer|string>} fn
+         * @param {{ stream?: (context: object) => import('stream').Transform }} [options]
+         *        `stream` gives the same output for content streamed in chunks (used for large files).
+         */
+        register(name, fn, { stream } = {}) {
+            if (typeof name !== 'string' || !/^[\w:-]+$/.test(name)) {
+                throw new Error(`Invalid transform name: ${name}`);
+            }
+            if (typeof fn !== 'function') throw new TypeError(`Transform "${name}" must be a function`);
+            if (stream !== undefined && typeof stream !== 'function') throw new TypeError(`The stream form of transform "${name}" must be a function`);
+            if (transforms.has(name)) throw new Error(`Transform "${name}" is already registered`);
+            transforms.set(name, fn);
+            if (stream) streamTransforms.set(name, stream);
+        },
+        has: (name) => transforms.has(name),
+        get: (name) => transforms.get(name),
+        getStream: (name) => streamTransforms.get(name),
+        names: () => [...transforms.keys()]
+    };
+}
+
+/**
+ * Build the pipeline function for a list of specs.
+ *
+ * @param {{ name: string, arg?: string }[]} specs   Parsed `--transform` specs (names must be registered).
+ * @param {ReturnType<typeof createTransformRegistry>} registry
+ * @param {{ banner?: string, sync?: boolean }} options Options transforms may read.
+ * @returns {((content: Buffer, file: { source: string, target: string, root: string }) => Promise<Buffer>) | null}
+ *          `null` when there is nothing to do, so callers can keep the plain copy path.
+ */
+export function buildPipeline(specs, registry, options = {}) {
+    if (specs.length === 0) return null;
+    const steps = specs.map(({ name, arg }) => ({ name, arg, fn: registry.get(name) }));
+    return async (content, file) => {
+        let current = content;
+        for (const { name, arg, fn } of steps) {
+            try {
+                const result = await fn(current, { ...file, arg, options });
+                current = result instanceof Uint8Array ? Buffer.from(result) : Buffer.from(String(result), 'utf8');
+            } catch (error) {
+                throw new Error(`Transform "${name}" failed: ${error.message || error}`);
+            }
+        }
+        return current;
+    };
+}
+
+/**
+ * Build the streaming form of a pipeline, for files too large to read into memory.
+ *
+ * @param {{ name: string, arg?: string }[]} specs
+ * @param {ReturnType<typeof createTransformRegistry>} registry
+ * @param {{ banner?: string, sync?: boolean }} options
+ * @returns {((file: { source: string, target: string, root: string }) => import('stream').Transform[]) | null}
+ *          Creates the streams of one file, in order; `null` when a transform has no streaming form.
+ */
+export function buildStreamPipeline(specs, registry, options = {}) {
+    const steps = specs.map(({ name, arg }) => ({ name, arg, create: registry.getStream(name) }));
+    if (steps.some(step => !step.create)) return null;
+    return (file) => steps.map(({ name, arg, create }) => {
+        try {
+            return create({ ...file, arg, options });
+        } catch (error) {
+            throw new Error(`Transform "${name}" failed: ${error.message || error}`);
+        }
+    });
+}
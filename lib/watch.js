@@ -0,0 +1,116 @@
+/**
+ * Watch mode (`--watch`) helpers for copy-cli.
+ *
+ * File system events are only used as a trigger: every burst of events
+ * (debounced) leads to a fresh search whose snapshot is compared with the
+ * previous one. This keeps the include/exclude/ignore rules of the search
+ * authoritative and copes with editors that save through temporary files,
+ * which produce noisy and platform-dependent events.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+
+export const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Record the size and modification time of found files.
+ *
+ * @param {{ file: string, root: string }[]} files Search results.
+ * @returns {Promise<Map<string, { root: string, size: number, mtimeMs: number }>>}
+ *          Files that vanished before they could be read are left out.
+ */
+export async function snapshotFiles(files) {
+    const snapshot = new Map();
+    for (const { file, root } of files) {
+        try {
+            const { size, mtimeMs } = await fsPromises.stat(file);
+            snapshot.set(file, { root, size, mtimeMs });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Compare two snapshots.
+ *
+ * @param {Map<string, object>} previous
+ * @param {Map<string, object>} next
+ * @returns {{ changed: { file: string, root: string }[], removed: { file: string, root: string }[] }}
+ *          `changed` holds added files and files whose size or mtime differ.
+ */
+export function diffSnapshots(previous, next) {
+    const changed = [];
+    const removed = [];
+    for (const [file, state] of next) {
+        const before = previous.get(file);
+        if (!before || before.size !== state.size || before.mtimeMs !== state.mtimeMs) changed.push({ file, root: state.root });
+    }
+    for (const [file, state] of previous) {
+        if (!next.has(file)) removed.push({ file, root: state.root });
+    }
+    return { changed, removed };
+}
+
+/**
+ * Watch folders recursively and call `onChange` once per burst of events.
+ * Calls never overlap: events arriving while `onChange` runs schedule one more call after it.
+ *
+ * @param {string[]} roots
+ * @param {object} options
+ * @param {() => Promise<void>} options.onChange
+ * @param {number} [options.debounceMs=300] Quiet time to wait for after the last event.
+ * @param {(error: Error) => void} [options.onError] Errors of the watchers and of `onChange`.
+ * @returns {{ close: () => Promise<void> }} `close` stops watching and waits for a running `onChange`.
+ * @throws {Error} When a folder cannot be watched (e.g. it does not exist).
+ */
+export function watchSources(roots, { onChange, debounceMs = DEFAULT_DEBOUNCE_MS, onError = () => {} }) {
+    let timer = null;
+    let running = null;
+    let pending = false;
+    let closed = false;
+
+    const run = () => {
+        timer = null;
+        if (running) {
+            pending = true;
+            return;
+        }
+        running = Promise.resolve()
+            .then(onChange)
+            .catch(onError)
+            .finally(() => {
+                running = null;
+                if (pending && !closed) {
+                    pending = false;
+                    schedule();
+                }
+            });
+    };
+    const schedule = () => {
+        if (closed) return;
+        clearTimeout(timer);
+        timer = setTimeout(run, debounceMs);
+    };
+
+    const watchers = [];
+    try {
+        for (const root of roots) {
+            watchers.push(fs.watch(root, { recursive: true }, schedule).on('error', onError));
+        }
+    } catch (error) {
+        watchers.forEach(w => w.close());
+        throw error;
+    }
+
+    return {
+        async close() {
+            closed = true;
+            clearTimeout(timer);
+            watchers.forEach(w => w.close());
+            await running;
+        }
+    };
+}
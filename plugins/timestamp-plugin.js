@@ -3,14 +3,14 @@
  *
  * This simple plugin demonstrates:
  * 1. Exporting an `install` function.
- * 2. Accessing the context object (`logger`, `i18n`, `argv`).
+ * 2. Accessing the context object (`logger`, `i18n`, `argv`, `hooks`).
  * 3. Logging messages using the provided logger.
  * 4. Using `i18n` within the plugin.
- * 5. Adding a process exit hook (for cleanup or final messages).
+ * 5. Registering lifecycle hooks (here `onComplete`, for final messages).
  */
 
 // Use ES Module export syntax
-export async function install({ logger, i18n, argv }) {
+export async function install({ logger, i18n, argv, hooks }) {
 
     // --- Code executed when the plugin is loaded ---
 
@@ -26,25 +26,19 @@ export async function install({ logger, i18n, argv }) {
         logger.info(`[TimestampPlugin] ${i18n.__('Dry run mode detected by plugin.')}`);
     }
 
-    // --- Optional: Add actions on script exit ---
+    // --- Lifecycle hooks ---
 
-    // This demonstrates how a plugin could perform cleanup or final logging.
-    // Note: This runs *after* the main copy logic is complete OR if the process exits early.
-    // It won't run if the process crashes hard.
-    process.on('exit', (code) => {
-        const endTime = new Date();
-        const duration = (endTime - startTime) / 1000; // Duration in seconds
+    // `onComplete` receives the final summary (counts, `errors` array, duration).
+    // It runs once the copy (or dry run) is finished, before copy-cli exits.
+    // Other hooks: beforeSearch, filterFile, transformPath, beforeCopy, afterCopy.
+    hooks.on('onComplete', (summary) => {
+        const duration = (Date.now() - startTime.getTime()) / 1000; // Duration in seconds
 
         // Log a final message. Remember to add this key to your locale files!
-        // We use console.log here because the logger might already be closed on 'exit'
-        // in some scenarios, especially during errors.
-        console.log(
-            `[TimestampPlugin] ${i18n.__('Plugin exiting. Code: %s, Duration: %s sec', code, duration.toFixed(2))}`
+        logger.info(
+            `[TimestampPlugin] ${i18n.__('Run finished in %s sec (%d copied, %d failed)', duration.toFixed(2), summary.copied + summary.renamed + summary.updated, summary.failed)}`
         );
     });
-
-    // The install function can be async if needed (e.g., for setup tasks)
-    // await someAsyncSetup();
 }
 
 // You could also use `export default { install };` if you prefer.
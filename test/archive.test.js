@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { runCopy, planCopy, listArchiveEntries } from '../lib/api.js';
+import { openArchive, createArchiveWriter } from '../lib/archive.js';
+import { makeTree, listFiles, runCli } from './helpers.js';
+
+// Entry names and contents of an archive
+async function readArchive(file) {
+    const archive = await openArchive(file);
+    try {
+        const contents = {};
+        for (const name of archive.entries.keys()) contents[name] = (await archive.read(name)).toString();
+        return contents;
+    } finally {
+        await archive.close();
+    }
+}
+
+test('copies into a zip, renaming entries that share a name', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/sub/a.js': 'sub a', 'src/c.js': 'c', 'out/a.txt': 'not in the archive' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out/bundle.zip') });
+    assert.deepEqual(result.archive, { file: tree.path('out/bundle.zip'), format: 'zip' });
+    assert.deepEqual([result.totals.copied, result.totals.renamed], [2, 1]);
+    assert.deepEqual(result.files.map(f => f.target.replace(/^.*bundle\.zip\//, '')), ['a.txt', 'c.txt', 'a_1.txt']);
+    assert.deepEqual(await readArchive(tree.path('out/bundle.zip')), { 'a.txt': 'a', 'c.txt': 'c', 'a_1.txt': 'sub a' });
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'bundle.zip']);
+});
+
+test('--archive adds the extension, and transforms apply to the entries', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'one\r\ntwo\r\n', 'src/sub/b.js': 'b' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({
+        src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out/bundle'), archive: 'tar.gz', layout: 'mirror', transform: 'eol=lf'
+    });
+    assert.equal(result.archive.file, tree.path('out/bundle.tar.gz'));
+    assert.deepEqual(await readArchive(tree.path('out/bundle.tar.gz')), { 'a.txt': 'one\ntwo\n', 'sub/b.txt': 'b' });
+});
+
+test('an existing archive is renamed or replaced as a whole', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'new', 'out/bundle.tar': 'old' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out/bundle.tar') };
+
+    const renamed = await runCopy(options);
+    assert.equal(renamed.archive.file, tree.path('out/bundle_1.tar'));
+    assert.equal(await fs.readFile(tree.path('out/bundle.tar'), 'utf8'), 'old');
+
+    await runCopy({ ...options, onConflict: 'overwrite' });
+    assert.deepEqual(await readArchive(tree.path('out/bundle.tar')), { 'a.txt': 'new' });
+    await assert.rejects(runCopy({ ...options, onConflict: 'fail' }), { name: 'SetupError', message: /Target already exists/ });
+});
+
+test('the dry run lists archive entries and writes nothing', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '', 'src/sub/a.js': '', 'out/bundle.zip/a.txt': 'a folder named like an archive' });
+    t.after(tree.cleanup);
+
+    const plan = await planCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out/new.zip') });
+    assert.deepEqual(plan.archive, { file: tree.path('out/new.zip'), format: 'zip', exists: false });
+    assert.deepEqual(plan.entries.map(e => [e.target, e.conflict]), [
+        [tree.path('out/new.zip/a.txt'), null],
+        [tree.path('out/new.zip/a.txt'), 'rename']
+    ]);
+    await assert.rejects(fs.access(tree.path('out/new.zip')));
+
+    // An existing folder stays a folder destination
+    const folderPlan = await planCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out/bundle.zip') });
+    assert.equal(folderPlan.archive, null);
+    assert.equal(folderPlan.entries[0].conflict, 'rename');
+});
+
+test('options an archive destination or source cannot honor are rejected', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out.zip') };
+    const writer = await createArchiveWriter(tree.path('in.zip'), 'zip');
+    await writer.finish();
+
+    await assert.rejects(runCopy({ ...options, sync: true }), { code: 'EOPTIONS', option: 'sync', message: '--sync cannot be used with an archive destination' });
+    await assert.rejects(runCopy({ ...options, onConflict: 'skip' }), { option: 'onConflict' });
+    await assert.rejects(runCopy({ ...options, archive: 'tar' }), { option: 'archive', message: /--archive tar does not match the destination/ });
+    await assert.rejects(runCopy({ ...options, src: tree.path('in.zip'), dest: tree.path('out'), sync: true }), { message: '--sync cannot be used with an archive source' });
+});
+
+for (const archive of ['zip', 'tar.gz']) {
+    test(`pulls matching entries out of a ${archive} source`, async (t) => {
+        const tree = await makeTree({ 'pack/lib/a.js': 'a', 'pack/lib/b.test.js': 'test', 'pack/.hidden/c.js': 'hidden', 'pack/readme.md': 'md' });
+        t.after(tree.cleanup);
+        await runCopy({ src: tree.path('pack'), ext: 'js,md', targetExt: 'js', map: 'md:keep', dest: tree.path('vendor'), archive, layout: 'mirror', dot: true });
+        const source = tree.path(`vendor.${archive}`);
+        assert.deepEqual((await listArchiveEntries(source)).map(e => e.name).sort(), ['.hidden/c.js', 'lib/a.js', 'lib/b.test.js', 'readme.md']);
+
+        const result = await runCopy({ src: source, ext: 'js', targetExt: 'txt', dest: tree.path('out'), layout: 'mirror', exclude: '**/*.test.js' });
+        assert.deepEqual(result.excluded.map(e => e.rule), ['--exclude **/*.test.js']);
+        assert.deepEqual(await listFiles(tree.path('out')), ['lib/a.txt']);
+        assert.equal(await fs.readFile(tree.path('out/lib/a.txt'), 'utf8'), 'a');
+    });
+}
+
+test('the CLI copies into an archive and names it in the dry run', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+
+    const dryRun = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--archive', 'zip', '--dry-run'], { cwd: tree.dir });
+    assert.equal(dryRun.code, 0);
+    assert.match(dryRun.stdout, /Entries of the zip archive out\.zip\n/);
+    assert.match(dryRun.stdout, /Copy: src\/a\.js → out\.zip\/a\.txt/);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out.zip'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /Archive written to out\.zip/);
+    assert.deepEqual(await readArchive(tree.path('out.zip')), { 'a.txt': 'a' });
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { runCopy, readCheckpoint, listCheckpoints } from '../lib/api.js';
+import { makeTree, listFiles } from './helpers.js';
+
+test('an aborted run keeps a checkpoint and resuming copies only the rest', async (t) => {
+    const tree = await makeTree({ 'a/util.js': 'from a', 'b/util.js': 'from b', 'c/one.js': '1', 'c/two.js': '2' });
+    t.after(tree.cleanup);
+    const checkpointDir = tree.path('checkpoints');
+    const options = {
+        src: ['a', 'b', 'c'].map(dir => tree.path(dir)), ext: 'js', targetExt: 'txt', dest: tree.path('out'),
+        onConflict: 'overwrite', concurrency: 1, checkpointDir
+    };
+
+    // Stop after the first file, as Ctrl+C would
+    const controller = new AbortController();
+    const first = await runCopy(options, {
+        signal: controller.signal,
+        onProgress: (event) => event.type === 'file' && controller.abort()
+    });
+    assert.equal(first.aborted, true);
+    assert.equal(first.totals.total, 1);
+    assert.ok(first.checkpoint);
+    assert.deepEqual(await listFiles(tree.path('out')), ['util.txt']);
+
+    const [saved] = await listCheckpoints(checkpointDir);
+    assert.deepEqual({ id: saved.id, total: saved.total, done: saved.done }, { id: first.checkpoint, total: 4, done: 1 });
+
+    // The resumed run starts its progress at the files already done, and never writes over them
+    const checkpoint = await readCheckpoint(checkpointDir, first.checkpoint);
+    const starts = [];
+    const resumed = await runCopy({ ...checkpoint.options, checkpointDir, resume: checkpoint }, {
+        onProgress: (event) => event.type === 'start' && starts.push([event.done, event.total])
+    });
+    assert.deepEqual(starts, [[1, 4]]);
+    assert.equal(resumed.resumed, 1);
+    assert.equal(resumed.checkpoint, null);
+    assert.deepEqual([resumed.totals.copied, resumed.totals.renamed], [2, 1]);
+    assert.deepEqual(await listFiles(tree.path('out')), ['one.txt', 'two.txt', 'util.txt', 'util_1.txt']);
+    assert.equal(await fs.readFile(tree.path('out', 'util.txt'), 'utf8'), 'from a');
+    assert.deepEqual(await listCheckpoints(checkpointDir), []);
+});
+
+test('a checkpoint keeps absolute paths, so a run resumed from another folder writes to the same place', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'elsewhere/.keep': '' });
+    t.after(tree.cleanup);
+    const checkpointDir = tree.path('checkpoints');
+    const relative = (name) => path.relative(process.cwd(), tree.path(name));
+
+    const controller = new AbortController();
+    const first = await runCopy({ src: relative('src'), ext: 'js', targetExt: 'txt', dest: relative('out'), concurrency: 1, checkpointDir }, {
+        signal: controller.signal,
+        onProgress: (event) => event.type === 'file' && controller.abort()
+    });
+    const checkpoint = await readCheckpoint(checkpointDir, first.checkpoint);
+    assert.deepEqual([checkpoint.options.src, checkpoint.options.dest], [tree.path('src'), tree.path('out')]);
+    assert.ok(checkpoint.plan.every(({ file, target }) => path.isAbsolute(file) && path.isAbsolute(target)));
+
+    const cwd = process.cwd();
+    process.chdir(tree.path('elsewhere'));
+    t.after(() => process.chdir(cwd));
+    const resumed = await runCopy({ ...checkpoint.options, checkpointDir, resume: checkpoint });
+    assert.deepEqual(resumed.errors, []);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt']);
+    assert.deepEqual(await listFiles(tree.path('elsewhere')), ['.keep']);
+});
+
+test('resuming writes over what the interrupted run left half-written, and still renames around older files', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c', 'out/c.txt': 'mine' });
+    t.after(tree.cleanup);
+    const checkpointDir = tree.path('checkpoints');
+
+    const controller = new AbortController();
+    const first = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), concurrency: 1, checkpointDir }, {
+        signal: controller.signal,
+        onProgress: (event) => event.type === 'file' && controller.abort()
+    });
+    assert.equal(first.totals.total, 1);
+    // The crash came in the middle of writing b.txt
+    await fs.writeFile(tree.path('out/b.txt'), 'half');
+
+    const checkpoint = await readCheckpoint(checkpointDir, first.checkpoint);
+    const resumed = await runCopy({ ...checkpoint.options, checkpointDir, resume: checkpoint });
+    assert.deepEqual(resumed.files.map(f => [path.basename(f.target), f.status]), [['b.txt', 'copied'], ['c_1.txt', 'renamed']]);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt', 'c.txt', 'c_1.txt']);
+    assert.equal(await fs.readFile(tree.path('out/b.txt'), 'utf8'), 'b');
+    assert.equal(await fs.readFile(tree.path('out/c.txt'), 'utf8'), 'mine');
+});
+
+test('a completed run leaves no checkpoint behind', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), checkpointDir: tree.path('checkpoints') });
+    assert.equal(result.checkpoint, null);
+    assert.deepEqual(await listCheckpoints(tree.path('checkpoints')), []);
+});
+
+test('readCheckpoint ignores a line cut short by a crash', async (t) => {
+    const tree = await makeTree({
+        'checkpoints/run1/plan.json': JSON.stringify({ id: 'run1', cwd: process.cwd(), options: {}, plan: [{ file: 'src/a.js', root: 'src', target: 'out/a.txt' }, { file: 'src/b.js', root: 'src', target: 'out/b.txt' }] }),
+        'checkpoints/run1/done.ndjson': '{"index":0,"target":"out/a.txt"}\n{"index":1,"tar'
+    });
+    t.after(tree.cleanup);
+
+    const checkpoint = await readCheckpoint(tree.path('checkpoints'), 'run1');
+    assert.deepEqual([...checkpoint.done], [[0, path.resolve('out/a.txt')]]);
+});
+
+test('a run with failed files keeps its checkpoint, and resuming copies only those files', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c' });
+    t.after(tree.cleanup);
+    const checkpointDir = tree.path('checkpoints');
+    // A directory sitting at a target path makes that one copy fail
+    await fs.mkdir(tree.path('out', 'b.txt'), { recursive: true });
+
+    const first = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), overwrite: true, checkpointDir });
+    assert.deepEqual([first.aborted, first.totals.copied, first.totals.failed], [false, 2, 1]);
+    assert.ok(first.checkpoint);
+
+    await fs.rm(tree.path('out', 'b.txt'), { recursive: true });
+    const checkpoint = await readCheckpoint(checkpointDir, first.checkpoint);
+    const resumed = await runCopy({ ...checkpoint.options, checkpointDir, resume: checkpoint });
+    assert.equal(resumed.resumed, 2);
+    assert.deepEqual(resumed.files.map(f => [path.resolve(f.source), f.status]), [[tree.path('src/b.js'), 'copied']]);
+    assert.equal(await fs.readFile(tree.path('out', 'b.txt'), 'utf8'), 'b');
+    assert.equal(resumed.checkpoint, null);
+    assert.deepEqual(await listCheckpoints(checkpointDir), []);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { EXIT_CODES, exitCodeOfJobs, OptionsError } from '../lib/api.js';
+import { makeTree, listFiles, runCli } from './helpers.js';
+
+test('copies matching files and exits 0', async (t) => {
+    const tree = await makeTree({ 'src/a/one.js': '1', 'src/two.js': '2', 'src/three.css': '3' });
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['--src', 'src/a,src', '--ext', '.js', '--targetExt', 'txt', '--dest', 'out'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /Copy operation completed successfully: 2 files copied\./);
+    assert.deepEqual(await listFiles(tree.path('out')), ['one.txt', 'two.txt']);
+});
+
+test('--dry-run lists every operation and writes nothing', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '', 'src/b.js': '', 'out/a.txt': 'old' });
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--dry-run'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /--- DRY RUN MODE ---/);
+    assert.match(stdout, /The following operations would be performed:/);
+    assert.match(stdout, /Copy: src\/a\.js → out\/a\.txt \[Warning\] Target exists - would rename/);
+    assert.match(stdout, /Copy: src\/b\.js → out\/b\.txt\n/);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt']);
+});
+
+test('a run with some failed files exits 4 and lists the errors', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b' });
+    t.after(tree.cleanup);
+    await fs.mkdir(tree.path('out', 'b.txt'), { recursive: true });
+
+    const { code, stdout, stderr } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--overwrite'], { cwd: tree.dir });
+    assert.equal(code, 4);
+    assert.match(stderr, /Copy operation completed with 1 error\(s\)\./);
+    assert.match(stderr, / - src\/b\.js: /);
+    assert.match(stdout, /1 file copied successfully/);
+    assert.match(stdout, /Retry the failed files with copy-cli --resume \S+/);
+});
+
+test('a run where every file failed exits 1', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+    await fs.mkdir(tree.path('out', 'a.txt'), { recursive: true });
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--overwrite', '--yes'], { cwd: tree.dir });
+    assert.equal(code, 1);
+    assert.doesNotMatch(stdout, /copied successfully/);
+});
+
+test('the exit code of jobs combines the outcome of each job', () => {
+    const run = (errors, { plan = 1, failed = errors, aborted = false } = {}) => ({
+        result: { options: {}, aborted, resumed: 0, plan: Array(plan), errors: Array(errors), totals: { total: plan, failed } }, error: null
+    });
+    const invalid = { result: null, error: new OptionsError('bad', { option: 'layout' }) };
+    assert.equal(exitCodeOfJobs({ jobs: [run(0), run(0, { plan: 0 })] }), EXIT_CODES.SUCCESS);
+    assert.equal(exitCodeOfJobs({ jobs: [run(0, { plan: 0 }), run(0, { plan: 0 })] }), EXIT_CODES.NOTHING_MATCHED);
+    assert.equal(exitCodeOfJobs({ jobs: [run(0), run(1)] }), EXIT_CODES.PARTIAL_FAILURE);
+    assert.equal(exitCodeOfJobs({ jobs: [run(1), invalid] }), EXIT_CODES.FAILURE);
+    assert.equal(exitCodeOfJobs({ jobs: [run(0), run(0, { aborted: true })] }), EXIT_CODES.CANCELLED);
+});
+
+test('nothing matched exits 3', async (t) => {
+    const tree = await makeTree({ 'src/a.md': '' });
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out'], { cwd: tree.dir });
+    assert.equal(code, 3);
+    assert.match(stdout, /No files found matching the specified criteria\. Nothing to copy\./);
+});
+
+test('without a terminal, a missing required option fails instead of prompting', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '' });
+    t.after(tree.cleanup);
+
+    // Input is piped (and would answer a prompt), so the CLI must not wait for it
+    const { code, stderr } = await runCli(['-e', 'js', '-t', 'txt', '-d', 'out'], { cwd: tree.dir, input: 'src\n' });
+    assert.equal(code, 2);
+    assert.match(stderr, /Missing required argument: --src\nPrompts are turned off \(no terminal\), pass --src on the command line or in a config file\./);
+    await assert.rejects(fs.access(tree.path('out')));
+});
+
+test('an invalid option value is rejected with exit code 2', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '' });
+    t.after(tree.cleanup);
+
+    const { code, stderr } = await runCli(['-s', 'src', '-e', 'j$s', '-t', 'txt', '-d', 'out'], { cwd: tree.dir });
+    assert.equal(code, 2);
+    assert.match(stderr, /Invalid value provided for required option --ext/);
+});
+
+test('--json prints a parsable report on stdout', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--json'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    const report = JSON.parse(stdout);
+    assert.equal(report.totals.copied, 1);
+    assert.deepEqual(report.files.map(f => [f.source, f.target, f.status]), [['src/a.js', 'out/a.txt', 'copied']]);
+});
+
+test('--json output larger than a pipe buffer reaches the reader whole', async (t) => {
+    const files = Object.fromEntries(Array.from({ length: 400 }, (_, i) => [`src/file-with-a-long-name-${i}.js`, 'x']));
+    const tree = await makeTree(files);
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--json'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.ok(stdout.length > 64 * 1024, `${stdout.length} bytes`);
+    assert.equal(JSON.parse(stdout).files.length, 400);
+});
+
+test('run executes the named jobs of copy-cli.jsonc with per-job and overall summaries', async (t) => {
+    const tree = await makeTree({
+        'a/one.js': '1', 'b/two.md': '2',
+        'copy-cli.jsonc': '{\n  // shared by every job\n  "defaults": { "target-ext": "txt" },\n  "jobs": {\n    "scripts": { "src": "a", "ext": "js", "dest": "out/a" },\n    "docs": { "src": "b", "ext": "md", "dest": "out/b" },\n  },\n}\n'
+    });
+    t.after(tree.cleanup);
+
+    const dryRun = await runCli(['run', 'docs', '--dry-run'], { cwd: tree.dir });
+    assert.equal(dryRun.code, 0);
+    assert.match(dryRun.stdout, /Running job docs\n/);
+    assert.doesNotMatch(dryRun.stdout, /Running job scripts/);
+    assert.match(dryRun.stdout, /Copy: b\/two\.md → out\/b\/two\.txt/);
+
+    const { code, stdout } = await runCli(['run', '--all', '--parallel'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /Job scripts: 1 copied, 0 renamed, 0 updated, 0 skipped, 0 deleted, 0 failed/);
+    assert.match(stdout, /2 of 2 job\(s\) completed without errors/);
+    assert.match(stdout, /Total 2 copied/);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a/one.txt', 'b/two.txt']);
+});
+
+test('run reports an invalid job config with the file and key, without copying', async (t) => {
+    const tree = await makeTree({
+        'a/one.js': '1',
+        'jobs.json': JSON.stringify({ jobs: { ok: { src: 'a', ext: 'js', targetExt: 'txt', dest: 'out' }, bad: { src: 'a', ext: 'js', dest: 'out', layout: 'tree' } } })
+    });
+    t.after(tree.cleanup);
+
+    const { code, stderr } = await runCli(['run', 'ok', '--config', 'jobs.json'], { cwd: tree.dir });
+    assert.equal(code, 2);
+    assert.match(stderr, /jobs\.json: jobs\.bad\.layout must be one of flat, mirror, prefixed/);
+    await assert.rejects(fs.access(tree.path('out')));
+});
+
+test('--resume without an interrupted run in the folder fails', async (t) => {
+    const tree = await makeTree({});
+    t.after(tree.cleanup);
+
+    const { code, stderr } = await runCli(['--resume'], { cwd: tree.dir });
+    assert.equal(code, 2);
+    assert.match(stderr, /No interrupted run to resume in this folder/);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonc, readConfigFile, resolveJobs, resolvePluginSpecs, selectJobs } from '../lib/config.js';
+import { runJobs } from '../lib/jobs.js';
+import { ConfigError } from '../lib/errors.js';
+import { makeTree, listFiles } from './helpers.js';
+
+const job = (options) => ({ src: 'src', ext: 'js', dest: 'out', targetExt: 'txt', ...options });
+
+test('parseJsonc allows comments and trailing commas, but not inside strings', () => {
+    const text = '\uFEFF{\n  // a comment\n  "url": "http://x/*y*/", /* block */\n  "list": [1, 2,],\n}\n';
+    assert.deepEqual(parseJsonc(text), { url: 'http://x/*y*/', list: [1, 2] });
+});
+
+test('parseJsonc reports the line and column of a syntax error', () => {
+    assert.throws(() => parseJsonc('{\n  // comment\n  "a": 1\n  "b": 2\n}'), (error) => {
+        assert.ok(error instanceof SyntaxError);
+        assert.equal(error.line, 4);
+        assert.equal(error.column, 3);
+        return true;
+    });
+});
+
+test('readConfigFile reads the shipped config.json with its comments', () => {
+    const config = readConfigFile(new URL('../config.json', import.meta.url).pathname);
+    assert.equal(config.src, 'lib,src');
+    assert.equal(config['dry-run'], false);
+});
+
+test('readConfigFile rejects files that are not a JSON object', async (t) => {
+    const tree = await makeTree({ 'list.json': '[1]', 'broken.json': '{\n  "a": 1\n  "b": 2\n}' });
+    t.after(tree.cleanup);
+
+    assert.throws(() => readConfigFile(tree.path('list.json')), { name: 'ConfigError', message: /must contain a JSON object/ });
+    assert.throws(() => readConfigFile(tree.path('broken.json')), { name: 'ConfigError', message: /Invalid JSON in .*broken\.json at line 3, column 3$/ });
+    assert.throws(() => readConfigFile(tree.path('missing.json')), { name: 'ConfigError', code: 'ECONFIG' });
+});
+
+test('resolveJobs merges the defaults into every job, with camelCase keys', () => {
+    const jobs = resolveJobs({
+        defaults: { 'target-ext': 'txt', layout: 'mirror' },
+        jobs: { docs: { src: 'docs', ext: 'md', dest: 'out/docs' }, flat: { src: 'lib', ext: ['js'], dest: 'out/lib', layout: 'flat' } }
+    });
+    assert.deepEqual(jobs, [
+        { name: 'docs', options: { targetExt: 'txt', layout: 'mirror', src: 'docs', ext: 'md', dest: 'out/docs' } },
+        { name: 'flat', options: { targetExt: 'txt', layout: 'flat', src: 'lib', ext: ['js'], dest: 'out/lib' } }
+    ]);
+});
+
+test('resolveJobs names the key of every invalid value', () => {
+    const invalid = (config, key, message) => assert.throws(() => resolveJobs(config, { file: 'copy-cli.json' }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.file, 'copy-cli.json');
+        assert.equal(error.key, key);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    invalid({ jobs: { a: job({ layout: 'tree' }) } }, 'jobs.a.layout', /^jobs\.a\.layout must be one of flat, mirror, prefixed$/);
+    invalid({ jobs: { a: job({ concurrency: 0 }) } }, 'jobs.a.concurrency', /whole number/);
+    invalid({ jobs: { a: job({ colour: true }) } }, 'jobs.a.colour', /is not a known option/);
+    invalid({ jobs: { a: job({ watch: true }) } }, 'jobs.a.watch', /cannot be set per job/);
+    invalid({ jobs: { a: job({ 'dry-run': true, dryRun: false }) } }, 'jobs.a.dryRun', /is set twice/);
+    invalid({ defaults: { overwrite: 'yes' }, jobs: { a: job() } }, 'defaults.overwrite', /must be true or false/);
+    invalid({ jobs: { a: { src: 'src', ext: 'js' } } }, 'jobs.a', /Job a is missing the required option dest/);
+    invalid({ jobs: {} }, 'jobs', /at least one job/);
+    invalid({ job: {}, jobs: { a: job() } }, 'job', /is not a known option/);
+});
+
+test('resolvePluginSpecs reads package names and objects with options, and names invalid keys', () => {
+    const plugins = ['copy-cli-plugin-foo', { name: './stamp.js', options: { format: 'iso' } }, { name: 'timestamp-plugin', enabled: false }];
+    assert.deepEqual(resolvePluginSpecs(plugins), [
+        { name: 'copy-cli-plugin-foo', options: {}, enabled: true },
+        { name: './stamp.js', options: { format: 'iso' }, enabled: true },
+        { name: 'timestamp-plugin', options: {}, enabled: false }
+    ]);
+    assert.deepEqual(resolvePluginSpecs(undefined), []);
+    // A jobs file may list plugins next to its jobs
+    assert.equal(resolveJobs({ plugins, jobs: { a: job() } }).length, 1);
+
+    const invalid = (value, key) => assert.throws(() => resolvePluginSpecs(value, { file: 'copy-cli.json' }), { name: 'ConfigError', file: 'copy-cli.json', key });
+    invalid('copy-cli-plugin-foo', 'plugins');
+    invalid([42], 'plugins[0]');
+    invalid(['a', { name: '' }], 'plugins[1].name');
+    invalid([{ name: 'a', options: [] }], 'plugins[0].options');
+    invalid([{ name: 'a', enabled: 'no' }], 'plugins[0].enabled');
+    invalid([{ name: 'a', option: {} }], 'plugins[0].option');
+});
+
+test('selectJobs keeps the order given, or takes every job with all', () => {
+    const jobs = resolveJobs({ jobs: { a: job(), b: job(), c: job() } });
+    assert.deepEqual(selectJobs(jobs, ['c', 'a', 'c']).map(j => j.name), ['c', 'a']);
+    assert.deepEqual(selectJobs(jobs, [], { all: true }).map(j => j.name), ['a', 'b', 'c']);
+    assert.throws(() => selectJobs(jobs, ['d']), { name: 'ConfigError', message: 'Unknown job d (available a, b, c)' });
+    assert.throws(() => selectJobs(jobs, []), { name: 'ConfigError', message: /use --all/ });
+});
+
+for (const parallel of [false, true]) {
+    test(`runJobs runs every job${parallel ? ' in parallel' : ''} and adds up the totals`, async (t) => {
+        const tree = await makeTree({ 'a/one.js': '1', 'a/two.js': '2', 'b/three.md': '3' });
+        t.after(tree.cleanup);
+        const started = [];
+
+        const outcome = await runJobs([
+            { name: 'scripts', options: job({ src: tree.path('a'), dest: tree.path('out/a') }) },
+            { name: 'docs', options: job({ src: tree.path('b'), ext: 'md', dest: tree.path('out/b') }) },
+            { name: 'broken', options: job({ dest: tree.path('out/c'), layout: 'tree' }) }
+        ], { parallel }, { onJobStart: ({ name }) => started.push(name) });
+
+        assert.deepEqual(started, ['scripts', 'docs', 'broken']);
+        assert.deepEqual(outcome.jobs.map(j => [j.name, j.result?.totals.copied ?? null]), [['scripts', 2], ['docs', 1], ['broken', null]]);
+        assert.equal(outcome.jobs[2].error.code, 'EOPTIONS');
+        assert.equal(outcome.totals.copied, 3);
+        assert.equal(outcome.failedJobs, 1);
+        assert.deepEqual(await listFiles(tree.path('out')), ['a/one.txt', 'a/two.txt', 'b/three.txt']);
+    });
+}
+
+test('parallel jobs may not write into the same destination', async (t) => {
+    const tree = await makeTree({ 'a/util.js': 'from a', 'b/util.js': 'from b', 'c/util.js': 'from c' });
+    t.after(tree.cleanup);
+    const jobs = [
+        { name: 'first', options: job({ src: tree.path('a'), dest: tree.path('out') }) },
+        { name: 'nested', options: job({ src: tree.path('b'), dest: tree.path('out/sub') }) },
+        { name: 'preview', options: job({ src: tree.path('c'), dest: tree.path('out'), dryRun: true }) }
+    ];
+
+    const outcome = await runJobs(jobs, { parallel: true });
+    assert.deepEqual(outcome.jobs.map(j => [j.name, j.result?.totals.copied ?? null]), [['first', 1], ['nested', null], ['preview', 1]]);
+    assert.equal(outcome.jobs[1].error.option, 'dest');
+    assert.match(outcome.jobs[1].error.message, /^Job nested writes into the destination of job first/);
+    assert.deepEqual(await listFiles(tree.path('out')), ['util.txt']);
+
+    // One after another, they may
+    const sequential = await runJobs(jobs.slice(0, 2), { parallel: false });
+    assert.equal(sequential.failedJobs, 0);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+    conflictTargetPath, createTargetReservations, decideConflict, isConflictTemplate, DEFAULT_CONFLICT_TEMPLATE
+} from '../lib/conflict.js';
+import { makeTree } from './helpers.js';
+
+const out = (name) => path.join('out', name);
+
+test('conflictTargetPath renders the rename template', () => {
+    assert.equal(conflictTargetPath(out('a.txt'), 1), out('a_1.txt'));
+    assert.equal(conflictTargetPath(out('a.txt'), 2, { template: '{name} ({n}).{ext}' }), out('a (2).txt'));
+    assert.equal(conflictTargetPath(out('types.d.ts'), 1, { targetExt: 'd.ts' }), out('types_1.d.ts'));
+    assert.equal(conflictTargetPath(out('README'), 1), out('README_1'));
+});
+
+test('a hash template falls back to _N when the hashed name is taken too', () => {
+    const hash = '0123456789abcdef';
+    assert.equal(conflictTargetPath(out('a.txt'), 1, { template: '{name}-{hash8}.{ext}', hash }), out('a-01234567.txt'));
+    assert.equal(conflictTargetPath(out('a.txt'), 2, { template: '{name}-{hash8}.{ext}', hash }), out('a-01234567_1.txt'));
+    assert.equal(conflictTargetPath(out('a.txt'), 1, { template: '{name}.{hash:4}.{ext}', hash }), out('a.0123.txt'));
+});
+
+test('isConflictTemplate needs a varying token and no folders', () => {
+    assert.ok(isConflictTemplate(DEFAULT_CONFLICT_TEMPLATE));
+    assert.ok(isConflictTemplate('{name}-{hash8}.{ext}'));
+    assert.ok(!isConflictTemplate('{name}-copy.{ext}'));
+    assert.ok(!isConflictTemplate('old/{name}_{n}.{ext}'));
+});
+
+test('a reserved target cannot be claimed by another source', () => {
+    const reservations = createTargetReservations();
+    assert.ok(reservations.claim(out('a.txt'), 'src/a.js'));
+    assert.ok(reservations.claim(out('a.txt'), 'src/a.js'), 'the owner may claim again');
+    assert.ok(!reservations.claim(path.resolve(out('a.txt')), 'lib/a.js'));
+    reservations.release(out('a.txt'));
+    assert.ok(reservations.claim(out('a.txt'), 'lib/a.js'));
+});
+
+test('newer and larger compare the source with the existing target', async (t) => {
+    const tree = await makeTree({ 'source.txt': 'longer content', 'target.txt': 'short' });
+    t.after(tree.cleanup);
+    const [source, target] = [tree.path('source.txt'), tree.path('target.txt')];
+    await fs.utimes(target, new Date('2020-01-01'), new Date('2020-01-01'));
+
+    assert.equal(await decideConflict('newer', source, target), 'overwrite');
+    assert.equal(await decideConflict('larger', source, target), 'overwrite');
+    assert.equal(await decideConflict('larger', target, source), 'skip');
+    await fs.utimes(target, new Date('2030-01-01'), new Date('2030-01-01'));
+    assert.equal(await decideConflict('newer', source, target), 'skip');
+    assert.equal(await decideConflict('fail', source, target), 'fail');
+});
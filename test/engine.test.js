@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { planCopy, runCopy, OptionsError, CopyCliError } from '../lib/api.js';
+import { renamedTargetPath } from '../lib/layout.js';
+import { makeTree, listFiles } from './helpers.js';
+
+test('renamedTargetPath adds _N in front of the target extension', () => {
+    assert.equal(renamedTargetPath(path.join('out', 'a.txt'), 1, 'txt'), path.join('out', 'a_1.txt'));
+    assert.equal(renamedTargetPath(path.join('out', 'types.d.ts'), 2, 'd.ts'), path.join('out', 'types_2.d.ts'));
+    assert.equal(renamedTargetPath(path.join('out', 'v1.2.txt'), 3), path.join('out', 'v1.2_3.txt'));
+    assert.equal(renamedTargetPath(path.join('out', 'README'), 1), path.join('out', 'README_1'));
+});
+
+test('an existing target is renamed to _1, then _2, without --overwrite', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'new', 'out/a.txt': 'old', 'out/a_1.txt': 'older' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') });
+    assert.deepEqual(result.totals, { total: 1, copied: 0, renamed: 1, updated: 0, skipped: 0, deleted: 0, failed: 0 });
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'a_1.txt', 'a_2.txt']);
+    assert.equal(await fs.readFile(tree.path('out', 'a.txt'), 'utf8'), 'old');
+    assert.equal(await fs.readFile(tree.path('out', 'a_2.txt'), 'utf8'), 'new');
+});
+
+test('two sources with the same name get distinct targets', async (t) => {
+    const tree = await makeTree({ 'a/util.js': 'from a', 'b/util.js': 'from b' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({ src: [tree.path('a'), tree.path('b')], ext: 'js', targetExt: 'txt', dest: tree.path('out'), concurrency: 1 });
+    assert.equal(result.totals.copied, 1);
+    assert.equal(result.totals.renamed, 1);
+    assert.deepEqual(await listFiles(tree.path('out')), ['util.txt', 'util_1.txt']);
+    assert.equal(await fs.readFile(tree.path('out', 'util.txt'), 'utf8'), 'from a');
+    assert.equal(await fs.readFile(tree.path('out', 'util_1.txt'), 'utf8'), 'from b');
+});
+
+test('concurrent copies of same-named sources never share a target', async (t) => {
+    const files = Object.fromEntries(Array.from({ length: 8 }, (_, i) => [`s${i}/util.js`, `from ${i}`]));
+    const tree = await makeTree({ ...files, 'out/util.txt': 'old' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({
+        src: Object.keys(files).map(f => tree.path(path.dirname(f))), ext: 'js', targetExt: 'txt', dest: tree.path('out'), concurrency: 8
+    });
+    assert.equal(result.totals.renamed, 8);
+    const contents = await Promise.all((await listFiles(tree.path('out'))).map(f => fs.readFile(tree.path('out', f), 'utf8')));
+    assert.deepEqual(contents.sort(), ['old', ...Object.values(files)].sort());
+});
+
+test('--overwrite replaces an existing target', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'new', 'out/a.txt': 'old' });
+    t.after(tree.cleanup);
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), overwrite: true });
+    assert.equal(result.totals.copied, 1);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt']);
+    assert.equal(await fs.readFile(tree.path('out', 'a.txt'), 'utf8'), 'new');
+});
+
+test('--on-conflict skip, fail and ask', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'new', 'src/b.js': 'new', 'out/a.txt': 'old', 'out/b.txt': 'old' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+
+    const skipped = await runCopy({ ...options, onConflict: 'skip' });
+    assert.equal(skipped.totals.skipped, 2);
+    assert.equal(await fs.readFile(tree.path('out', 'a.txt'), 'utf8'), 'old');
+
+    const failed = await runCopy({ ...options, onConflict: 'fail' });
+    assert.equal(failed.totals.failed, 2);
+    assert.match(failed.errors[0].error, /Target already exists/);
+
+    const asked = [];
+    const result = await runCopy({ ...options, onConflict: 'ask' }, {
+        resolveConflict: async ({ source, target }) => {
+            asked.push(path.basename(target));
+            return source.endsWith('a.js') ? 'overwrite' : 'rename';
+        }
+    });
+    assert.deepEqual(asked.sort(), ['a.txt', 'b.txt']);
+    assert.deepEqual([result.totals.copied, result.totals.renamed], [1, 1]);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt', 'b_1.txt']);
+    assert.equal(await fs.readFile(tree.path('out', 'a.txt'), 'utf8'), 'new');
+
+    await assert.rejects(runCopy({ ...options, onConflict: 'ask' }), { code: 'EOPTIONS', option: 'onConflict' });
+    await assert.rejects(runCopy({ ...options, overwrite: true, onConflict: 'skip' }), { code: 'EOPTIONS', option: 'onConflict' });
+});
+
+test('a dry run reports collisions and writes nothing', async (t) => {
+    const tree = await makeTree({ 'src/a.js': '1', 'src/b.js': '22', 'out/a.txt': 'old' });
+    t.after(tree.cleanup);
+
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+    const plan = await planCopy(options);
+    assert.deepEqual(plan.entries.map(e => [path.basename(e.file), e.status, e.collides, e.conflict, e.size]), [
+        ['a.js', 'renamed', true, 'rename', 1], ['b.js', 'copied', false, null, 2]
+    ]);
+    assert.deepEqual((await planCopy({ ...options, onConflict: 'skip' })).totals.skipped, 1);
+    assert.deepEqual((await planCopy({ ...options, overwrite: true })).entries.map(e => e.status), ['copied', 'copied']);
+
+    const result = await runCopy({ ...options, dryRun: true });
+    assert.equal(result.dryRun, true);
+    assert.equal(result.plan.length, 2);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt']);
+});
+
+test('failed files are collected in errors while the other files are copied', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c' });
+    t.after(tree.cleanup);
+    // A directory sitting at a target path makes that one copy fail
+    await fs.mkdir(tree.path('out', 'b.txt'), { recursive: true });
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), overwrite: true });
+    assert.equal(result.totals.copied, 2);
+    assert.equal(result.totals.failed, 1);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0].file, /b\.js$/);
+    assert.equal(result.files.find(f => f.status === 'failed').source.endsWith('b.js'), true);
+});
+
+test('invalid options throw an OptionsError naming the option', async () => {
+    await assert.rejects(runCopy({ ext: 'js', targetExt: 'txt', dest: 'out' }), (error) => {
+        assert.ok(error instanceof OptionsError);
+        assert.ok(error instanceof CopyCliError);
+        assert.equal(error.code, 'EOPTIONS');
+        assert.equal(error.option, 'src');
+        return true;
+    });
+    await assert.rejects(runCopy({ src: 'src', ext: 'js', targetExt: 'txt', dest: 'out', layout: 'nested' }), { code: 'EOPTIONS', option: 'layout' });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { planCopy, runCopy } from '../lib/api.js';
+import { parseWhen } from '../lib/filters.js';
+import { makeTree, listFiles, runCli } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('parseWhen reads durations, dates and reference files', async (t) => {
+    const tree = await makeTree({ 'ref.txt': '' });
+    t.after(tree.cleanup);
+    await fs.utimes(tree.path('ref.txt'), new Date(2024, 5, 1), new Date(2024, 5, 1));
+
+    assert.deepEqual(parseWhen('7d', { now: 10 * DAY }), { time: 3 * DAY, kind: 'duration' });
+    assert.deepEqual(parseWhen('12h', { now: DAY }), { time: DAY / 2, kind: 'duration' });
+    assert.deepEqual(parseWhen('2025-01-31'), { time: new Date(2025, 0, 31).getTime(), kind: 'date' });
+    assert.deepEqual(parseWhen('2025-01-31T08:30:00Z'), { time: Date.UTC(2025, 0, 31, 8, 30), kind: 'date' });
+    assert.deepEqual(parseWhen(tree.path('ref.txt')), { time: new Date(2024, 5, 1).getTime(), kind: 'file' });
+    for (const invalid of ['', 'soon', '7y', '2025-02-30', tree.path('missing.txt')]) assert.equal(parseWhen(invalid), null, invalid);
+});
+
+test('size, date and content filters narrow the search and count what they removed', async (t) => {
+    const tree = await makeTree({
+        'src/empty.js': '', 'src/big.js': 'x'.repeat(4096),
+        'src/old.js': '// @public\nold', 'src/public.js': 'const a = 1;\n/** @public */\nexport { a };', 'src/private.js': 'const b = 2;',
+        'release.txt': ''
+    });
+    t.after(tree.cleanup);
+    const old = new Date(Date.now() - 30 * DAY);
+    const release = new Date(Date.now() - 10 * DAY);
+    await fs.utimes(tree.path('src/old.js'), old, old);
+    await fs.utimes(tree.path('release.txt'), release, release);
+
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+    const plan = await planCopy({ ...options, minSize: 1, maxSize: '1KB', newerThan: '7d', contains: '@public' });
+    assert.deepEqual(plan.entries.map(e => e.target), [tree.path('out/public.txt')]);
+    assert.deepEqual(plan.filtered, [
+        { filter: '--min-size 1', removed: 1 },
+        { filter: '--max-size 1KB', removed: 1 },
+        { filter: '--newer-than 7d', removed: 1 },
+        { filter: '--contains @public', removed: 1 }
+    ]);
+    assert.deepEqual(plan.excluded.map(e => e.rule), ['--max-size 1KB', '--min-size 1', '--newer-than 7d', '--contains @public']);
+
+    // Only the files changed before the release file
+    const result = await runCopy({ ...options, olderThan: tree.path('release.txt') });
+    assert.deepEqual(await listFiles(tree.path('out')), ['old.txt']);
+    assert.deepEqual(result.filtered, [{ filter: `--older-than ${tree.path('release.txt')}`, removed: 4 }]);
+    assert.equal(result.options.olderThan, tree.path('release.txt'));
+});
+
+test('the dry run prints how many files each filter removed', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'TODO: later', 'src/b.js': 'done', 'src/c.js': '' });
+    t.after(tree.cleanup);
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--dry-run', '--min-size', '1', '--contains', '^TODO'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /Copy: src\/a\.js → out\/a\.txt/);
+    assert.match(stdout, /--min-size 1 removed 1 file\(s\)\n--contains \^TODO removed 1 file\(s\)/);
+});
+
+test('invalid filter options are rejected before anything runs', async () => {
+    const options = { src: 'src', ext: 'js', targetExt: 'txt', dest: 'out' };
+    await assert.rejects(runCopy({ ...options, maxSize: 'huge' }), { code: 'EOPTIONS', option: 'maxSize', message: '--max-size must be a size like 50MB, got huge' });
+    await assert.rejects(runCopy({ ...options, minSize: '2MB', maxSize: '1MB' }), { option: 'minSize' });
+    await assert.rejects(runCopy({ ...options, newerThan: 'last week' }), { option: 'newerThan', message: /--newer-than must be a date like 2025-01-31/ });
+    await assert.rejects(runCopy({ ...options, contains: '(' }), { option: 'contains', message: /Invalid regular expression for --contains/ });
+});
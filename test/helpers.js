@@ -0,0 +1,85 @@
+/**
+ * Shared helpers for the copy-cli test suite.
+ *
+ * Every test works inside its own temporary directory, created with `makeTree`
+ * and removed by the returned `cleanup` function, so tests never touch the repo.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const CLI = path.join(REPO_ROOT, 'index.js');
+
+/**
+ * Create a temporary directory holding the given files.
+ *
+ * @param {Record<string, string>} files Relative path -> content.
+ * @returns {Promise<{ dir: string, path: (...parts: string[]) => string, cleanup: () => Promise<void> }>}
+ */
+export async function makeTree(files = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'copy-cli-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        const file = path.join(dir, name);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, content);
+    }
+    return {
+        dir,
+        path: (...parts) => path.join(dir, ...parts),
+        cleanup: () => fs.rm(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * List the files below a directory as sorted, forward-slash relative paths.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export async function listFiles(dir) {
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)).replace(/\\/g, '/'))
+        .sort();
+}
+
+/**
+ * Run the CLI with piped stdio (so it never sees a TTY), in English and without
+ * the undo journal. Resolves with the exit code and the captured output.
+ *
+ * @param {string[]} args
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {string} [options.input]   Written to stdin, which is then closed.
+ * @param {number} [options.timeout] Milliseconds before the process is killed.
+ * @param {Record<string, string>} [options.env] Extra environment variables.
+ * @returns {Promise<{ code: number|null, stdout: string, stderr: string }>}
+ */
+export function runCli(args, { cwd, input = '', timeout = 20000, env = {} }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, '--lang', 'en', '--no-journal', ...args], {
+            cwd,
+            stdio: ['pipe', 'pipe', 'pipe'],
+            // NO_UPDATE_NOTIFIER keeps the update check from reaching the network
+            env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '0', NO_UPDATE_NOTIFIER: '1', ...env }
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`copy-cli ${args.join(' ')} did not exit within ${timeout}ms\n${stdout}${stderr}`));
+        }, timeout);
+        child.on('error', reject);
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ code, stdout, stderr });
+        });
+        child.stdin.end(input);
+    });
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createJournal } from '../lib/journal.js';
+import { undoRun } from '../lib/api.js';
+import { makeTree } from './helpers.js';
+
+test('undo puts back a link that was written over, as a link', async (t) => {
+    const tree = await makeTree({ 'src/a.txt': 'new', 'out/other.txt': 'other' });
+    t.after(tree.cleanup);
+    const journalDir = tree.path('journal');
+    await fs.symlink('missing.txt', tree.path('out/dangling.txt'));
+    await fs.symlink('other.txt', tree.path('out/a.txt'));
+
+    const journal = await createJournal({ journalDir, options: {} });
+    for (const name of ['a.txt', 'dangling.txt']) {
+        await journal.beforeWrite(tree.path(`out/${name}`), tree.path('src/a.txt'));
+        await fs.rm(tree.path(`out/${name}`));
+        await fs.copyFile(tree.path('src/a.txt'), tree.path(`out/${name}`));
+    }
+    await journal.finish({});
+
+    const result = await undoRun(journalDir);
+    assert.deepEqual([result.status, result.restored, result.failures], ['complete', 2, []]);
+    assert.equal(await fs.readlink(tree.path('out/a.txt')), 'other.txt');
+    assert.equal(await fs.readlink(tree.path('out/dangling.txt')), 'missing.txt');
+    assert.equal(await fs.readFile(tree.path('out/other.txt'), 'utf8'), 'other');
+});
+
+test('a bare undo takes the latest complete run, and only then a run that is not complete', async (t) => {
+    const tree = await makeTree({ 'src/a.txt': 'a' });
+    t.after(tree.cleanup);
+    const journalDir = tree.path('journal');
+    const complete = await createJournal({ journalDir, options: {}, runId: '20250101-120000-aaaa' });
+    await complete.created(tree.path('out/a.txt'), tree.path('src/a.txt'));
+    await complete.finish({});
+    // A later run that was cut short
+    const interrupted = await createJournal({ journalDir, options: {}, runId: '20250102-120000-bbbb' });
+    await interrupted.created(tree.path('out/b.txt'), tree.path('src/a.txt'));
+
+    assert.deepEqual(await undoRun(journalDir), { runId: '20250101-120000-aaaa', status: 'complete', removed: 1, restored: 0, failures: [] });
+    const next = await undoRun(journalDir);
+    assert.deepEqual([next.runId, next.status], ['20250102-120000-bbbb', 'running']);
+    await assert.rejects(undoRun(journalDir), /No run to undo/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { REPO_ROOT, listFiles } from './helpers.js';
+
+const LOCALES = ['en', 'fr', 'es', 'ar'];
+
+const readLocale = async (locale) => JSON.parse(await fs.readFile(path.join(REPO_ROOT, 'locales', `${locale}.json`), 'utf8'));
+
+// Placeholders of a message, e.g. ['%s', '%d']; plural messages count their `other` form
+const placeholders = (value) => (typeof value === 'object' ? value.other : value).match(/%[sdj]/g) ?? [];
+
+// Every string literal passed to i18n.__() or i18n.__n() in the CLI, the library and the bundled plugins
+async function usedKeys() {
+    const files = ['index.js',
+        ...(await listFiles(path.join(REPO_ROOT, 'lib'))).map(f => path.join('lib', f)),
+        ...(await listFiles(path.join(REPO_ROOT, 'plugins'))).map(f => path.join('plugins', f))
+    ].filter(f => f.endsWith('.js'));
+    const keys = new Set();
+    for (const file of files) {
+        const source = await fs.readFile(path.join(REPO_ROOT, file), 'utf8');
+        for (const match of source.matchAll(/\b__n?\(\s*'((?:[^'\\]|\\.)*)'/g)) {
+            keys.add(match[1].replace(/\\'/g, '\''));
+        }
+    }
+    return keys;
+}
+
+test('all locales have the same keys as en', async () => {
+    const en = Object.keys(await readLocale('en')).sort();
+    for (const locale of LOCALES.slice(1)) {
+        assert.deepEqual(Object.keys(await readLocale(locale)).sort(), en, `${locale}.json keys differ from en.json`);
+    }
+});
+
+test('every message used in the code exists in every locale', async () => {
+    const keys = await usedKeys();
+    assert.ok(keys.size > 50, 'expected to find the messages used in the code');
+    for (const locale of LOCALES) {
+        const messages = await readLocale(locale);
+        const missing = [...keys].filter(key => !(key in messages));
+        assert.deepEqual(missing, [], `${locale}.json is missing keys`);
+    }
+});
+
+test('translations keep the placeholders of their key', async () => {
+    for (const locale of LOCALES) {
+        const messages = await readLocale(locale);
+        for (const [key, value] of Object.entries(messages)) {
+            assert.deepEqual(placeholders(value), key.match(/%[sdj]/g) ?? [], `${locale}.json: "${key}"`);
+            if (typeof value === 'object') assert.ok(value.one && value.other, `${locale}.json: "${key}" needs one and other forms`);
+        }
+    }
+});
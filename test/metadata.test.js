@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { planCopy, runCopy } from '../lib/api.js';
+import { preserveMetadata } from '../lib/metadata.js';
+import { makeTree, runCli } from './helpers.js';
+
+const OLD = new Date('2020-02-03T04:05:06Z');
+
+// Sources with a mode and times no new file gets by default
+async function makeSources(files) {
+    const tree = await makeTree(files);
+    for (const name of Object.keys(files)) {
+        await fs.chmod(tree.path(name), 0o751);
+        await fs.utimes(tree.path(name), OLD, OLD);
+    }
+    return tree;
+}
+
+test('--preserve keeps times and mode on every way a target is written, renamed ones too', async (t) => {
+    const tree = await makeSources({ 'src/plain.js': 'plain', 'src/big.js': 'b'.repeat(4096), 'src/taken.js': 'taken' });
+    t.after(tree.cleanup);
+    await fs.mkdir(tree.path('out'));
+    await fs.writeFile(tree.path('out/taken.txt'), 'someone else');
+
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', preserve: 'timestamps,mode' };
+    const variants = [
+        { dest: tree.path('out') },
+        { dest: tree.path('transformed'), transform: 'eol=lf' },
+        { dest: tree.path('streamed'), streamThreshold: '1KB' },
+        { dest: tree.path('limited'), maxRate: '1MB/s' }
+    ];
+    for (const variant of variants) {
+        const result = await runCopy({ ...options, ...variant });
+        assert.deepEqual(result.errors, []);
+        assert.deepEqual(result.options.preserve, ['timestamps', 'mode']);
+        for (const { target } of result.files) {
+            const stat = await fs.stat(target);
+            assert.equal(stat.mode & 0o7777, 0o751, target);
+            assert.equal(stat.mtime.getTime(), OLD.getTime(), target);
+        }
+    }
+    assert.deepEqual((await fs.readdir(tree.path('out'))).sort(), ['big.txt', 'plain.txt', 'taken.txt', 'taken_1.txt']);
+    assert.equal((await fs.stat(tree.path('out/taken.txt'))).mode & 0o7777, 0o644 & ~process.umask());
+});
+
+test('preserveMetadata keeps the owner and changes a link, not the file it points to', async (t) => {
+    const tree = await makeSources({ 'a.txt': 'a', 'b.txt': 'b' });
+    t.after(tree.cleanup);
+    const now = new Date();
+    await fs.chmod(tree.path('b.txt'), 0o600);
+    await fs.utimes(tree.path('b.txt'), now, now);
+    await fs.symlink('b.txt', tree.path('link.txt'));
+    const source = await fs.stat(tree.path('a.txt'));
+
+    assert.deepEqual(await preserveMetadata(tree.path('link.txt'), source, { timestamps: true, mode: true, ownership: true, link: true }), { ownership: true });
+    const [link, file] = await Promise.all([fs.lstat(tree.path('link.txt')), fs.stat(tree.path('b.txt'))]);
+    assert.deepEqual([link.mtime.getTime(), link.uid], [OLD.getTime(), source.uid]);
+    assert.deepEqual([file.mtime.getTime(), file.mode & 0o7777], [now.getTime(), 0o600]);
+});
+
+test('--symlinks follows, copies or skips the links the search finds', async (t) => {
+    const tree = await makeTree({ 'src/real/a.js': 'a', 'other/o.js': 'o' });
+    t.after(tree.cleanup);
+    await fs.symlink('real/a.js', tree.path('src/link.js'));
+    await fs.symlink('../other', tree.path('src/linked'));
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', layout: 'mirror' };
+
+    // By default links are followed, and the plan says which files came through one
+    const followed = await planCopy({ ...options, dest: tree.path('followed') });
+    assert.deepEqual(followed.entries.map(e => [e.target.slice(tree.dir.length + 1), e.link]), [
+        ['followed/link.txt', true], ['followed/linked/o.txt', true], ['followed/real/a.txt', false]
+    ]);
+    assert.equal(followed.options.symlinks, 'follow');
+
+    // copy-link recreates links with their text, without searching linked folders
+    const copied = await runCopy({ ...options, dest: tree.path('copied'), symlinks: 'copy-link', preserve: 'timestamps' });
+    assert.deepEqual(copied.errors, []);
+    assert.deepEqual(copied.files.map(f => path.relative(tree.dir, path.resolve(f.target))).sort(), ['copied/link.txt', 'copied/real/a.txt']);
+    assert.equal(await fs.readlink(tree.path('copied/link.txt')), 'real/a.js');
+    // ...and --sync sees an identical link as unchanged
+    const synced = await runCopy({ ...options, dest: tree.path('copied'), symlinks: 'copy-link', sync: true });
+    assert.deepEqual(synced.files.map(f => f.status), ['skipped', 'skipped']);
+
+    const skipped = await planCopy({ ...options, dest: tree.path('skipped'), symlinks: 'skip' });
+    assert.deepEqual(skipped.entries.map(e => e.file), [tree.path('src/real/a.js')]);
+    assert.deepEqual(skipped.excluded.map(e => [e.file, e.rule]), [[tree.path('src/link.js'), '--symlinks skip']]);
+});
+
+test('the dry run reports preserved attributes and links', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+    await fs.symlink('a.js', tree.path('src/b.js'));
+
+    const { code, stdout } = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--dry-run', '--preserve', 'mode,timestamps', '--symlinks', 'copy-link'], { cwd: tree.dir });
+    assert.equal(code, 0);
+    assert.match(stdout, /Source attributes kept by the targets timestamps, mode/);
+    assert.match(stdout, /1 symbolic link\(s\) found \(--symlinks copy-link\)/);
+    assert.match(stdout, /Copy: src\/b\.js → out\/b\.txt \[Link\] would recreate the link/);
+    assert.doesNotMatch(stdout, /a\.txt \[Link\]/);
+});
+
+test('invalid --preserve and --symlinks values are rejected before anything runs', async () => {
+    const options = { src: 'src', ext: 'js', targetExt: 'txt', dest: 'out' };
+    await assert.rejects(runCopy({ ...options, preserve: 'mode,acl' }), {
+        option: 'preserve', message: 'Unknown attribute acl in --preserve (available timestamps, mode, ownership)'
+    });
+    await assert.rejects(runCopy({ ...options, symlinks: 'hard' }), { option: 'symlinks' });
+    await assert.rejects(runCopy({ ...options, dest: 'out.zip', preserve: 'ownership' }), { option: 'preserve' });
+    await assert.rejects(runCopy({ ...options, dest: 'out.tar', symlinks: 'copy-link' }), { option: 'symlinks' });
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import util from 'util';
+import path from 'path';
+import { loadPlugins, findPlugins, installPlugins, userConfigDir } from '../lib/plugins.js';
+import { createHookRegistry } from '../lib/hooks.js';
+import { createTransformRegistry } from '../lib/transforms.js';
+import { runCopy } from '../lib/engine.js';
+import { makeTree, runCli } from './helpers.js';
+
+// Logger recording every call, and an i18n stand-in that only formats
+function createContext() {
+    const logged = [];
+    const logger = Object.fromEntries(['error', 'warn', 'info', 'verbose', 'debug']
+        .map(level => [level, (...args) => logged.push({ level, message: args[0] })]));
+    const i18n = { __: (message, ...args) => util.format(message, ...args) };
+    return { logged, logger, i18n, argv: {}, hooks: createHookRegistry({ logger, i18n }), transforms: createTransformRegistry() };
+}
+
+test('loadPlugins loads good plugins and skips broken ones without throwing', async (t) => {
+    const tree = await makeTree({
+        'plugins/a-good.js': `
+            export function install({ hooks, transforms }) {
+                hooks.on('filterFile', ({ file }) => !file.endsWith('skip.js'));
+                transforms.register('shout', (content) => content.toString().toUpperCase());
+            }`,
+        'plugins/b-no-install.mjs': 'export const name = "nothing to install";',
+        'plugins/c-throws.js': 'export async function install() { throw new Error("boom"); }',
+        'plugins/d-syntax.js': 'export function install( {',
+        'plugins/readme.txt': 'not a plugin'
+    });
+    t.after(tree.cleanup);
+    const context = createContext();
+
+    const results = await loadPlugins(tree.path('plugins'), context);
+    assert.deepEqual(results.map(({ name, status }) => [name, status]), [
+        ['a-good.js', 'loaded'], ['b-no-install.mjs', 'no-install'], ['c-throws.js', 'failed'], ['d-syntax.js', 'failed']
+    ]);
+    assert.equal(results[2].error, 'boom');
+    assert.ok(context.logged.some(({ level, message }) => level === 'warn' && message.includes('b-no-install.mjs')));
+    assert.equal(context.logged.filter(({ level }) => level === 'error').length, 2);
+});
+
+test('hooks and transforms registered by a plugin apply to the run', async (t) => {
+    const tree = await makeTree({
+        'plugins/shout.js': `
+            export function install({ hooks, transforms }) {
+                hooks.on('filterFile', ({ file }) => !file.endsWith('skip.js'));
+                transforms.register('shout', (content) => content.toString().toUpperCase());
+            }`,
+        'src/keep.js': 'hello',
+        'src/skip.js': 'ignored'
+    });
+    t.after(tree.cleanup);
+    const { logger, i18n, argv, hooks, transforms } = createContext();
+    await loadPlugins(tree.path('plugins'), { logger, i18n, argv, hooks, transforms });
+
+    const result = await runCopy(
+        { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), transform: ['shout'] },
+        { logger, i18n, hooks, transforms }
+    );
+    assert.equal(result.totals.copied, 1);
+    assert.deepEqual(result.plan.map(e => e.target), [tree.path('out', 'keep.txt')]);
+    assert.equal(await fs.readFile(tree.path('out', 'keep.txt'), 'utf8'), 'HELLO');
+});
+
+test('a target a plugin moves outside the destination is refused before copying', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+    for (const moved of ['../../etc/x', tree.path('elsewhere/a.txt'), tree.path('out')]) {
+        const { logger, i18n, hooks } = createContext();
+        hooks.forPlugin('mover').on('transformPath', () => moved);
+        await assert.rejects(runCopy(options, { logger, i18n, hooks }), { name: 'PlanError', message: /, outside the destination$/ });
+    }
+    assert.deepEqual((await fs.readdir(tree.dir)).sort(), ['out', 'src']);
+    assert.deepEqual(await fs.readdir(tree.path('out')), []);
+
+    // A target moved within the destination is fine
+    const { logger, i18n, hooks } = createContext();
+    hooks.forPlugin('mover').on('transformPath', ({ target }) => target.replace('a.txt', 'sub/b.txt'));
+    const result = await runCopy(options, { logger, i18n, hooks });
+    assert.equal(await fs.readFile(tree.path('out/sub/b.txt'), 'utf8'), 'a');
+    assert.equal(result.totals.copied, 1);
+});
+
+test('loadPlugins returns nothing for a missing or empty plugins folder', async (t) => {
+    const tree = await makeTree();
+    t.after(tree.cleanup);
+    assert.deepEqual(await loadPlugins(tree.path('missing'), createContext()), []);
+});
+
+test('plugins are found in every folder and in the config, each with its own options', async (t) => {
+    const plugin = (label) => `export function install({ options, transforms }) { transforms.register('${label}', () => JSON.stringify(options)); }`;
+    const tree = await makeTree({
+        'bundled/a.js': plugin('a'),
+        'user/b.mjs': plugin('b'),
+        'project/c.js': plugin('c'),
+        'project/off.js': 'throw new Error("never imported");',
+        'tools/local.js': plugin('local'),
+        'node_modules/copy-cli-plugin-main/package.json': '{ "name": "copy-cli-plugin-main", "type": "module", "main": "main.js" }',
+        'node_modules/copy-cli-plugin-main/main.js': plugin('main'),
+        // Without a `require` entry point, only the `import` one
+        'node_modules/copy-cli-plugin-esm/package.json': '{ "name": "copy-cli-plugin-esm", "exports": { ".": { "import": "./esm.mjs" } } }',
+        'node_modules/copy-cli-plugin-esm/esm.mjs': plugin('esm')
+    });
+    t.after(tree.cleanup);
+    const context = createContext();
+
+    const found = await findPlugins({
+        folders: [{ dir: tree.path('bundled'), source: 'bundled' }, { dir: tree.path('user'), source: 'user' }, { dir: tree.path('project'), source: 'project' }],
+        specs: [
+            { name: 'copy-cli-plugin-main', options: { level: 2 } }, { name: 'copy-cli-plugin-esm' }, { name: 'copy-cli-plugin-missing' },
+            { name: './tools/local.js', options: { local: true } }, { name: 'c', options: { from: 'config' } }, { name: 'off', enabled: false }
+        ],
+        configDir: tree.dir,
+        resolveFrom: [tree.dir]
+    }, context);
+    const results = await installPlugins(found, context);
+    assert.deepEqual(results.map(({ name, source, status }) => [name, source, status]), [
+        ['a.js', 'bundled', 'loaded'], ['b.mjs', 'user', 'loaded'], ['c.js', 'project', 'loaded'], ['off.js', 'project', 'disabled'],
+        ['copy-cli-plugin-main', 'config', 'loaded'], ['copy-cli-plugin-esm', 'config', 'loaded'],
+        ['copy-cli-plugin-missing', 'config', 'failed'], ['./tools/local.js', 'config', 'loaded']
+    ]);
+    assert.deepEqual(results[6], { name: 'copy-cli-plugin-missing', source: 'config', file: null, status: 'failed', error: 'Cannot find package copy-cli-plugin-missing' });
+    assert.equal(results[5].file, tree.path('node_modules/copy-cli-plugin-esm/esm.mjs'));
+
+    const output = async (name) => (await context.transforms.get(name)(Buffer.from(''))).toString();
+    assert.equal(await output('c'), '{"from":"config"}');
+    assert.equal(await output('main'), '{"level":2}');
+    assert.equal(await output('local'), '{"local":true}');
+    assert.equal(await output('a'), '{}');
+
+    // --no-plugins finds them all but loads none
+    const disabled = await installPlugins(found, { ...createContext(), enabled: false });
+    assert.ok(disabled.every(({ status }) => status === 'disabled'));
+});
+
+test('userConfigDir follows the platform conventions', () => {
+    assert.equal(userConfigDir({ env: {}, platform: 'linux', home: '/home/ana' }), path.join('/home/ana', '.config', 'copy-cli'));
+    assert.equal(userConfigDir({ env: { XDG_CONFIG_HOME: '/cfg' }, platform: 'darwin', home: '/Users/ana' }), path.join('/cfg', 'copy-cli'));
+    assert.equal(userConfigDir({ env: { APPDATA: 'C:\\Users\\ana\\AppData\\Roaming' }, platform: 'win32', home: 'C:\\Users\\ana' }),
+        path.join('C:\\Users\\ana\\AppData\\Roaming', 'copy-cli'));
+});
+
+test('copy-cli plugins list shows where each plugin comes from and whether it loaded', async (t) => {
+    const tree = await makeTree({
+        '.copy-cli/plugins/shout.js': `export function install({ transforms, options }) { transforms.register('shout', (c) => c.toString().toUpperCase() + options.end); }`,
+        'xdg/copy-cli/plugins/broken.js': 'export function install() { throw new Error("boom"); }',
+        'copy-cli.json': JSON.stringify({ plugins: [{ name: 'shout', options: { end: '!' } }, 'copy-cli-plugin-missing'] }),
+        'src/a.js': 'hi'
+    });
+    t.after(tree.cleanup);
+    const env = { XDG_CONFIG_HOME: tree.path('xdg') };
+
+    const { code, stdout } = await runCli(['plugins', 'list'], { cwd: tree.dir, env });
+    assert.equal(code, 0);
+    assert.match(stdout, /shout\.js  \.copy-cli\/plugins  loaded\n    \.copy-cli\/plugins\/shout\.js/);
+    assert.match(stdout, /broken\.js  user config folder  failed\n    xdg\/copy-cli\/plugins\/broken\.js  boom/);
+    assert.match(stdout, /copy-cli-plugin-missing  copy-cli\.json  failed\n    Cannot find package copy-cli-plugin-missing/);
+
+    const listed = JSON.parse((await runCli(['plugins', 'list', '--json', '--no-plugins'], { cwd: tree.dir, env })).stdout);
+    assert.ok(listed.every(({ status }) => status === 'disabled'));
+
+    // The project plugin's transform, with its options, is there for a copy
+    const copy = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--transform', 'shout'], { cwd: tree.dir, env });
+    assert.equal(copy.code, 0);
+    assert.equal(await fs.readFile(tree.path('out/a.txt'), 'utf8'), 'HI!');
+});
+
+test('plugins of the project folder only load with --project-plugins or an entry in the config file', async (t) => {
+    const tree = await makeTree({
+        '.copy-cli/plugins/stamp.js': `import fs from 'fs'; export function install() { fs.writeFileSync('stamped', ''); }`,
+        'xdg/.keep': ''
+    });
+    t.after(tree.cleanup);
+    const env = { XDG_CONFIG_HOME: tree.path('xdg') };
+
+    const { code, stdout } = await runCli(['plugins', 'list'], { cwd: tree.dir, env });
+    assert.equal(code, 0);
+    assert.match(stdout, /stamp\.js  \.copy-cli\/plugins  disabled\n    \.copy-cli\/plugins\/stamp\.js  Not loaded without --project-plugins or an entry in the config file/);
+    await assert.rejects(fs.access(tree.path('stamped')));
+
+    const listed = JSON.parse((await runCli(['plugins', 'list', '--json', '--project-plugins'], { cwd: tree.dir, env })).stdout);
+    assert.deepEqual(listed.filter(({ source }) => source === 'project').map(({ name, status }) => [name, status]), [['stamp.js', 'loaded']]);
+    await fs.access(tree.path('stamped'));
+});
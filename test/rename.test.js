@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planCopy, runCopy } from '../lib/api.js';
+import { CASE_FILTERS, checkRenameTemplate, formatRenameDate, renderRename } from '../lib/rename.js';
+import { makeTree, listFiles } from './helpers.js';
+
+const vars = { name: 'helloWorld', ext: 'txt', dir: 'My Docs/v2', parent: 'v2', index: 7, date: new Date(2025, 0, 2, 3, 4, 5), hash: 'abcdef0123456789' };
+
+test('case filters split words on separators and case changes', () => {
+    const results = Object.fromEntries(Object.entries(CASE_FILTERS).map(([name, filter]) => [name, filter('helloWorld_foo-bar 2')]));
+    assert.deepEqual(results, {
+        lower: 'helloworld_foo-bar 2', upper: 'HELLOWORLD_FOO-BAR 2',
+        kebab: 'hello-world-foo-bar-2', snake: 'hello_world_foo_bar_2', camel: 'helloWorldFooBar2', pascal: 'HelloWorldFooBar2'
+    });
+});
+
+test('renderRename fills every token, with arguments and chained filters', () => {
+    assert.equal(renderRename('{index:3}-{name|kebab}.{ext}', vars), '007-hello-world.txt');
+    assert.equal(renderRename('{date:YYYYMMDD-HHmmss}_{hash}_{hash:4}', vars), '20250102-030405_abcdef01_abcd');
+    assert.equal(renderRename('{dir|snake|upper}/{parent}/{name|pascal}.{ext}', vars), 'MY_DOCS/V2/v2/HelloWorld.txt');
+    assert.equal(renderRename('{dir}/{name}.{ext}', { ...vars, dir: '' }), 'helloWorld.txt');
+    assert.equal(renderRename('{name}.{ext}', { ...vars, ext: '' }), 'helloWorld');
+    assert.equal(formatRenameDate(vars.date), '2025-01-02');
+});
+
+test('checkRenameTemplate names the offending part', () => {
+    assert.equal(checkRenameTemplate('{name|kebab}.{ext}'), null);
+    assert.deepEqual(checkRenameTemplate(' '), { problem: 'empty' });
+    assert.deepEqual(checkRenameTemplate('{nme}.{ext}'), { problem: 'token', value: '{nme}' });
+    assert.deepEqual(checkRenameTemplate('{name|shout}'), { problem: 'filter', value: 'shout' });
+    assert.deepEqual(checkRenameTemplate('{hash:x}'), { problem: 'argument', value: '{hash:x}' });
+    assert.deepEqual(checkRenameTemplate('../{name}'), { problem: 'parent' });
+});
+
+test('--rename and --rename-search name the targets of the plan', async (t) => {
+    const tree = await makeTree({ 'src/API Docs/getUser_draft.js': '', 'src/lib/save_draft.js': '' });
+    t.after(tree.cleanup);
+
+    const plan = await planCopy({
+        src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'),
+        rename: '{parent|kebab}-{index:2}-{name|snake}.{ext}', renameSearch: '_draft$'
+    });
+    assert.deepEqual(plan.entries.map(e => [e.target, e.duplicate]), [
+        [tree.path('out/api-docs-01-get_user.txt'), false],
+        [tree.path('out/lib-02-save.txt'), false]
+    ]);
+
+    // --rename-search alone keeps the usual name and extension
+    const searched = await planCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), renameSearch: '_(draft)', renameReplace: '.$1' });
+    assert.deepEqual(searched.entries.map(e => e.target), [tree.path('out/getUser.draft.txt'), tree.path('out/save.draft.txt')]);
+});
+
+test('a template giving two sources one target is flagged, and the real run copies nothing', async (t) => {
+    const tree = await makeTree({ 'src/a/x.js': '', 'src/b/x.js': '', 'src/c/y.js': '' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), rename: '{name}.{ext}' };
+
+    const plan = await planCopy(options);
+    assert.deepEqual(plan.entries.map(e => e.duplicate), [true, true, false]);
+    await assert.rejects(runCopy(options), { name: 'PlanError', message: /--rename gives 2 files the same target, such as .*x\.txt/ });
+    assert.deepEqual(await listFiles(tree.path('out')), []);
+
+    const result = await runCopy({ ...options, rename: '{parent}-{name}.{ext}' });
+    assert.equal(result.totals.copied, 3);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a-x.txt', 'b-x.txt', 'c-y.txt']);
+});
+
+test('invalid rename options are rejected before anything runs', async () => {
+    const options = { src: 'src', ext: 'js', targetExt: 'txt', dest: 'out' };
+    await assert.rejects(runCopy({ ...options, rename: '{name|shout}' }), { code: 'EOPTIONS', option: 'rename', message: /Unknown filter shout in --rename/ });
+    await assert.rejects(runCopy({ ...options, renameSearch: '(' }), { option: 'renameSearch', message: /Invalid regular expression/ });
+    await assert.rejects(runCopy({ ...options, renameReplace: 'x' }), { option: 'renameReplace' });
+});
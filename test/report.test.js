@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport } from '../lib/api.js';
+
+test('report totals count the bytes of written files only', () => {
+    const files = [
+        { source: 'src/a.js', target: 'out/a.txt', size: 10, status: 'copied' },
+        { source: 'src/b.js', target: 'out/b_1.txt', size: 20, status: 'renamed' },
+        { source: 'src/c.js', target: 'out/c.txt', size: 40, status: 'updated' },
+        { source: 'src/d.js', target: 'out/d.txt', size: 80, status: 'skipped' },
+        { source: 'src/e.js', target: 'out/e.txt', size: 160, status: 'failed', error: 'EACCES' },
+        { source: null, target: 'out/old.txt', size: 320, status: 'deleted' }
+    ];
+    const { totals } = buildReport({ files, options: {}, startedAt: Date.now(), version: '0.0.0', dryRun: false });
+    assert.deepEqual(totals, { files: 6, bytes: 70, copied: 1, renamed: 1, updated: 1, skipped: 1, deleted: 1, failed: 1 });
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PassThrough, Writable } from 'stream';
+import { planCopy, runCopy, readFileList, writeFileList } from '../lib/api.js';
+import { parseFileList } from '../lib/filelist.js';
+import { groupPlanEntries, reviewRows, selectionEntries, toggleFiles, reviewPrompt } from '../lib/review.js';
+import { makeTree, runCli } from './helpers.js';
+
+test('file lists skip comments and blank lines, and are read back relative to their folder', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b' });
+    t.after(tree.cleanup);
+
+    assert.deepEqual(parseFileList('\uFEFF# picked\r\n\r\n  src/a.js  \n#src/b.js\nsrc/a.js\n/abs/c.js\n', '/base'), [
+        path.resolve('/base/src/a.js'), path.resolve('/abs/c.js')
+    ]);
+
+    await writeFileList(tree.path('lists/picked.txt'), [tree.path('src/b.js'), path.relative(process.cwd(), tree.path('src/a.js'))], { comment: 'Picked' });
+    assert.equal(await fs.readFile(tree.path('lists/picked.txt'), 'utf8'), '# Picked\n../src/b.js\n../src/a.js\n');
+    assert.deepEqual(readFileList(tree.path('lists/picked.txt')), [tree.path('src/b.js'), tree.path('src/a.js')]);
+});
+
+test('--files-from narrows the search, and reports what it left out', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/lib/c.js': 'c' });
+    t.after(tree.cleanup);
+    await fs.writeFile(tree.path('list.txt'), 'src/a.js\nsrc/lib/c.js\nsrc/gone.js\n');
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+    const warnings = [];
+    const logger = { error() {}, warn: (message) => warnings.push(message), info() {}, verbose() {}, debug() {} };
+
+    const plan = await planCopy({ ...options, filesFrom: tree.path('list.txt') }, { logger });
+    assert.deepEqual(plan.entries.map(e => e.file).sort(), [tree.path('src/a.js'), tree.path('src/lib/c.js')]);
+    assert.deepEqual(plan.excluded.map(e => [e.file, e.rule]), [[tree.path('src/b.js'), `--files-from ${tree.path('list.txt')}`]]);
+    assert.deepEqual(plan.filtered, [{ filter: `--files-from ${tree.path('list.txt')}`, removed: 1 }]);
+    assert.equal(plan.options.filesFrom, tree.path('list.txt'));
+    assert.deepEqual(warnings, [`1 file(s) of --files-from ${tree.path('list.txt')} are not among the files the search found`]);
+
+    await assert.rejects(planCopy({ ...options, filesFrom: tree.path('missing.txt') }), { option: 'filesFrom', message: /^Cannot read the file list/ });
+});
+
+test('the files picked from a plan are written to the targets the plan showed', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c', 'src/lib/c.js': 'lib c' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out') };
+
+    // {index} numbers every file of the plan, not only the picked ones
+    const numbered = await planCopy({ ...options, layout: 'mirror', rename: '{name}-{index}.{ext}' });
+    const picked = numbered.entries.filter(({ file }) => !file.endsWith('a.js'));
+    const result = await runCopy({ ...options, layout: 'mirror', rename: '{name}-{index}.{ext}', plan: picked });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.files.map(f => path.resolve(f.target)).sort(), picked.map(e => e.target).sort());
+    assert.deepEqual((await fs.readdir(tree.path('out'))).sort(), ['b-2.txt', 'c-3.txt', 'lib']);
+
+    // Two sources with one target: the later one is renamed only while the earlier one is picked
+    const shared = await planCopy({ ...options, dest: tree.path('flat') });
+    const [top, nested] = shared.entries.filter(({ file }) => path.basename(file) === 'c.js');
+    assert.deepEqual([top.conflict, nested.conflict, nested.targetConflict], [null, 'rename', null]);
+    const view = selectionEntries(shared.entries, new Set([nested.file]));
+    assert.deepEqual([view.get(nested.file).conflict, view.get(nested.file).collides], [null, false]);
+    assert.equal(selectionEntries(shared.entries, new Set([top.file, nested.file])).get(nested.file).conflict, 'rename');
+    const alone = await runCopy({ ...options, dest: tree.path('flat'), plan: [nested] });
+    assert.deepEqual(alone.files.map(f => [path.resolve(f.target), f.status]), [[nested.target, 'copied']]);
+    assert.equal(await fs.readFile(nested.target, 'utf8'), 'lib c');
+
+    await assert.rejects(runCopy({ ...options, plan: 'src/a.js' }), { option: 'plan' });
+});
+
+test('the review list groups files by folder, filters them and toggles files or whole folders', () => {
+    const cwd = path.resolve('/work');
+    const entries = [
+        { file: '/work/src/b.js', target: '/work/out/b.txt' },
+        { file: '/work/lib/c.js', target: '/work/out/c.txt' },
+        { file: '/work/src/a.js', target: '/work/out/a.txt', conflict: 'rename' }
+    ].map(e => ({ ...e, file: path.resolve(e.file), target: path.resolve(e.target) }));
+    const groups = groupPlanEntries(entries, { cwd });
+    assert.deepEqual(groups.map(g => [g.folder, g.entries.map(e => e.source)]), [
+        ['lib', [path.join('lib', 'c.js')]], ['src', [path.join('src', 'b.js'), path.join('src', 'a.js')]]
+    ]);
+    assert.equal(groups[1].entries[1].entry.conflict, 'rename');
+
+    assert.equal(reviewRows(groups).length, 5);
+    // The filter applies to source and target paths
+    assert.deepEqual(reviewRows(groups, 'A.TXT').map(row => row.type === 'folder' ? row.folder : path.basename(row.file)), ['src', 'a.js']);
+    assert.deepEqual(reviewRows(groups, 'nothing'), []);
+
+    const [folder] = reviewRows(groups, 'src');
+    const all = new Set(entries.map(e => e.file));
+    const unchecked = toggleFiles(all, folder.files);
+    assert.deepEqual([...unchecked], [entries[1].file]);
+    // A partly checked folder is checked as a whole
+    assert.equal(toggleFiles(toggleFiles(unchecked, [entries[0].file]), folder.files).size, 3);
+});
+
+test('the review prompt returns the checked files, in plan order', async () => {
+    const entries = ['src/a.js', 'src/b.js', 'lib/c.js'].map(file => ({ file: path.resolve(file), target: path.resolve('out', path.basename(file)) }));
+    const input = new PassThrough();
+    let screen = '';
+    const output = new Writable({ write(chunk, encoding, callback) { screen += chunk; callback(); } });
+    const answer = reviewPrompt({
+        message: 'Check the files to copy', entries,
+        describe: (entry) => entry.file.endsWith('a.js') ? '[exists]' : '',
+        texts: { help: 'help', selected: (count, total) => `${count} of ${total} checked`, noMatch: 'no match', nothingSelected: 'check one' }
+    }, { input, output });
+    const keys = [
+        'src',      // Filter on src
+        ' ',        // Uncheck the src folder
+        '\x1b[B',   // Down to a.js
+        ' ',        // Check it again
+        '\x1b',     // Clear the filter
+        '\r'
+    ];
+    for (const key of keys) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        input.write(key);
+    }
+    assert.deepEqual(await answer, [entries[0].file, entries[2].file]);
+    const text = screen.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, ''); // Without colors and cursor moves
+    assert.match(text, /a\.js → out\/a\.js \[exists\]/);
+    assert.match(text, /2 of 3 checked/);
+});
+
+test('--files-from selects files on the command line, and --review needs prompts', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b' });
+    t.after(tree.cleanup);
+    await fs.writeFile(tree.path('list.txt'), '# picked\nsrc/b.js\n');
+
+    const listed = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--files-from', 'list.txt', '-y'], { cwd: tree.dir });
+    assert.equal(listed.code, 0);
+    assert.deepEqual(await fs.readdir(tree.path('out')), ['b.txt']);
+
+    const review = await runCli(['-s', 'src', '-e', 'js', '-t', 'txt', '-d', 'out', '--review', '--dry-run'], { cwd: tree.dir });
+    assert.equal(review.code, 2);
+    assert.match(review.stderr, /--review needs prompts, which are turned off \(no terminal\)/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { searchFiles, parseListOption } from '../lib/search.js';
+import { planCopy } from '../lib/engine.js';
+import { makeTree } from './helpers.js';
+
+test('parseListOption flattens repeated and comma-separated values', () => {
+    assert.deepEqual(parseListOption(['a,b', ' c ', '']), ['a', 'b', 'c']);
+    assert.deepEqual(parseListOption('x'), ['x']);
+    assert.deepEqual(parseListOption(undefined), []);
+});
+
+test('searchFiles builds one pattern per source and extension', async (t) => {
+    const tree = await makeTree({
+        'a/one.js': '1', 'a/deep/two.ts': '2', 'a/skip.md': 'x',
+        'b/three.JS': '3', 'b/node_modules/dep.js': 'x'
+    });
+    t.after(tree.cleanup);
+
+    const { files, patterns } = await searchFiles({
+        sources: [tree.path('a'), tree.path('b')], extensions: ['js', 'ts']
+    });
+    assert.deepEqual(patterns, [
+        `${tree.path('a')}/**/*.js`, `${tree.path('a')}/**/*.ts`,
+        `${tree.path('b')}/**/*.js`, `${tree.path('b')}/**/*.ts`
+    ].map(p => p.replace(/\\/g, '/')));
+    // Extensions match case-insensitively and node_modules is always left out
+    assert.deepEqual(files.map(f => path.relative(tree.dir, f.file)).sort(), [
+        path.join('a', 'deep', 'two.ts'), path.join('a', 'one.js'), path.join('b', 'three.JS')
+    ]);
+    assert.equal(files.find(f => f.file.endsWith('three.JS')).root, tree.path('b'));
+});
+
+test('searchFiles copies a file reachable from overlapping roots only once', async (t) => {
+    const tree = await makeTree({ 'a/sub/one.js': '1' });
+    t.after(tree.cleanup);
+
+    const { files } = await searchFiles({ sources: [tree.path('a'), tree.path('a', 'sub')], extensions: ['js'] });
+    assert.equal(files.length, 1);
+});
+
+test('a missing source finds no files, and the other sources are still searched', async (t) => {
+    const tree = await makeTree({ 'src/one.js': '1' });
+    t.after(tree.cleanup);
+
+    const { files } = await searchFiles({ sources: [tree.path('src'), tree.path('missing')], extensions: ['js'] });
+    assert.deepEqual(files.map(f => f.file), [tree.path('src/one.js')]);
+    const plan = await planCopy({ src: [tree.path('src'), tree.path('missing')], ext: 'js', targetExt: 'txt', dest: tree.path('out') });
+    assert.deepEqual(plan.entries.map(e => path.basename(e.target)), ['one.txt']);
+});
+
+test('searchFiles reports what the include and exclude filters left out', async (t) => {
+    const tree = await makeTree({ 'src/keep.js': '', 'src/keep.test.js': '', 'src/.hidden.js': '' });
+    t.after(tree.cleanup);
+
+    const { files, excluded } = await searchFiles({ sources: [tree.path('src')], extensions: ['js'], exclude: ['**/*.test.js'] });
+    assert.deepEqual(files.map(f => path.basename(f.file)), ['keep.js']);
+    assert.deepEqual(excluded.map(e => [path.basename(e.file), e.rule]), [['keep.test.js', '--exclude **/*.test.js']]);
+});
+
+test('planCopy maps several sources and extensions into the destination', async (t) => {
+    const tree = await makeTree({ 'a/x.js': '', 'b/y.ts': '', 'b/z.css': '' });
+    t.after(tree.cleanup);
+
+    const { entries } = await planCopy({
+        src: [tree.path('a'), tree.path('b')], ext: '.js, ts', targetExt: '.txt', dest: tree.path('out')
+    });
+    assert.deepEqual(entries.map(e => path.relative(tree.dir, e.target)).sort(), [
+        path.join('out', 'x.txt'), path.join('out', 'y.txt')
+    ]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { Transform } from 'stream';
+import { runCopy, readCheckpoint, createTransformRegistry, hashFile } from '../lib/api.js';
+import { streamCopy } from '../lib/streaming.js';
+import { makeTree, listFiles } from './helpers.js';
+
+test('files above the threshold stream through a partial file, with transforms and hashes', async (t) => {
+    const text = 'line\r\n'.repeat(20000);
+    const tree = await makeTree({ 'src/big.js': text, 'src/small.js': 'small\r\n' });
+    t.after(tree.cleanup);
+
+    const events = [];
+    const result = await runCopy(
+        {
+            src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), streamThreshold: '64KB',
+            transform: 'eol=lf', verify: true, checksums: tree.path('out/SHA256SUMS')
+        },
+        { onProgress: (event) => event.type === 'stream' && events.push(event) }
+    );
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(await listFiles(tree.path('out')), ['SHA256SUMS', 'big.txt', 'small.txt']);
+    assert.equal(await fs.readFile(tree.path('out/big.txt'), 'utf8'), 'line\n'.repeat(20000));
+
+    // Only the large file streams; its events end with the whole source read
+    assert.ok(events.every(e => e.file === tree.path('src/big.js') && e.size === text.length));
+    assert.deepEqual([events[0].bytes, events[0].finished], [0, false]);
+    assert.deepEqual([events.at(-1).bytes, events.at(-1).finished], [text.length, true]);
+
+    const manifest = await fs.readFile(tree.path('out/SHA256SUMS'), 'utf8');
+    assert.ok(manifest.includes(`${await hashFile(tree.path('out/big.txt'))}  big.txt`));
+});
+
+test('--sync --compare hash streams large files through the transforms to compare them', async (t) => {
+    const tree = await makeTree({ 'src/big.js': 'x'.repeat(100 * 1024), 'src/small.js': 'small' });
+    t.after(tree.cleanup);
+    // The in-memory form fails on large files, so they must go through the streaming form
+    const transforms = createTransformRegistry();
+    transforms.register('upper', (content) => {
+        if (content.length > 64 * 1024) throw new Error('read into memory');
+        return content.toString('utf8').toUpperCase();
+    }, {
+        stream: () => new Transform({ transform: (chunk, encoding, callback) => callback(null, chunk.toString('utf8').toUpperCase()) })
+    });
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), streamThreshold: '64KB', transform: 'upper', sync: true, compare: 'hash' };
+
+    const first = await runCopy(options, { transforms });
+    assert.deepEqual([first.errors, first.totals.copied], [[], 2]);
+    const again = await runCopy(options, { transforms });
+    assert.deepEqual([again.errors, again.totals.skipped], [[], 2]);
+
+    await fs.writeFile(tree.path('src/big.js'), 'y'.repeat(100 * 1024));
+    const changed = await runCopy(options, { transforms });
+    assert.deepEqual([changed.errors, changed.totals.updated], [[], 1]);
+    assert.equal(await fs.readFile(tree.path('out/big.txt'), 'utf8'), 'Y'.repeat(100 * 1024));
+});
+
+test('a stream that fails leaves neither a target nor a partial file', async (t) => {
+    const tree = await makeTree({ 'src/big.js': 'x'.repeat(100000), 'out/big.txt': 'kept' });
+    t.after(tree.cleanup);
+    const transforms = createTransformRegistry();
+    let seen = 0;
+    transforms.register('explode', (content) => content, {
+        stream: () => new Transform({
+            transform(chunk, encoding, callback) {
+                seen += chunk.length;
+                callback(seen > 50000 ? new Error('boom') : null, chunk);
+            }
+        })
+    });
+
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), streamThreshold: 1000, transform: 'explode' };
+    const failed = await runCopy(options, { transforms });
+    assert.deepEqual(failed.errors.map(e => e.error), ['boom']);
+    assert.deepEqual(await listFiles(tree.path('out')), ['big.txt']);
+
+    // Replacing a target is all or nothing too
+    seen = 0;
+    await runCopy({ ...options, onConflict: 'overwrite' }, { transforms });
+    assert.equal(await fs.readFile(tree.path('out/big.txt'), 'utf8'), 'kept');
+    assert.deepEqual((await fs.readdir(tree.path('out'))).sort(), ['big.txt']);
+});
+
+test('aborting cancels a streaming file, which a resumed run copies again', async (t) => {
+    const tree = await makeTree({ 'src/big.js': 'b'.repeat(200 * 1024) });
+    t.after(tree.cleanup);
+    const checkpointDir = tree.path('checkpoints');
+    const controller = new AbortController();
+    const result = await runCopy(
+        { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), streamThreshold: '1KB', maxRate: '100KB/s', checkpointDir },
+        { signal: controller.signal, onProgress: (event) => event.type === 'stream' && event.bytes > 0 && controller.abort() }
+    );
+    assert.equal(result.aborted, true);
+    assert.deepEqual([result.files, result.errors, result.totals.total], [[], [], 0]);
+    assert.deepEqual(await fs.readdir(tree.path('out')), []);
+
+    const checkpoint = await readCheckpoint(checkpointDir, result.checkpoint);
+    const resumed = await runCopy({ ...checkpoint.options, checkpointDir, resume: checkpoint, maxRate: null });
+    assert.equal(resumed.totals.copied, 1);
+    assert.equal((await fs.stat(tree.path('out/big.txt'))).size, 200 * 1024);
+});
+
+test('streamCopy never replaces a target that appeared meanwhile when exclusive', async (t) => {
+    const tree = await makeTree({ 'a.bin': 'new', 'b.bin': 'old' });
+    t.after(tree.cleanup);
+
+    await assert.rejects(streamCopy(tree.path('a.bin'), tree.path('b.bin'), { exclusive: true }), { code: 'EEXIST' });
+    assert.equal(await fs.readFile(tree.path('b.bin'), 'utf8'), 'old');
+    const { hash } = await streamCopy(tree.path('a.bin'), tree.path('c.bin'), { hashAlgorithm: 'sha256' });
+    assert.equal(hash, await hashFile(tree.path('a.bin')));
+    assert.deepEqual(await listFiles(tree.dir), ['a.bin', 'b.bin', 'c.bin']);
+});
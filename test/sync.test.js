@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { planCopy, runCopy } from '../lib/api.js';
+import { makeTree, listFiles } from './helpers.js';
+
+test('--delete removes the targets of deleted sources only, never those of filtered-out sources or other files', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b', 'src/c.js': 'c', 'src/d.js': 'd' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), sync: true, delete: true, journalDir: tree.path('journal') };
+    await runCopy(options);
+    await fs.writeFile(tree.path('out/notes.txt'), 'mine');
+    await fs.rm(tree.path('src/c.js'));
+
+    // b.js is excluded and d.js is not picked from the plan, but both still exist
+    const plan = await planCopy({ ...options, exclude: 'b.js' });
+    assert.deepEqual(plan.orphans, [tree.path('out/c.txt')]);
+    const result = await runCopy({ ...options, exclude: 'b.js', plan: plan.entries.filter(({ file }) => !file.endsWith('d.js')) });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.totals.deleted, 1);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt', 'd.txt', 'notes.txt']);
+});
+
+test('--delete deletes nothing without the undo journal', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a', 'src/b.js': 'b' });
+    t.after(tree.cleanup);
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), sync: true, delete: true };
+    await runCopy(options);
+    await fs.rm(tree.path('src/b.js'));
+    const warnings = [];
+    const logger = { error() {}, warn: (message) => warnings.push(message), info() {}, verbose() {}, debug() {} };
+
+    const result = await runCopy(options, { logger });
+    assert.equal(result.totals.deleted, 0);
+    assert.deepEqual(warnings, ['--delete only removes targets recorded in the undo journal, so nothing is deleted without it']);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt']);
+});
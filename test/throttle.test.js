@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { runCopy } from '../lib/api.js';
+import { parseRate, formatBytes, createRateLimiter, createConcurrencyTuner } from '../lib/throttle.js';
+import { makeTree, listFiles } from './helpers.js';
+
+test('parseRate reads byte rates with or without units', () => {
+    assert.equal(parseRate('20MB/s'), 20 * 1024 ** 2);
+    assert.equal(parseRate('512k'), 512 * 1024);
+    assert.equal(parseRate('1.5 GiB/s'), 1.5 * 1024 ** 3);
+    assert.equal(parseRate('100B/s'), 100);
+    assert.equal(parseRate(4096), 4096);
+    for (const invalid of ['', 'fast', '0MB/s', '-1M', '10 TB', 0]) assert.equal(parseRate(invalid), null, String(invalid));
+    assert.deepEqual([formatBytes(512), formatBytes(1536), formatBytes(20 * 1024 ** 2)], ['512 B', '1.5 KB', '20.0 MB']);
+});
+
+test('the rate limiter holds data back to the rate', async () => {
+    const limiter = createRateLimiter(100 * 1024);
+    const startedAt = performance.now();
+    const chunks = [];
+    const stream = limiter.stream();
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.end(Buffer.alloc(30 * 1024));
+    await new Promise(resolve => stream.on('end', resolve));
+    await limiter.take(20 * 1024); // Shares the same budget
+
+    // 50 KB at 100 KB/s, the first slice passing at once
+    assert.ok(performance.now() - startedAt >= 350, `took ${performance.now() - startedAt}ms`);
+    assert.equal(Buffer.concat(chunks).length, 30 * 1024);
+    assert.ok(chunks.every(chunk => chunk.length <= 10 * 1024));
+});
+
+test('the tuner follows throughput and backs off on failures', () => {
+    let clock = 0;
+    const tuner = createConcurrencyTuner({ initial: 4, windowMs: 1000, now: () => clock });
+    const windowOf = (bytes, { failed = 0, files = 10 } = {}) => {
+        let changed = false;
+        for (let i = 0; i < files; i++) {
+            clock += 1000 / files;
+            changed = tuner.fileDone({ bytes: bytes / files, failed: i < failed });
+        }
+        return changed;
+    };
+
+    assert.equal(windowOf(1000), true); // First window: probe upwards
+    assert.equal(tuner.concurrency, 5);
+    windowOf(2000); // Better: keep going
+    assert.equal(tuner.concurrency, 6);
+    windowOf(1000); // Worse: step back
+    assert.equal(tuner.concurrency, 5);
+    assert.equal(windowOf(1020), false); // About the same: stay
+    assert.equal(tuner.concurrency, 5);
+    windowOf(1000, { failed: 3 }); // Failures: halve
+    assert.equal(tuner.concurrency, 2);
+    assert.equal(tuner.throughput, 1000);
+});
+
+test('--max-rate and --concurrency auto copy every file and report bytes', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a'.repeat(20 * 1024), 'src/b.js': 'b'.repeat(20 * 1024), 'src/c.js': '' });
+    t.after(tree.cleanup);
+
+    const events = [];
+    const result = await runCopy(
+        { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), maxRate: '100KB/s', concurrency: 'auto' },
+        { onProgress: (event) => ['start', 'file'].includes(event.type) && events.push(event) }
+    );
+    assert.ok(result.durationMs >= 250, `took ${result.durationMs}ms`);
+    assert.deepEqual([result.options.concurrency, result.options.maxRate], ['auto', '100KB/s']);
+    assert.deepEqual(await listFiles(tree.path('out')), ['a.txt', 'b.txt', 'c.txt']);
+    assert.equal(await fs.readFile(tree.path('out/b.txt'), 'utf8'), 'b'.repeat(20 * 1024));
+
+    assert.deepEqual(events.map(e => [e.type, e.bytesDone, e.bytesTotal]).slice(0, 1), [['start', 0, 40 * 1024]]);
+    assert.equal(events.at(-1).bytesDone, 40 * 1024);
+    assert.ok(events.every(e => e.concurrency >= 1));
+});
+
+test('a rate-limited copy that fails leaves no truncated target', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+    // A folder opens like a file but cannot be read
+    await fs.mkdir(tree.path('src/folder.js'));
+    const entry = { file: tree.path('src/folder.js'), root: tree.path('src'), target: tree.path('out/folder.txt'), targetExt: 'txt' };
+
+    const result = await runCopy({ src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), maxRate: '1MB/s', plan: [entry] });
+    assert.equal(result.totals.failed, 1);
+    assert.deepEqual(await listFiles(tree.path('out')), []);
+});
+
+test('invalid throttling options are rejected', async () => {
+    const options = { src: 'src', ext: 'js', targetExt: 'txt', dest: 'out' };
+    await assert.rejects(runCopy({ ...options, maxRate: 'fast' }), { option: 'maxRate', message: '--max-rate must be a rate like 20MB/s, got fast' });
+    await assert.rejects(runCopy({ ...options, concurrency: 'many' }), { option: 'concurrency' });
+});
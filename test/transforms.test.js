@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { runCopy } from '../lib/api.js';
+import { createTransformRegistry, parseTransformSpecs, buildPipeline, buildStreamPipeline } from '../lib/transforms.js';
+import { makeTree } from './helpers.js';
+
+test('eol keeps the bytes of a Latin-1 file for a later encoding transform, in memory and streamed', async () => {
+    const specs = parseTransformSpecs('eol=crlf,encoding=latin1:utf8');
+    const registry = createTransformRegistry();
+    const latin1 = Buffer.from('café\r\nnaïve\rà la\n', 'latin1');
+    const expected = Buffer.from('café\r\nnaïve\r\nà la\r\n', 'utf8');
+    const file = { source: 'src/a.txt', target: 'out/a.txt', root: 'src' };
+
+    assert.deepEqual(await buildPipeline(specs, registry)(latin1, file), expected);
+
+    // Split inside the \r\n, so the stream has to hold the \r back
+    const chunks = [latin1.subarray(0, 5), latin1.subarray(5, 11), latin1.subarray(11)];
+    const output = [];
+    await pipeline(Readable.from(chunks), ...buildStreamPipeline(specs, registry)(file), async function* (source) {
+        for await (const chunk of source) output.push(chunk);
+    });
+    assert.deepEqual(Buffer.concat(output), expected);
+});
+
+test('with --sync the banner date is the source time, so --compare hash skips unchanged files', async (t) => {
+    const tree = await makeTree({ 'src/a.js': 'a' });
+    t.after(tree.cleanup);
+    await fs.utimes(tree.path('src/a.js'), new Date('2020-02-03T12:00:00Z'), new Date('2020-02-03T12:00:00Z'));
+    const options = { src: tree.path('src'), ext: 'js', targetExt: 'txt', dest: tree.path('out'), sync: true, compare: 'hash', banner: '// {name} {datetime}\n' };
+
+    const first = await runCopy(options);
+    assert.equal(first.totals.copied, 1);
+    assert.equal(await fs.readFile(tree.path('out/a.txt'), 'utf8'), '// a.js 2020-02-03T12:00:00.000Z\na');
+    const again = await runCopy(options);
+    assert.equal(again.totals.skipped, 1);
+});
+
+test('invalid arguments of built-in transforms are refused before copying', async () => {
+    const options = { src: 'src', ext: 'js', targetExt: 'txt', dest: 'out' };
+    await assert.rejects(runCopy({ ...options, transform: 'encoding=bogus:utf8' }), { option: 'transform', message: 'Transform "encoding": Cannot read encoding "bogus"' });
+    await assert.rejects(runCopy({ ...options, transform: 'encoding=ebcdic' }), { option: 'transform', message: /^Transform "encoding": Cannot write encoding "ebcdic"/ });
+    await assert.rejects(runCopy({ ...options, transform: 'eol=cr' }), { option: 'transform', message: /^Transform "eol": Unsupported line ending "cr"/ });
+});